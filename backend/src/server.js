@@ -11,11 +11,26 @@ import fs from 'fs-extra';
 import { v4 as uuidv4 } from 'uuid';
 import sqlite3 from 'sqlite3';
 import dotenv from 'dotenv';
-import { spawn } from 'child_process';
-import AdmZip from 'adm-zip';
+import crypto from 'crypto';
 
 // Import configuration
-import { getCurrentLimits } from './config/limits.js';
+import { getCurrentLimits, ERROR_MESSAGES } from './config/limits.js';
+
+// Import services
+import { saveCover, coverThumbnail } from './services/coverImages.js';
+import { createChunkedUploadStore } from './services/chunkedUploads.js';
+import { createIngestionQueue, INGESTION_STATUS } from './services/ingestionQueue.js';
+import {
+  ARCHIVE_FORMATS, detectFormat, formatSizeLimit, maxUploadSize, converterVersion,
+  validateBook, readBookMetadata, readBookCover, openArchive, parseBook
+} from './services/bookFormats.js';
+import { findMentions } from './services/mentions.js';
+import {
+  normalizeVisibility, inheritVisibility, canView, audienceOf, visibleToSql, formatVisibility
+} from './services/annotationVisibility.js';
+import { normalizeTags, parseTags, tagsFromQuery, taggedSql } from './services/tags.js';
+import { normalizePalette, paletteEntry } from './services/highlightPalette.js';
+import { SEARCH_INDEX_TABLE, chapterPlainText, parseSearchQuery, findHits, matchesQuery } from './services/bookSearch.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,7 +43,7 @@ const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: process.env.FRONTEND_URL || "http://localhost:3000",
+    origin: process.env.FRONTEND_URL || ["http://localhost:3000", "http://localhost:5173", "http://localhost:5174"],
     methods: ["GET", "POST"]
   }
 });
@@ -43,6 +58,27 @@ const db = new sqlite3.Database(dbPath);
 // Ensure database directory exists
 fs.ensureDirSync(path.dirname(dbPath));
 
+// Promise wrappers for background work that can't use route callbacks
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+}
+
 // Initialize database tables
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
@@ -55,6 +91,12 @@ function initializeDatabase() {
       db.run(`DROP TABLE IF EXISTS users`);
       db.run(`DROP TABLE IF EXISTS user_progress`);
       db.run(`DROP TABLE IF EXISTS book_profiles`);
+      db.run(`DROP TABLE IF EXISTS book_content`);
+      db.run(`DROP TABLE IF EXISTS book_search`);
+      db.run(`DROP TABLE IF EXISTS reactions`);
+      db.run(`DROP TABLE IF EXISTS mentions`);
+      db.run(`DROP TABLE IF EXISTS notifications`);
+      db.run(`DROP TABLE IF EXISTS bookmarks`);
       
       // Books table with slug column
       db.run(`
@@ -62,11 +104,28 @@ function initializeDatabase() {
           id TEXT PRIMARY KEY,
           title TEXT NOT NULL,
           author TEXT,
+          creators TEXT,
+          language TEXT,
+          publisher TEXT,
+          published_date TEXT,
+          isbn TEXT,
+          identifiers TEXT,
+          description TEXT,
+          subjects TEXT,
+          series TEXT,
+          series_index REAL,
+          cover_path TEXT,
+          format TEXT NOT NULL DEFAULT 'epub',
           filename TEXT NOT NULL,
           filepath TEXT NOT NULL,
           file_size INTEGER,
+          file_hash TEXT,
+          status TEXT DEFAULT 'ready',
+          status_error TEXT,
           session_id TEXT NOT NULL,
           slug TEXT UNIQUE,
+          owner_profile_id TEXT,
+          highlight_palette TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `, (err) => {
@@ -77,6 +136,14 @@ function initializeDatabase() {
         console.log('✅ Created books table with slug');
       });
       
+      // Duplicate uploads are matched by content hash
+      db.run('CREATE INDEX idx_books_file_hash ON books (file_hash)', (err) => {
+        if (err) {
+          console.log('Error creating books file_hash index:', err);
+          return reject(err);
+        }
+      });
+      
       // Highlights table - support both Socket.io and HTTP API
       db.run(`
         CREATE TABLE highlights (
@@ -88,10 +155,17 @@ function initializeDatabase() {
           text TEXT,
           text_content TEXT,
           cfi TEXT,
+          selectors TEXT,
+          region TEXT,
           position INTEGER,
           color TEXT DEFAULT '#ffeb3b',
+          visibility TEXT NOT NULL DEFAULT 'shared',
+          shared_with TEXT,
+          tags TEXT,
+          palette_key TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME,
           FOREIGN KEY (book_id) REFERENCES books (id)
         )
       `, (err) => {
@@ -116,7 +190,11 @@ function initializeDatabase() {
           position INTEGER,
           highlight_id TEXT,
           parent_id TEXT,
+          visibility TEXT NOT NULL DEFAULT 'shared',
+          shared_with TEXT,
+          tags TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME,
           FOREIGN KEY (book_id) REFERENCES books (id),
           FOREIGN KEY (highlight_id) REFERENCES highlights (id)
         )
@@ -153,6 +231,7 @@ function initializeDatabase() {
           book_id TEXT NOT NULL,
           username TEXT NOT NULL,
           color TEXT DEFAULT '#4ECDC4',
+          token TEXT NOT NULL UNIQUE,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (book_id) REFERENCES books (id),
@@ -166,6 +245,33 @@ function initializeDatabase() {
         console.log('✅ Created book_profiles table');
       });
       
+      // Converted book content cache - rebuilt when the file or converter version changes
+      db.run(`
+        CREATE TABLE book_content (
+          book_id TEXT PRIMARY KEY,
+          file_hash TEXT NOT NULL,
+          converter_version INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (book_id) REFERENCES books (id)
+        )
+      `, (err) => {
+        if (err) {
+          console.log('Error creating book_content table:', err);
+          return reject(err);
+        }
+        console.log('✅ Created book_content table');
+      });
+      
+      // Full-text index of each book's chapters, filled when the book is converted
+      db.run(SEARCH_INDEX_TABLE, (err) => {
+        if (err) {
+          console.log('Error creating book_search table:', err);
+          return reject(err);
+        }
+        console.log('✅ Created book_search table');
+      });
+      
       // Users table with session tracking (kept for socket.io compatibility)
       db.run(`
         CREATE TABLE users (
@@ -205,11 +311,104 @@ function initializeDatabase() {
         console.log('✅ Created user_progress table');
       });
       
+      // Emoji reactions - one row per profile, emoji and highlight or comment
+      db.run(`
+        CREATE TABLE reactions (
+          id TEXT PRIMARY KEY,
+          book_id TEXT NOT NULL,
+          target_type TEXT NOT NULL,
+          target_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          emoji TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (target_type, target_id, user_id, emoji),
+          FOREIGN KEY (book_id) REFERENCES books (id)
+        )
+      `, (err) => {
+        if (err) {
+          console.log('Error creating reactions table:', err);
+          return reject(err);
+        }
+        console.log('✅ Created reactions table');
+      });
+      
+      // Book profiles @mentioned in comments
+      db.run(`
+        CREATE TABLE mentions (
+          id TEXT PRIMARY KEY,
+          book_id TEXT NOT NULL,
+          comment_id TEXT NOT NULL,
+          profile_id TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (comment_id, profile_id),
+          FOREIGN KEY (comment_id) REFERENCES comments (id)
+        )
+      `, (err) => {
+        if (err) {
+          console.log('Error creating mentions table:', err);
+          return reject(err);
+        }
+        console.log('✅ Created mentions table');
+      });
+      
+      // In-app notification inbox, one row per recipient profile
+      db.run(`
+        CREATE TABLE notifications (
+          id TEXT PRIMARY KEY,
+          book_id TEXT NOT NULL,
+          profile_id TEXT NOT NULL,
+          type TEXT NOT NULL,
+          comment_id TEXT NOT NULL,
+          highlight_id TEXT,
+          chapter INTEGER,
+          actor_id TEXT NOT NULL,
+          actor_username TEXT NOT NULL,
+          excerpt TEXT,
+          read_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (book_id) REFERENCES books (id)
+        )
+      `, (err) => {
+        if (err) {
+          console.log('Error creating notifications table:', err);
+          return reject(err);
+        }
+        console.log('✅ Created notifications table');
+      });
+      
+      // Named places in a book - `cfi` pins the exact spot, `scroll_position` (0-1 through
+      // the chapter) is the fallback when the chapter's text has changed
+      db.run(`
+        CREATE TABLE bookmarks (
+          id TEXT PRIMARY KEY,
+          book_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          username TEXT NOT NULL,
+          chapter INTEGER NOT NULL,
+          cfi TEXT,
+          scroll_position REAL DEFAULT 0,
+          label TEXT,
+          visibility TEXT NOT NULL DEFAULT 'private',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME,
+          FOREIGN KEY (book_id) REFERENCES books (id)
+        )
+      `, (err) => {
+        if (err) {
+          console.log('Error creating bookmarks table:', err);
+          return reject(err);
+        }
+        console.log('✅ Created bookmarks table');
+      });
+      
       resolve();
     });
   });
 }
 
+// Covers and their thumbnails, copied out of the EPUB during ingestion
+const COVERS_DIR = path.join(__dirname, '../uploads/covers');
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -218,7 +417,7 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}.epub`;  // Just UUID + .epub extension
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;  // UUID + original extension
     cb(null, uniqueName);
   }
 });
@@ -226,18 +425,143 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: limits.FILE.MAX_SIZE_BYTES,
+    fileSize: maxUploadSize().bytes, // Per-format limits are applied once the file is in
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    if (limits.FILE.ALLOWED_TYPES.some(type => file.originalname.endsWith(type))) {
+    if (detectFormat(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only EPUB files are allowed.'), false);
+      const error = new Error(ERROR_MESSAGES.INVALID_FILE_TYPE(limits.FILE.ALLOWED_TYPES));
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  }
+});
+
+// Run multer and turn its failures into coded 4xx responses instead of a generic 500
+function receiveEpubUpload(req, res, next) {
+  upload.single('epub')(req, res, (err) => {
+    if (!err || res.headersSent) {
+      return next(err);
+    }
+    
+    console.log('❌ Upload rejected:', err.code, err.message);
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: ERROR_MESSAGES.FILE_SIZE_EXCEEDED(maxUploadSize().mb),
+        code: 'FILE_SIZE_EXCEEDED'
+      });
+    }
+    if (err.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({ error: err.message, code: err.code });
     }
+    
+    next(err);
+  });
+}
+
+// Raw chunk bodies for resumable uploads, capped at the configured chunk size
+const parseUploadChunk = express.raw({ type: () => true, limit: limits.FILE.CHUNKED_UPLOAD.CHUNK_SIZE_BYTES });
+
+function receiveUploadChunk(req, res, next) {
+  parseUploadChunk(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    
+    console.log('❌ Upload chunk rejected:', err.type, err.message);
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: ERROR_MESSAGES.CHUNK_TOO_LARGE(limits.FILE.CHUNKED_UPLOAD.CHUNK_SIZE_BYTES),
+        code: 'CHUNK_TOO_LARGE'
+      });
+    }
+    
+    next(err);
+  });
+}
+
+// Enforce FILE.UPLOAD_TIMEOUT_MS while a request body is being received
+function withUploadTimeout(receiveBody) {
+  return (req, res, next) => {
+    const timer = setTimeout(() => {
+      console.log('❌ Upload timed out:', req.path);
+      res.status(408).set('Connection', 'close').json({
+        error: ERROR_MESSAGES.UPLOAD_TIMEOUT(),
+        code: 'UPLOAD_TIMEOUT'
+      });
+      // Stop reading the rest of the body once the client has the answer
+      res.on('finish', () => req.destroy());
+    }, limits.FILE.UPLOAD_TIMEOUT_MS);
+    
+    receiveBody(req, res, (err) => {
+      clearTimeout(timer);
+      if (!res.headersSent) {
+        next(err);
+      }
+    });
+  };
+}
+
+// Partial uploads live only in memory, so anything left on disk from a previous run is unreachable
+const PARTIAL_UPLOADS_DIR = path.join(__dirname, '../uploads/partial');
+fs.emptyDirSync(PARTIAL_UPLOADS_DIR);
+
+const chunkedUploads = createChunkedUploadStore({
+  directory: PARTIAL_UPLOADS_DIR,
+  chunkSize: limits.FILE.CHUNKED_UPLOAD.CHUNK_SIZE_BYTES,
+  expiryMs: limits.FILE.CHUNKED_UPLOAD.EXPIRY_MS,
+  maxPerClient: limits.FILE.CHUNKED_UPLOAD.MAX_IN_PROGRESS_PER_CLIENT,
+  maxBytesPerClient: limits.FILE.CHUNKED_UPLOAD.MAX_PARTIAL_BYTES_PER_CLIENT,
+  maxBytes: limits.FILE.CHUNKED_UPLOAD.MAX_PARTIAL_BYTES
+});
+
+// Chunks skip the general API limit - a book takes many of them - but have their own
+const chunkLimiter = rateLimit({
+  windowMs: limits.FILE.CHUNKED_UPLOAD.RATE_LIMIT_WINDOW_MS,
+  max: limits.FILE.CHUNKED_UPLOAD.MAX_CHUNKS_PER_MINUTE,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: ERROR_MESSAGES.CHUNK_RATE_LIMITED(limits.FILE.CHUNKED_UPLOAD.MAX_CHUNKS_PER_MINUTE),
+      code: 'CHUNK_RATE_LIMITED'
+    });
   }
 });
 
+setInterval(async () => {
+  try {
+    const removed = await chunkedUploads.removeExpired();
+    if (removed > 0) {
+      console.log('🧹 Removed expired partial uploads:', removed);
+    }
+  } catch (error) {
+    console.log('❌ Failed to remove expired uploads:', error);
+  }
+}, limits.FILE.CHUNKED_UPLOAD.CLEANUP_INTERVAL_MS).unref();
+
+const UPLOAD_ERROR_STATUS = {
+  UPLOAD_NOT_FOUND: 404,
+  UPLOAD_OFFSET_MISMATCH: 409,
+  UPLOAD_INCOMPLETE: 409,
+  UPLOAD_SIZE_MISMATCH: 400,
+  CHUNK_TOO_LARGE: 413,
+  UPLOAD_CHECKSUM_MISMATCH: 422,
+  TOO_MANY_UPLOADS: 429,
+  UPLOAD_QUOTA_EXCEEDED: 429,
+  UPLOAD_STORAGE_FULL: 507
+};
+
+function sendUploadError(res, error) {
+  const status = UPLOAD_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, code: error.code });
+  }
+  
+  console.log('❌ Chunked upload error:', error);
+  res.status(500).json({ error: 'Upload failed' });
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -245,14 +569,14 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting - exclude progress endpoints
+// Rate limiting - exclude progress and book asset endpoints
 const limiter = rateLimit({
   windowMs: limits.PERFORMANCE.API.RATE_LIMIT_WINDOW_MS,
   max: limits.PERFORMANCE.API.RATE_LIMIT_REQUESTS_PER_MINUTE,
   message: 'Too many requests from this IP, please try again later.',
   skip: (req) => {
-    // Skip rate limiting for progress endpoints
-    return req.path.includes('/progress');
+    // Skip rate limiting for progress/status polling, illustrated chapters pulling many images, cover thumbnails and upload chunks (limited separately)
+    return req.path.includes('/progress') || req.path.includes('/assets/') || req.path.endsWith('/status') || req.path.endsWith('/cover') || req.path.endsWith('/chunks');
   }
 });
 app.use('/api/', limiter);
@@ -260,8 +584,32 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// A profile is whoever holds the token it was created with; requests send it as
+// X-Profile-Token and act as `req.profile` (null without a valid token)
+app.use('/api/', async (req, res, next) => {
+  const token = req.get('X-Profile-Token');
+  try {
+    req.profile = token ? await dbGet('SELECT id, book_id FROM book_profiles WHERE token = ?', [token]) || null : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The `viewer_id` a request may see annotations as - only honored for the profile it holds the token of
+function viewerOf(req) {
+  const { viewer_id } = req.query;
+  return viewer_id && viewer_id === req.profile?.id ? viewer_id : null;
+}
+
+// Only derived files are served statically - never the uploaded books (an uploaded HTML
+// page would run as this origin's script) or partial uploads. Covers download rather than
+// render, and are never sniffed as anything but their type.
+app.use('/uploads/covers', express.static(COVERS_DIR, {
+  setHeaders: (res) => {
+    res.set({ 'Content-Disposition': 'attachment', 'X-Content-Type-Options': 'nosniff' });
+  }
+}));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -303,60 +651,185 @@ function generateSlug() {
   return result;
 }
 
+// SHA-256 of an uploaded file, used to key cached conversions
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Oldest book with these exact bytes, ignoring uploads that failed ingestion
+function findBookByHash(fileHash) {
+  return dbGet(
+    'SELECT * FROM books WHERE file_hash = ? AND status != ? ORDER BY created_at ASC LIMIT 1',
+    [fileHash, INGESTION_STATUS.FAILED]
+  );
+}
+
+// New book row, slug and session sharing an already stored file
+async function startSessionForBook(source) {
+  const bookId = uuidv4();
+  const sessionId = uuidv4();
+  const slug = generateSlug();
+  
+  await dbRun(
+    `INSERT INTO books (
+      id, session_id, slug, title, author, creators, language, publisher, published_date, isbn,
+      identifiers, description, subjects, series, series_index, cover_path, format,
+      filename, filepath, file_size, file_hash, status, status_error
+    )
+    SELECT ?, ?, ?, title, author, creators, language, publisher, published_date, isbn,
+      identifiers, description, subjects, series, series_index, cover_path, format,
+      filename, filepath, file_size, file_hash, status, status_error
+    FROM books WHERE id = ?`,
+    [bookId, sessionId, slug, source.id]
+  );
+  await dbRun('INSERT INTO sessions (id, book_id) VALUES (?, ?)', [sessionId, bookId]);
+  
+  if (source.status === INGESTION_STATUS.READY) {
+    // Converted content only depends on the file, so the cache can be shared
+    await dbRun(
+      `INSERT INTO book_content (book_id, file_hash, converter_version, content)
+      SELECT ?, file_hash, converter_version, content FROM book_content WHERE book_id = ?`,
+      [bookId, source.id]
+    );
+    await dbRun(
+      'INSERT INTO book_search (book_id, chapter, text) SELECT ?, chapter, text FROM book_search WHERE book_id = ?',
+      [bookId, source.id]
+    );
+  } else {
+    ingestionQueue.enqueue(bookId, ingestionSteps(bookId, source.filepath, source.format));
+  }
+  
+  return { bookId, sessionId, slug };
+}
+
+// Background ingestion - persist each state change and push it to waiting readers
+const ingestionQueue = createIngestionQueue({
+  concurrency: limits.PERFORMANCE.EPUB.MAX_CONCURRENT_CONVERSIONS,
+  onUpdate: (status) => {
+    io.to(`book:${status.bookId}`).emit('book-status', status);
+    db.run(
+      'UPDATE books SET status = ?, status_error = ? WHERE id = ?',
+      [status.status, status.error || null, status.bookId],
+      (err) => {
+        if (err) {
+          console.log('❌ Database error updating book status:', err);
+        }
+      }
+    );
+  }
+});
+
+// Ingestion stages for a freshly uploaded book
+function ingestionSteps(bookId, filePath, format) {
+  return [
+    {
+      status: INGESTION_STATUS.EXTRACTING,
+      run: async () => {
+        try {
+          const metadata = await extractBookMetadata(filePath, format);
+          console.log('📋 Metadata extraction succeeded:', metadata);
+          
+          await dbRun(
+            `UPDATE books SET
+              title = COALESCE(?, title), author = COALESCE(?, author), creators = ?, language = ?,
+              publisher = ?, published_date = ?, isbn = ?, identifiers = ?, description = ?,
+              subjects = ?, series = ?, series_index = ?
+            WHERE id = ?`,
+            [
+              metadata.title, metadata.author, JSON.stringify(metadata.creators), metadata.language,
+              metadata.publisher, metadata.date, metadata.isbn, JSON.stringify(metadata.identifiers), metadata.description,
+              JSON.stringify(metadata.subjects), metadata.series, metadata.seriesIndex,
+              bookId
+            ]
+          );
+        } catch (metadataError) {
+          // Not fatal - the book keeps its filename-based title
+          console.log('⚠️  Metadata extraction failed, using fallback title and author:', metadataError.message);
+        }
+        
+        try {
+          // EPUBs name or embed a cover, comics use their first page; text formats have none
+          const coverPath = await saveCover(await readBookCover(filePath, format), bookId, COVERS_DIR);
+          if (coverPath) {
+            await dbRun('UPDATE books SET cover_path = ? WHERE id = ?', [coverPath, bookId]);
+            console.log('🖼️  Cover saved:', coverPath);
+          }
+        } catch (coverError) {
+          // Not fatal - the book just shows without a cover
+          console.log('⚠️  Cover extraction failed:', coverError.message);
+        }
+      }
+    },
+    {
+      status: INGESTION_STATUS.CONVERTING,
+      run: async () => {
+        const book = await getBookWithHash(bookId);
+        await getBookContent(book);
+      }
+    }
+  ];
+}
+
 // API Routes
 
 // Upload EPUB file
-app.post('/api/upload', upload.single('epub'), async (req, res) => {
-  console.log('=== UPLOAD REQUEST RECEIVED ===');
-  console.log('Request file:', req.file);
-  
+// Shared tail of both upload paths: dedupe, validate, create the book and queue ingestion.
+// `file` is { path, filename, originalname, size, fileHash? } for a file already in uploads/.
+async function registerUploadedFile(file, res) {
   try {
-    if (!req.file) {
-      console.log('❌ No file uploaded');
-      return res.status(400).json({ error: 'No file uploaded' });
+    const format = detectFormat(file.originalname);
+    const sizeLimit = formatSizeLimit(format);
+    if (file.size > sizeLimit.bytes) {
+      console.log('❌ File too large for format:', format, file.size);
+      await fs.remove(file.path);
+      return res.status(413).json({
+        error: ERROR_MESSAGES.FILE_SIZE_EXCEEDED(sizeLimit.mb),
+        code: 'FILE_SIZE_EXCEEDED'
+      });
+    }
+    
+    const fileHash = file.fileHash || await hashFile(file.path);
+    console.log('🔑 File hash:', fileHash);
+    
+    // Same bytes already uploaded - drop the copy and let the uploader choose what to do
+    const existingBook = await findBookByHash(fileHash);
+    if (existingBook) {
+      console.log('♻️  Duplicate of existing book:', existingBook.id);
+      await fs.remove(file.path);
+      return res.status(409).json({
+        error: ERROR_MESSAGES.DUPLICATE_BOOK(existingBook.title),
+        code: 'DUPLICATE_BOOK',
+        existingBook: {
+          bookId: existingBook.id,
+          title: existingBook.title,
+          author: existingBook.author,
+          slug: existingBook.slug,
+          status: existingBook.status
+        }
+      });
     }
 
-    console.log('✅ File received:', req.file.originalname);
-    console.log('✅ File saved as:', req.file.filename);
-    console.log('✅ File saved to:', req.file.path);
+    // Reject files that could never be opened and remove the orphan
+    const validation = await validateBook(file.path, format);
+    if (!validation.valid) {
+      console.log('❌ Book validation failed:', format, validation.code, validation.error);
+      await fs.remove(file.path);
+      return res.status(422).json({ error: validation.error, code: validation.code });
+    }
+    console.log('✅ Book validated:', format);
 
     const bookId = uuidv4();
     const sessionId = uuidv4();
     
-    // Extract real title from EPUB metadata
-    let title = req.file.originalname.replace('.epub', ''); // Fallback to filename
-    let author = 'Unknown Author'; // Default author
-    
-    console.log('🔍 About to attempt metadata extraction...');
-    console.log(' Function exists:', typeof extractEpubMetadata);
-    
-    try {
-      console.log('🚀 Calling extractEpubMetadata...');
-      // Use Calibre to extract metadata
-      const metadata = await extractEpubMetadata(req.file.path);
-      console.log('📋 Metadata extraction succeeded:', metadata);
-      
-      if (metadata.title) {
-        console.log('📖 Found title:', metadata.title);
-        title = metadata.title;
-      } else {
-        console.log('⚠️  No title found in metadata, using filename');
-      }
-      
-      if (metadata.author) {
-        console.log('✍️  Found author:', metadata.author);
-        author = metadata.author;
-      } else {
-        console.log('⚠️  No author found in metadata, using default');
-      }
-      
-      console.log('✅ Final metadata - Title:', title, 'Author:', author);
-    } catch (metadataError) {
-      console.log('❌ Metadata extraction failed with error:', metadataError);
-      console.log('❌ Error message:', metadataError.message);
-      console.log('❌ Error stack:', metadataError.stack);
-      console.log('⚠️  Using fallback title and author');
-    }
+    // Filename-based fallbacks until the ingestion job reads the real metadata
+    const title = path.basename(file.originalname, path.extname(file.originalname));
+    const author = 'Unknown Author';
     
     // Generate unique slug
     const slug = generateSlug();
@@ -366,11 +839,12 @@ app.post('/api/upload', upload.single('epub'), async (req, res) => {
     
     // Insert book into database with slug
     db.run(
-      'INSERT INTO books (id, title, filename, filepath, file_size, author, session_id, slug) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [bookId, title, req.file.filename, req.file.path, req.file.size, author, sessionId, slug],
+      'INSERT INTO books (id, title, format, filename, filepath, file_size, file_hash, author, session_id, slug, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [bookId, title, format, file.filename, file.path, file.size, fileHash, author, sessionId, slug, INGESTION_STATUS.QUEUED],
       function(err) {
         if (err) {
           console.log('❌ Database error:', err);
+          fs.remove(file.path);
           return res.status(500).json({ error: 'Failed to save book information' });
         }
         
@@ -388,13 +862,18 @@ app.post('/api/upload', upload.single('epub'), async (req, res) => {
             
             console.log('✅ Session created:', sessionId);
             
+            // Metadata and conversion happen in the background
+            ingestionQueue.enqueue(bookId, ingestionSteps(bookId, file.path, format));
+            
             const response = {
               bookId: bookId,
               sessionId: sessionId,
               title: title,
               author: author,
-              filename: req.file.filename,
-              slug: slug
+              filename: file.filename,
+              slug: slug,
+              format: format,
+              status: INGESTION_STATUS.QUEUED
             };
             
             console.log('📤 Sending response:', response);
@@ -405,8 +884,123 @@ app.post('/api/upload', upload.single('epub'), async (req, res) => {
     );
   } catch (error) {
     console.error('❌ Upload error:', error);
+    fs.remove(file.path);
     res.status(500).json({ error: 'Upload failed' });
   }
+}
+
+// Upload a book in a single multipart request
+app.post('/api/upload', withUploadTimeout(receiveEpubUpload), async (req, res) => {
+  console.log('=== UPLOAD REQUEST RECEIVED ===');
+  console.log('Request file:', req.file);
+  
+  if (!req.file) {
+    console.log('❌ No file uploaded');
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  console.log('✅ File received:', req.file.originalname);
+  console.log('✅ File saved as:', req.file.filename);
+  console.log('✅ File saved to:', req.file.path);
+
+  await registerUploadedFile(req.file, res);
+});
+
+// Resumable chunked upload - declare the file first
+app.post('/api/uploads', async (req, res) => {
+  const { filename, size, sha256 } = req.body;
+  
+  const format = typeof filename === 'string' ? detectFormat(filename) : null;
+  if (!format) {
+    return res.status(400).json({
+      error: ERROR_MESSAGES.INVALID_FILE_TYPE(limits.FILE.ALLOWED_TYPES),
+      code: 'INVALID_FILE_TYPE'
+    });
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return res.status(400).json({ error: 'File size is required' });
+  }
+  const sizeLimit = formatSizeLimit(format);
+  if (size > sizeLimit.bytes) {
+    return res.status(413).json({
+      error: ERROR_MESSAGES.FILE_SIZE_EXCEEDED(sizeLimit.mb),
+      code: 'FILE_SIZE_EXCEEDED'
+    });
+  }
+  if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(sha256)) {
+    return res.status(400).json({ error: 'A SHA-256 checksum of the file is required' });
+  }
+  
+  try {
+    const upload = await chunkedUploads.create({ filename, size, sha256, client: req.ip });
+    console.log('📦 Chunked upload started:', upload.uploadId, filename, size);
+    res.json(upload);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// How much of an upload has arrived - clients resume from receivedBytes
+app.get('/api/uploads/:uploadId', (req, res) => {
+  try {
+    res.json(chunkedUploads.get(req.params.uploadId));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Append the next chunk (raw bytes) at ?offset=
+app.put('/api/uploads/:uploadId/chunks', chunkLimiter, withUploadTimeout(receiveUploadChunk), async (req, res) => {
+  const { uploadId } = req.params;
+  const offset = Number(req.query.offset);
+  
+  try {
+    res.json(await chunkedUploads.append(uploadId, offset, req.body));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Verify the assembled file and turn it into a book
+app.post('/api/uploads/:uploadId/finalize', async (req, res) => {
+  const { uploadId } = req.params;
+  
+  let completed;
+  try {
+    completed = await chunkedUploads.complete(uploadId, hashFile);
+  } catch (error) {
+    return sendUploadError(res, error);
+  }
+  
+  console.log('✅ Chunked upload complete:', uploadId, completed.filename);
+  
+  const filename = `${uuidv4()}${path.extname(completed.filename).toLowerCase()}`;
+  const filePath = path.join(__dirname, '../uploads', filename);
+  try {
+    await fs.move(completed.path, filePath);
+  } catch (error) {
+    console.log('❌ Failed to move assembled upload:', error);
+    await fs.remove(completed.path);
+    return res.status(500).json({ error: 'Upload failed' });
+  }
+  
+  await registerUploadedFile({
+    path: filePath,
+    filename,
+    originalname: completed.filename,
+    size: completed.size,
+    fileHash: completed.fileHash
+  }, res);
+});
+
+// Abandon a chunked upload
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+  try {
+    await chunkedUploads.cancel(req.params.uploadId);
+    res.json({ success: true });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
 });
 
 // Get book information
@@ -421,25 +1015,82 @@ app.get('/api/book/:bookId', (req, res) => {
       return res.status(404).json({ error: 'Book not found' });
     }
     
-    res.json(book);
+    res.json(formatBook(book));
   });
 });
 
-// Get session information
-app.get('/api/session/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
+// Start a fresh reading session on an already uploaded book (duplicate uploads)
+app.post('/api/books/:bookId/sessions', async (req, res) => {
+  const { bookId } = req.params;
   
-  db.get(`
-    SELECT s.*, b.title, b.filename 
-    FROM sessions s 
-    JOIN books b ON s.book_id = b.id 
-    WHERE s.id = ?
-  `, [sessionId], (err, session) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+  try {
+    const source = await dbGet('SELECT * FROM books WHERE id = ?', [bookId]);
+    if (!source) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    
+    const { bookId: newBookId, sessionId, slug } = await startSessionForBook(source);
+    console.log('✅ New session on existing file:', bookId, '->', newBookId);
+    
+    const book = await dbGet('SELECT title, author, status FROM books WHERE id = ?', [newBookId]);
+    res.json({
+      bookId: newBookId,
+      sessionId,
+      title: book.title,
+      author: book.author,
+      slug,
+      status: book.status
+    });
+  } catch (error) {
+    console.log('❌ Failed to start session for book:', bookId, error);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
+// Ingestion status for readers waiting on a new upload
+app.get('/api/books/:bookId/status', (req, res) => {
+  const { bookId } = req.params;
+  
+  const jobStatus = ingestionQueue.getStatus(bookId);
+  if (jobStatus) {
+    return res.json(jobStatus);
+  }
+  
+  db.get('SELECT id, status, status_error FROM books WHERE id = ?', [bookId], (err, book) => {
+    if (err) {
+      console.log('❌ Database error getting book status:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    
+    const finished = book.status === INGESTION_STATUS.READY || book.status === INGESTION_STATUS.FAILED;
+    res.json({
+      bookId: book.id,
+      status: book.status,
+      progress: finished ? 100 : 0,
+      queuePosition: 0,
+      error: book.status_error || null
+    });
+  });
+});
+
+// Get session information
+app.get('/api/session/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  
+  db.get(`
+    SELECT s.*, b.title, b.filename 
+    FROM sessions s 
+    JOIN books b ON s.book_id = b.id 
+    WHERE s.id = ?
+  `, [sessionId], (err, session) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
     res.json(session);
@@ -449,99 +1100,47 @@ app.get('/api/session/:sessionId', (req, res) => {
 // Get highlights for a book
 app.get('/api/book/:bookId/highlights', (req, res) => {
   const { bookId } = req.params;
+  const visible = visibleToSql(viewerOf(req), 'h');
   
   db.all(`
     SELECT h.*, u.username, u.color as user_color
     FROM highlights h
     JOIN users u ON h.user_id = u.id
-    WHERE h.book_id = ?
+    WHERE h.book_id = ? AND ${visible.sql}
     ORDER BY h.created_date DESC
-  `, [bookId], (err, highlights) => {
+  `, [bookId, ...visible.params], (err, highlights) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
     
-    res.json(highlights);
+    res.json(highlights.map(formatHighlight));
   });
 });
 
 // Get comments for a highlight - WITH JOIN (requires proper user_id)
 app.get('/api/highlight/:highlightId/comments', (req, res) => {
   const { highlightId } = req.params;
+  const visible = visibleToSql(viewerOf(req), 'c');
   
   db.all(`
     SELECT c.id, c.book_id, c.user_id, c.username, c.chapter, c.text, c.comment, 
-           c.content, c.position, c.highlight_id, c.parent_id, c.created_at,
-           u.color as user_color
+           c.content, c.position, c.highlight_id, c.parent_id, c.created_at, c.updated_at,
+           c.visibility, c.shared_with, c.tags, u.color as user_color
     FROM comments c
     LEFT JOIN users u ON c.user_id = u.id
-    WHERE c.highlight_id = ?
+    WHERE c.highlight_id = ? AND ${visible.sql}
     ORDER BY c.created_at ASC
-  `, [highlightId], (err, comments) => {
+  `, [highlightId, ...visible.params], (err, comments) => {
     if (err) {
       console.log('❌ Database error getting comments:', err);
       return res.status(500).json({ error: 'Database error' });
     }
     
     console.log('✅ Retrieved comments for highlight:', highlightId, 'comments:', comments);
-    res.json(comments || []);
+    res.json((comments || []).map(formatComment));
   });
 });
 
-// Test Calibre installation
-app.get('/api/test-calibre', async (req, res) => {
-  try {
-    console.log('Testing Calibre installation...');
-    
-    const calibrePath = '/Applications/calibre.app/Contents/MacOS/ebook-convert';
-    
-    // Test if Calibre exists
-    if (!fs.existsSync(calibrePath)) {
-      return res.json({ 
-        success: false, 
-        error: 'Calibre not found at expected path',
-        path: calibrePath
-      });
-    }
-    
-    // Test Calibre version
-    const versionProcess = spawn(calibrePath, ['--version']);
-    
-    versionProcess.stdout.on('data', (data) => {
-      const version = data.toString().trim();
-      console.log('Calibre version:', version);
-      res.json({ 
-        success: true, 
-        version: version,
-        path: calibrePath
-      });
-    });
-    
-    versionProcess.stderr.on('data', (data) => {
-      res.json({ 
-        success: false, 
-        error: 'Failed to get Calibre version',
-        stderr: data.toString()
-      });
-    });
-    
-    versionProcess.on('error', (error) => {
-      res.json({ 
-        success: false, 
-        error: 'Failed to spawn Calibre process',
-        details: error.message
-      });
-    });
-    
-  } catch (error) {
-    res.json({ 
-      success: false, 
-      error: 'Test failed',
-      details: error.message
-    });
-  }
-});
-
 // Add this test endpoint to check if metadata extraction works
 app.get('/api/test-metadata/:bookId', async (req, res) => {
   const { bookId } = req.params;
@@ -556,7 +1155,7 @@ app.get('/api/test-metadata/:bookId', async (req, res) => {
       console.log('🧪 Testing metadata extraction for:', book.filepath);
       
       try {
-        const metadata = await extractEpubMetadata(book.filepath);
+        const metadata = await extractBookMetadata(book.filepath, book.format);
         res.json({ success: true, metadata: metadata });
       } catch (error) {
         res.json({ success: false, error: error.message });
@@ -633,6 +1232,38 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Follow ingestion progress and annotation changes for a book. Readers who give their
+  // profile and its token also receive what is shared only with them.
+  socket.on('watch-book', async (data) => {
+    const { bookId, profileId, token } = data || {};
+    if (!bookId) {
+      return;
+    }
+    
+    socket.join(`book:${bookId}`);
+    
+    const status = ingestionQueue.getStatus(bookId);
+    if (status) {
+      socket.emit('book-status', status);
+    }
+    
+    if (profileId) {
+      try {
+        const profile = token && await dbGet(
+          'SELECT id FROM book_profiles WHERE id = ? AND book_id = ? AND token = ?',
+          [profileId, bookId, token]
+        );
+        if (!profile) {
+          socket.emit('error', ERROR_MESSAGES.NOT_PROFILE_OWNER());
+          return;
+        }
+        socket.join(`profile:${profileId}`);
+      } catch (error) {
+        console.log('❌ Database error checking profile:', error);
+      }
+    }
+  });
+  
   // Handle highlights
   socket.on('create-highlight', (data) => {
     if (!currentUser || !currentSession) {
@@ -683,60 +1314,34 @@ io.on('connection', (socket) => {
     );
   });
   
-  // Handle comments
-  socket.on('create-comment', (data) => {
+  // Handle comments and replies (`parentId`) - created like the REST endpoint's, with the
+  // session user as the author
+  socket.on('create-comment', async (data) => {
     if (!currentUser || !currentSession) {
       socket.emit('error', 'Not connected to session');
       return;
     }
     
-    const { highlightId, content, parentId } = data;
-    const commentId = uuidv4();
-    
-    // Validate comment length
-    if (content.length < limits.CONTENT.COMMENTS.MIN_LENGTH_CHARS || 
-        content.length > limits.CONTENT.COMMENTS.MAX_LENGTH_CHARS) {
-      socket.emit('error', 'Comment length invalid');
+    const { bookId, highlightId, content, parentId } = data || {};
+    if (!bookId || !content || (!parentId && !highlightId)) {
+      socket.emit('error', 'Missing required fields');
       return;
     }
     
-    // Check comment limits
-    db.get(
-      'SELECT COUNT(*) as count FROM comments WHERE highlight_id = ?',
-      [highlightId],
-      (err, result) => {
-        if (err || result.count >= limits.CONTENT.COMMENTS.MAX_PER_HIGHLIGHT) {
-          socket.emit('error', 'Comment limit reached');
-          return;
-        }
-        
-        // Create comment
-        db.run(
-          'INSERT INTO comments (id, highlight_id, user_id, content, parent_id) VALUES (?, ?, ?, ?, ?)',
-          [commentId, highlightId, currentUser.id, content, parentId || null],
-          function(err) {
-            if (err) {
-              socket.emit('error', 'Failed to create comment');
-              return;
-            }
-            
-            const comment = {
-              id: commentId,
-              highlightId,
-              userId: currentUser.id,
-              content,
-              parentId: parentId || null,
-              username: currentUser.username,
-              userColor: currentUser.color,
-              createdDate: new Date().toISOString()
-            };
-            
-            socket.emit('comment-created', comment);
-            socket.to(currentSession).emit('comment-added', comment);
-          }
-        );
+    try {
+      const { comment, error } = await createComment(
+        bookId,
+        { profile_id: currentUser.id, username: currentUser.username },
+        { text: content, highlightId, parentId }
+      );
+      if (!comment) {
+        socket.emit('error', error);
+        return;
       }
-    );
+      socket.emit('comment-created', comment);
+    } catch (error) {
+      socket.emit('error', 'Failed to create comment');
+    }
   });
   
   // Handle reading progress
@@ -780,460 +1385,1384 @@ io.on('connection', (socket) => {
   });
 });
 
-// Update the convert endpoint to use hybrid cleanup
-app.post('/api/convert-epub/:bookId', async (req, res) => {
-  const { bookId } = req.params;
+// Cached content stores this token in place of the asset route origin, which
+// depends on the host the reader used to reach us
+const ASSET_BASE_PLACEHOLDER = '{{asset-base}}';
+
+function encodeAssetPath(entryPath) {
+  return entryPath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Base URL of the asset route - absolute, since the reader runs on another origin
+function bookAssetBase(req, bookId) {
+  return `${req.protocol}://${req.get('host')}/api/books/${bookId}/assets`;
+}
+
+// Conversions in flight, so readers opening the same book share one parse
+const contentConversions = new Map();
+
+// Parse the book and store the serialized result in book_content
+async function convertAndCacheBook(book) {
+  console.log('📚 Converting book for cache:', book.id, book.format);
+  const result = await parseBook(book.filepath, book.format, {
+    assetUrl: (entryPath) => `${ASSET_BASE_PLACEHOLDER}/${encodeAssetPath(entryPath)}`
+  });
   
-  try {
-    console.log('Converting EPUB for book ID:', bookId);
-    
-    // Get book info from database
-    db.get('SELECT * FROM books WHERE id = ?', [bookId], async (err, book) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!book) {
-        return res.status(404).json({ error: 'Book not found' });
-      }
-      
-      console.log('Found book:', book.filename);
-      console.log('Book filepath:', book.filepath);
-      
-      // Check if file exists
-      if (!fs.existsSync(book.filepath)) {
-        console.error('File does not exist:', book.filepath);
-        return res.status(404).json({ error: 'Book file not found' });
-      }
-      
-      try {
-        // Convert EPUB to HTML using Calibre
-        const result = await convertEpubToHtml(book.filepath);
-        
-        // Send response first
-        res.json({
-          success: true,
-          html: result.content.html,
-          chapters: result.content.chapters,
-          metadata: result.content.metadata,
-          bookId: bookId
-        });
-        
-        // Clean up after response is sent
-        result.cleanup();
+  const content = JSON.stringify({
+    chapters: result.chapters,
+    toc: result.toc,
+    metadata: result.metadata
+  });
+  
+  await dbRun(
+    'INSERT OR REPLACE INTO book_content (book_id, file_hash, converter_version, content, created_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
+    [book.id, book.file_hash, converterVersion(book.format), content]
+  );
+  await indexBookText(book.id, result.chapters);
+  
+  console.log('✅ Cached book content:', book.id, result.chapters.length, 'chapters');
+  return content;
+}
+
+// Replace the book's chapters in the search index. Comic pages have no text to index.
+async function indexBookText(bookId, chapters) {
+  await dbRun('DELETE FROM book_search WHERE book_id = ?', [bookId]);
+  for (const [index, chapter] of chapters.entries()) {
+    const text = chapterPlainText(chapter.content);
+    if (text.trim()) {
+      await dbRun('INSERT INTO book_search (book_id, chapter, text) VALUES (?, ?, ?)', [bookId, index + 1, text]);
+    }
+  }
+}
+
+// Serialized chapters/TOC/metadata for a book, converting on a cache miss
+function getBookContent(book) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT content FROM book_content WHERE book_id = ? AND file_hash = ? AND converter_version = ?',
+      [book.id, book.file_hash, converterVersion(book.format)],
+      (err, row) => {
+        if (err) {
+          return reject(err);
+        }
+        if (row) {
+          return resolve(row.content);
+        }
         
-      } catch (conversionError) {
-        console.error('Conversion error:', conversionError);
-        res.status(500).json({ error: `Failed to convert EPUB: ${conversionError.message}` });
+        if (!contentConversions.has(book.id)) {
+          const conversion = convertAndCacheBook(book).finally(() => contentConversions.delete(book.id));
+          contentConversions.set(book.id, conversion);
+        }
+        contentConversions.get(book.id).then(resolve, reject);
       }
-    });
-  } catch (error) {
-    console.error('Convert endpoint error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    );
+  });
+}
+
+// Look up a book row and make sure it has a file hash to key its content by
+async function getBookWithHash(bookId) {
+  const book = await dbGet('SELECT * FROM books WHERE id = ?', [bookId]);
+  if (!book || book.file_hash || !fs.existsSync(book.filepath)) {
+    return book;
   }
-});
+  
+  book.file_hash = await hashFile(book.filepath);
+  await dbRun('UPDATE books SET file_hash = ? WHERE id = ?', [book.file_hash, book.id]);
+  return book;
+}
 
-// Temporary version with NO file deletion for debugging
-async function convertEpubToHtml(filePath) {
-  return new Promise((resolve, reject) => {
-    console.log('\n=== CALIBRE CONVERSION DEBUG ===');
-    console.log('Input file path:', filePath);
-    console.log('File exists:', fs.existsSync(filePath));
+// Send converted chapters, TOC and metadata for the reader
+async function sendBookContent(req, res) {
+  const { bookId } = req.params;
+  
+  try {
+    const book = await getBookWithHash(bookId);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
     
-    const calibrePath = '/Applications/calibre.app/Contents/MacOS/ebook-convert';
-    console.log('Calibre path:', calibrePath);
+    // Readers should wait for the ingestion job instead of converting out of turn
+    if (book.status && book.status !== INGESTION_STATUS.READY) {
+      return res.status(409).json({
+        error: book.status === INGESTION_STATUS.FAILED ? `Failed to process book: ${book.status_error}` : 'Book is still being processed',
+        status: book.status
+      });
+    }
     
-    // Create output filename
-    const inputDir = path.dirname(filePath);
-    const inputName = path.basename(filePath, '.epub');
-    const tempOutputPath = path.join(inputDir, `${inputName}_output.txt`);
+    // Check if file exists
+    if (!fs.existsSync(book.filepath)) {
+      console.error('File does not exist:', book.filepath);
+      return res.status(404).json({ error: 'Book file not found' });
+    }
     
-    console.log('Output path:', tempOutputPath);
+    res.set({
+      'ETag': `"content-${book.file_hash}-${converterVersion(book.format)}"`,
+      'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'GET' && req.fresh) {
+      return res.status(304).end();
+    }
     
-    const conversionArgs = [
-      filePath,           // Input file
-      tempOutputPath      // Output file
-    ];
+    try {
+      const content = await getBookContent(book);
+      const assetBase = bookAssetBase(req, bookId);
+      
+      res.json({
+        success: true,
+        ...JSON.parse(content.split(ASSET_BASE_PLACEHOLDER).join(assetBase)),
+        bookId: bookId
+      });
+    } catch (conversionError) {
+      console.error('Conversion error:', conversionError);
+      res.status(500).json({ error: `Failed to convert book: ${conversionError.message}` });
+    }
+  } catch (error) {
+    console.error('Book content error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Cheap cached read of a book's converted content
+app.get('/api/books/:bookId/content', sendBookContent);
+
+// Kept for older clients - serves the same cached content
+app.post('/api/convert-epub/:bookId', sendBookContent);
+
+// Search the discussion: highlighted passages, comment bodies, tags and usernames matching
+// ?q= (words and "quoted phrases", as in book search), narrowed by ?profile_id=, ?chapter=
+// and ?from=/?to=. Only what `viewer_id` may see is searched. Results are in chapter order.
+app.get('/api/books/:bookId/annotations/search', async (req, res) => {
+  const { bookId } = req.params;
+  
+  if (!limits.FEATURES.SEARCH_FUNCTIONALITY) {
+    return res.status(403).json({ error: ERROR_MESSAGES.SEARCH_DISABLED(), code: 'SEARCH_DISABLED' });
+  }
+  const query = parseSearchQuery(req.query.q);
+  if (query.error) {
+    return res.status(400).json(query);
+  }
+  const highlightDates = dateRangeSql(req.query, 'created_date');
+  const commentDates = dateRangeSql(req.query, 'created_at');
+  if (!highlightDates || !commentDates) {
+    return res.status(400).json({ error: ERROR_MESSAGES.INVALID_DATE_RANGE(), code: 'INVALID_DATE_RANGE' });
+  }
+  
+  const visible = visibleToSql(viewerOf(req));
+  const filters = annotationFiltersSql(req.query);
+  const where = (dates) => `book_id = ? AND ${visible.sql} AND ${filters.sql} AND ${dates.sql}`;
+  const params = (dates) => [bookId, ...visible.params, ...filters.params, ...dates.params];
+  
+  try {
+    const [highlights, comments] = await Promise.all([
+      dbAll(`SELECT * FROM highlights WHERE ${where(highlightDates)}`, params(highlightDates)),
+      dbAll(`SELECT * FROM comments WHERE ${where(commentDates)}`, params(commentDates))
+    ]);
     
-    console.log('Full conversion command:', calibrePath, conversionArgs.join(' '));
+    const results = [
+      ...highlights.map(formatHighlight)
+        .filter(highlight => matchesQuery([highlight.text, highlight.username, ...highlight.tags], query.clauses))
+        .map(highlight => ({ type: 'highlight', created: highlight.created_date, ...highlight })),
+      ...comments.map(formatComment)
+        .filter(comment => matchesQuery([comment.comment, comment.username, ...comment.tags], query.clauses))
+        .map(comment => ({ type: 'comment', created: comment.created_at, ...comment }))
+    ].sort((a, b) => a.chapter - b.chapter || String(a.created).localeCompare(String(b.created)));
     
-    const calibreProcess = spawn(calibrePath, conversionArgs);
+    const maxResults = limits.CONTENT.SEARCH.MAX_RESULTS;
+    console.log('🔍 Searched annotations:', bookId, JSON.stringify(req.query.q), results.length, 'matches');
+    res.json({ results: results.slice(0, maxResults), truncated: results.length > maxResults });
+  } catch (error) {
+    console.log('❌ Database error searching annotations:', error);
+    res.status(500).json({ error: 'Failed to search annotations' });
+  }
+});
+
+// Search the book's text for ?q= words and "quoted phrases", ignoring case and accents.
+// Hits come in reading order with a snippet and selectors locating them in their chapter.
+app.get('/api/books/:bookId/search', async (req, res) => {
+  const { bookId } = req.params;
+  
+  if (!limits.FEATURES.SEARCH_FUNCTIONALITY) {
+    return res.status(403).json({ error: ERROR_MESSAGES.SEARCH_DISABLED(), code: 'SEARCH_DISABLED' });
+  }
+  const query = parseSearchQuery(req.query.q);
+  if (query.error) {
+    return res.status(400).json(query);
+  }
+  
+  try {
+    const book = await dbGet('SELECT id, status FROM books WHERE id = ?', [bookId]);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    if (book.status && book.status !== INGESTION_STATUS.READY) {
+      return res.status(409).json({ error: 'Book is still being processed', status: book.status });
+    }
     
-    let errorOutput = '';
+    const chapters = await dbAll(
+      'SELECT chapter, text FROM book_search WHERE book_search MATCH ? AND book_id = ? ORDER BY chapter',
+      [query.match, bookId]
+    );
+    const hits = chapters.flatMap(({ chapter, text }) => (
+      findHits(text, query.clauses).map(({ snippet, selectors }) => ({ chapter, snippet, selectors }))
+    ));
     
-    calibreProcess.stderr.on('data', (data) => {
-      const output = data.toString();
-      errorOutput += output;
-      console.log('Calibre stderr:', output);
-    });
+    const maxResults = limits.CONTENT.SEARCH.MAX_RESULTS;
+    console.log('🔍 Searched book:', bookId, JSON.stringify(req.query.q), hits.length, 'hits');
+    res.json({ results: hits.slice(0, maxResults), truncated: hits.length > maxResults });
+  } catch (error) {
+    console.log('❌ Database error searching book:', error);
+    res.status(500).json({ error: 'Failed to search book' });
+  }
+});
+
+// Keep a few recently used archives open so chapter images don't re-read the whole file
+const openArchives = new Map();
+const MAX_OPEN_ARCHIVES = 10;
+
+function getOpenArchive(book) {
+  let archive = openArchives.get(book.id);
+  if (archive) {
+    // Refresh recency
+    openArchives.delete(book.id);
+  } else {
+    archive = openArchive(book.filepath, book.format);
+  }
+
+  openArchives.set(book.id, archive);
+  if (openArchives.size > MAX_OPEN_ARCHIVES) {
+    openArchives.delete(openArchives.keys().next().value);
+  }
+  return archive;
+}
+
+// Manifest media types that must never be served from our origin
+const BLOCKED_ASSET_TYPES = [
+  'application/xhtml+xml',
+  'text/html',
+  'application/javascript',
+  'application/ecmascript',
+  'text/javascript'
+];
+
+// Fallbacks for manifest items with a missing media-type
+const ASSET_MIME_TYPES = {
+  '.css': 'text/css',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+// Serve images, stylesheets and fonts from inside an uploaded EPUB, and comic pages from a CBZ
+app.get('/api/books/:bookId/assets/*', (req, res) => {
+  const { bookId } = req.params;
+  const assetPath = req.params[0];
+  
+  db.get('SELECT * FROM books WHERE id = ?', [bookId], (err, book) => {
+    if (err) {
+      console.log('❌ Database error getting book for asset:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    // Text, Markdown and HTML books have no packaged resources
+    if (!ARCHIVE_FORMATS.includes(book.format)) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
     
-    calibreProcess.on('close', (code) => {
-      console.log('\n=== CONVERSION RESULT ===');
-      console.log('Exit code:', code);
-      console.log('Expected output file:', tempOutputPath);
-      console.log('Output file exists:', fs.existsSync(tempOutputPath));
+    try {
+      const archive = getOpenArchive(book);
+      const item = archive.resources.get(assetPath);
+      const entry = item && archive.getEntry(item.path);
       
-      if (code === 0) {
-        if (fs.existsSync(tempOutputPath)) {
-          try {
-            const textContent = fs.readFileSync(tempOutputPath, 'utf8');
-            console.log('✅ Text extraction successful, length:', textContent.length);
-            console.log('Text preview:', textContent.substring(0, 200) + '...');
-            
-            // TEMPORARILY DISABLED: No file deletion
-            // fs.unlinkSync(tempOutputPath);
-            console.log('⚠️  TEMPORARY: File NOT deleted for debugging');
-            
-            const htmlContent = convertTextToHtml(textContent);
-            const parsedContent = parseCalibreHtml(htmlContent);
-            
-            // Return content with no-op cleanup function
-            resolve({
-              content: parsedContent,
-              cleanup: () => {
-                console.log('⚠️  TEMPORARY: Cleanup disabled for debugging');
-                // No cleanup for now
-              }
-            });
-          } catch (err) {
-            console.error('❌ Failed to read text file:', err);
-            reject(new Error(`Failed to read converted text: ${err.message}`));
-          }
-        } else {
-          console.error('❌ Output file not found after successful conversion');
-          console.error('Expected:', tempOutputPath);
-          reject(new Error('Calibre did not create output file'));
-        }
-      } else {
-        console.error('❌ Calibre conversion failed');
-        console.error('Exit code:', code);
-        console.error('Error output:', errorOutput);
-        
-        reject(new Error(`Calibre conversion failed with code ${code}: ${errorOutput}`));
+      if (!entry || BLOCKED_ASSET_TYPES.includes(item.mediaType)) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+      
+      res.set({
+        'Content-Type': item.mediaType || ASSET_MIME_TYPES[path.extname(item.path).toLowerCase()] || 'application/octet-stream',
+        // Uploaded files never change, so assets can be cached for as long as the book exists
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'ETag': `"${bookId}-${entry.header.crc.toString(16)}"`,
+        // helmet defaults to same-origin, which would block <img> on the reader's origin
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      
+      if (req.fresh) {
+        return res.status(304).end();
       }
+      
+      res.send(archive.readBuffer(item.path));
+    } catch (error) {
+      console.log('❌ Failed to read book asset:', assetPath, error);
+      res.status(500).json({ error: 'Failed to read book asset' });
+    }
+  });
+});
+
+// Cover thumbnail (?size=small|medium|large)
+app.get('/api/books/:bookId/cover', (req, res) => {
+  const { bookId } = req.params;
+  const { THUMBNAIL_WIDTHS, DEFAULT_SIZE } = limits.FILE.COVER;
+  const size = req.query.size || DEFAULT_SIZE;
+  
+  if (!Object.hasOwn(THUMBNAIL_WIDTHS, size)) {
+    return res.status(400).json({
+      error: ERROR_MESSAGES.INVALID_COVER_SIZE(Object.keys(THUMBNAIL_WIDTHS)),
+      code: 'INVALID_COVER_SIZE'
     });
+  }
+  
+  db.get('SELECT id, cover_path FROM books WHERE id = ?', [bookId], async (err, book) => {
+    if (err) {
+      console.log('❌ Database error getting book for cover:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    if (!book.cover_path) {
+      return res.status(404).json({ error: 'Cover not found' });
+    }
     
-    calibreProcess.on('error', (error) => {
-      console.error('❌ Calibre process spawn error:', error);
-      reject(new Error(`Failed to spawn Calibre process: ${error.message}`));
+    try {
+      const thumbnailPath = await coverThumbnail(book.cover_path, THUMBNAIL_WIDTHS[size]);
+      res.sendFile(thumbnailPath, {
+        maxAge: '1y',
+        immutable: true,
+        headers: { 'Cross-Origin-Resource-Policy': 'cross-origin' }
+      });
+    } catch (error) {
+      console.log('❌ Failed to render cover thumbnail:', bookId, error);
+      res.status(500).json({ error: 'Failed to render cover' });
+    }
+  });
+});
+
+// Read metadata straight from the file (OPF for EPUBs) - no external tools, no shell
+async function extractBookMetadata(filePath, format) {
+  console.log('🔍 Starting metadata extraction...');
+  console.log('📁 File path:', filePath, format);
+  
+  const metadata = await readBookMetadata(filePath, format);
+  console.log('✅ Parsed metadata:', metadata);
+  return metadata;
+}
+
+// Books store list-valued metadata as JSON text
+function parseJsonColumn(value) {
+  try {
+    return value ? JSON.parse(value) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function formatBook(book) {
+  return {
+    ...book,
+    creators: parseJsonColumn(book.creators),
+    identifiers: parseJsonColumn(book.identifiers),
+    subjects: parseJsonColumn(book.subjects),
+    highlight_palette: parseJsonColumn(book.highlight_palette)
+  };
+}
+
+// A comic page region as { x, y, width, height } fractions of the page, or null if
+// it isn't one. Rounded so the stored JSON stays short.
+function normalizeRegion(region) {
+  if (!region || typeof region !== 'object') return null;
+  
+  const values = ['x', 'y', 'width', 'height'].map(key => Number(region[key]));
+  if (!values.every(Number.isFinite)) return null;
+  
+  const [x, y, width, height] = values.map(value => Math.round(value * 10000) / 10000);
+  const minSize = limits.CONTENT.HIGHLIGHTS.MIN_REGION_SIZE;
+  if (x < 0 || y < 0 || width < minSize || height < minSize || x + width > 1 || y + height > 1) {
+    return null;
+  }
+  return { x, y, width, height };
+}
+
+// W3C Web Annotation selectors the reader re-anchors text highlights with: a
+// TextQuoteSelector (exact text plus prefix/suffix context) and a TextPositionSelector
+// (character offsets into the chapter text). Anything else is dropped; null if none are usable.
+function normalizeSelectors(selectors) {
+  if (!Array.isArray(selectors)) return null;
+  
+  const isString = (value) => typeof value === 'string';
+  const quote = selectors.find(selector => selector?.type === 'TextQuoteSelector');
+  const position = selectors.find(selector => selector?.type === 'TextPositionSelector');
+  const usable = [];
+  
+  if (quote && isString(quote.exact) && quote.exact.length > 0 && quote.exact.length <= limits.CONTENT.HIGHLIGHTS.MAX_TEXT_LENGTH) {
+    usable.push({
+      type: 'TextQuoteSelector',
+      exact: quote.exact,
+      prefix: isString(quote.prefix) ? quote.prefix.slice(-limits.CONTENT.HIGHLIGHTS.QUOTE_CONTEXT_CHARS) : '',
+      suffix: isString(quote.suffix) ? quote.suffix.slice(0, limits.CONTENT.HIGHLIGHTS.QUOTE_CONTEXT_CHARS) : ''
     });
+  }
+  if (position && Number.isInteger(position.start) && Number.isInteger(position.end) && position.start >= 0 && position.end > position.start) {
+    usable.push({ type: 'TextPositionSelector', start: position.start, end: position.end });
+  }
+  
+  return usable.length > 0 ? usable : null;
+}
+
+function parseHighlightColumn(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    // Leave a corrupt value out rather than failing the whole list
+    return fallback;
+  }
+}
+
+function formatHighlight(highlight) {
+  return {
+    ...formatVisibility(highlight),
+    tags: parseTags(highlight.tags),
+    selectors: parseHighlightColumn(highlight.selectors, []),
+    region: parseHighlightColumn(highlight.region, null)
+  };
+}
+
+// A comment's body is in `comment` - older socket-made rows kept it in `content` - so
+// lists and search all read it from the same field
+function formatComment(comment) {
+  return { ...formatVisibility(comment), comment: comment.comment ?? comment.content ?? null, tags: parseTags(comment.tags) };
+}
+
+// Filters shared by the highlight and comment lists: ?chapter=, ?profile_id= (the author)
+// and ?tags= (every tag must be present). Returns { sql, params } to AND onto the query.
+function annotationFiltersSql({ chapter, profile_id, tags }) {
+  const conditions = [];
+  const params = [];
+  if (chapter) {
+    conditions.push('chapter = ?');
+    params.push(parseInt(chapter));
+  }
+  if (profile_id) {
+    conditions.push('user_id = ?');
+    params.push(profile_id);
+  }
+  const tagged = taggedSql(tagsFromQuery(tags));
+  conditions.push(tagged.sql);
+  params.push(...tagged.params);
+  return { sql: conditions.join(' AND '), params };
+}
+
+// ?from= and ?to= (YYYY-MM-DD, both inclusive) as a condition on the date `column`:
+// { sql, params }, or null if either date is malformed or the range is backwards
+function dateRangeSql({ from, to }, column) {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  if ((from && !isDay(from)) || (to && !isDay(to)) || (from && to && from > to)) {
+    return null;
+  }
+  const conditions = ['1 = 1'];
+  const params = [];
+  if (from) {
+    conditions.push(`date(${column}) >= date(?)`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`date(${column}) <= date(?)`);
+    params.push(to);
+  }
+  return { sql: conditions.join(' AND '), params };
+}
+
+function bookProfileIds(bookId) {
+  return dbAll('SELECT id FROM book_profiles WHERE book_id = ?', [bookId]).then(rows => rows.map(row => row.id));
+}
+
+// Check a highlight's `palette_key` against the book's palette. Returns null when it's
+// fine (including null/empty, which leaves the highlight uncategorized), else { error, code }.
+async function paletteKeyError(bookId, paletteKey) {
+  if (!paletteKey) {
+    return null;
+  }
+  const book = await dbGet('SELECT highlight_palette FROM books WHERE id = ?', [bookId]);
+  if (!paletteEntry(parseJsonColumn(book?.highlight_palette), paletteKey)) {
+    return { error: ERROR_MESSAGES.UNKNOWN_PALETTE_KEY(), code: 'UNKNOWN_PALETTE_KEY' };
+  }
+  return null;
+}
+
+// Send an annotation event to the readers who can see the annotation: the whole book
+// for shared ones, otherwise the author's and the chosen profiles' rooms
+function emitToAudience(bookId, annotation, event, payload) {
+  const audience = audienceOf(annotation);
+  const rooms = audience ? audience.map(profileId => `profile:${profileId}`) : `book:${bookId}`;
+  io.to(rooms).emit(event, payload);
+}
+
+// Update the highlights POST endpoint
+app.post('/api/books/:bookId/highlights', async (req, res) => {
+  const { bookId } = req.params;
+  const { text, region, cfi, selectors, chapter, position, color, visibility, shared_with, tags, palette_key, profile_id, username } = req.body;
+  
+  // Comic pages are annotated with a rectangle instead of a text selection
+  if ((!text && !region) || !chapter || !profile_id || !username) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  // Text highlights are anchored by the range CFI the reader computed from the selection
+  if (cfi && (typeof cfi !== 'string' || !/^epubcfi\(.+\)$/.test(cfi))) {
+    return res.status(400).json({ error: 'Invalid CFI' });
+  }
+  
+  const pageRegion = region ? normalizeRegion(region) : null;
+  const textSelectors = normalizeSelectors(selectors);
+  // The legacy position column holds the selection's offset in the chapter text when known
+  const textPosition = textSelectors?.find(selector => selector.type === 'TextPositionSelector')?.start ?? position;
+  if (region && !pageRegion) {
+    const minSize = limits.CONTENT.HIGHLIGHTS.MIN_REGION_SIZE;
+    return res.status(400).json({ error: ERROR_MESSAGES.INVALID_REGION(minSize), code: 'INVALID_REGION' });
+  }
+  
+  // Private notes and annotations shared with chosen readers
+  let audience;
+  let paletteError;
+  try {
+    audience = normalizeVisibility(visibility, shared_with, profile_id, await bookProfileIds(bookId));
+    paletteError = await paletteKeyError(bookId, palette_key);
+  } catch (error) {
+    console.log('❌ Database error loading profiles:', error);
+    return res.status(500).json({ error: 'Failed to create highlight' });
+  }
+  if (audience.error) {
+    return res.status(400).json(audience);
+  }
+  if (paletteError) {
+    return res.status(400).json(paletteError);
+  }
+  
+  const tagged = normalizeTags(tags);
+  if (tagged.error) {
+    return res.status(400).json(tagged);
+  }
+  
+  const highlightId = uuidv4();
+  
+  db.run(
+    'INSERT INTO highlights (id, book_id, user_id, username, text, cfi, selectors, region, chapter, position, color, visibility, shared_with, tags, palette_key, created_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+    [highlightId, bookId, profile_id, username, text || null, cfi || null, textSelectors && JSON.stringify(textSelectors), pageRegion && JSON.stringify(pageRegion), chapter, textPosition, color || '#ffeb3b', audience.visibility, JSON.stringify(audience.sharedWith), JSON.stringify(tagged.tags), palette_key || null],
+    function(err) {
+      if (err) {
+        console.log('❌ Database error creating highlight:', err);
+        return res.status(500).json({ error: 'Failed to create highlight' });
+      }
+      
+      const newHighlight = {
+        id: highlightId,
+        book_id: bookId,
+        user_id: profile_id,
+        username: username,
+        text: text || null,
+        cfi: cfi || null,
+        selectors: textSelectors || [],
+        region: pageRegion,
+        chapter: chapter,
+        position: textPosition,
+        color: color || '#ffeb3b',
+        visibility: audience.visibility,
+        shared_with: audience.sharedWith,
+        tags: tagged.tags,
+        palette_key: palette_key || null,
+        created_date: new Date().toISOString()
+      };
+      
+      console.log('✅ Created highlight:', newHighlight);
+      emitToAudience(bookId, newHighlight, 'highlight-added', newHighlight);
+      res.json(newHighlight);
+    }
+  );
+});
+
+// Lists only return annotations `viewer_id` may see; without one (or its token), only shared annotations.
+// Both lists can be narrowed by chapter, author (`profile_id`) and tags.
+app.get('/api/books/:bookId/highlights', (req, res) => {
+  const { bookId } = req.params;
+  const visible = visibleToSql(viewerOf(req));
+  const filters = annotationFiltersSql(req.query);
+  
+  const query = `SELECT * FROM highlights WHERE book_id = ? AND ${visible.sql} AND ${filters.sql} ORDER BY created_date DESC`;
+  const params = [bookId, ...visible.params, ...filters.params];
+  
+  db.all(query, params, (err, highlights) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load highlights' });
+    }
+    
+    res.json(highlights.map(formatHighlight));
+  });
+});
+
+// Add these missing endpoints after the highlights endpoints
+app.get('/api/books/:bookId/comments', (req, res) => {
+  const { bookId } = req.params;
+  const { highlight_id } = req.query;
+  const viewer_id = viewerOf(req);
+  const visible = visibleToSql(viewer_id);
+  const filters = annotationFiltersSql(req.query);
+  
+  let query = `SELECT * FROM comments WHERE book_id = ? AND ${visible.sql} AND ${filters.sql}`;
+  let params = [bookId, ...visible.params, ...filters.params];
+  
+  if (highlight_id) {
+    query += ' AND highlight_id = ?';
+    params.push(highlight_id);
+  }
+  
+  query += ' ORDER BY created_at DESC';
+  
+  db.all(query, params, (err, comments) => {
+    if (err) {
+      console.log('❌ Database error loading comments:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
     
-    setTimeout(() => {
-      calibreProcess.kill();
-      reject(new Error('Calibre conversion timed out after 30 seconds'));
-    }, 30000);
+    console.log('✅ Loaded comments:', comments);
+    res.json((comments || []).map(formatComment));
   });
+});
+
+// { error, code } if a comment's or reply's text is outside the configured length, else null
+function commentLengthError(text, isReply) {
+  const { MIN_LENGTH_CHARS, MAX_LENGTH_CHARS } = isReply ? limits.CONTENT.REPLIES : limits.CONTENT.COMMENTS;
+  const kind = isReply ? 'REPLY' : 'COMMENT';
+  const length = typeof text === 'string' ? text.trim().length : 0;
+  
+  if (length < MIN_LENGTH_CHARS) {
+    return { error: ERROR_MESSAGES[`${kind}_TOO_SHORT`](MIN_LENGTH_CHARS), code: `${kind}_TOO_SHORT` };
+  }
+  if (length > MAX_LENGTH_CHARS) {
+    return { error: ERROR_MESSAGES[`${kind}_TOO_LONG`](MAX_LENGTH_CHARS), code: `${kind}_TOO_LONG` };
+  }
+  return null;
 }
 
-// Add this function to convert plain text to HTML
-function convertTextToHtml(textContent) {
-  // Split into paragraphs and add basic HTML formatting
-  const paragraphs = textContent.split('\n\n').filter(p => p.trim().length > 0);
+// How many replies deep a comment sits: 0 for a comment on a highlight
+function commentDepth(commentId) {
+  return dbGet(`
+    WITH RECURSIVE ancestors(id, parent_id, depth) AS (
+      SELECT id, parent_id, 0 FROM comments WHERE id = ?
+      UNION ALL
+      SELECT c.id, c.parent_id, a.depth + 1 FROM comments c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT MAX(depth) AS depth FROM ancestors
+  `, [commentId]).then(row => row.depth || 0);
+}
+
+// { error, code } if `parent` can't take another reply, else null
+async function replyLimitError(parent) {
+  const { MAX_REPLY_DEPTH } = limits.CONTENT.COMMENTS;
+  if (await commentDepth(parent.id) + 1 > MAX_REPLY_DEPTH) {
+    return { error: ERROR_MESSAGES.REPLY_DEPTH_EXCEEDED(MAX_REPLY_DEPTH), code: 'REPLY_DEPTH_EXCEEDED' };
+  }
   
-  let html = '<div class="book-content">';
+  const { MAX_PER_COMMENT } = limits.CONTENT.REPLIES;
+  const { count } = await dbGet('SELECT COUNT(*) AS count FROM comments WHERE parent_id = ?', [parent.id]);
+  if (count >= MAX_PER_COMMENT) {
+    return { error: ERROR_MESSAGES.REPLY_LIMIT_REACHED(MAX_PER_COMMENT), code: 'REPLY_LIMIT_REACHED' };
+  }
+  return null;
+}
+
+// Profiles of this book that `text` @mentions
+async function mentionedProfiles(bookId, text) {
+  const profiles = await dbAll('SELECT id, username FROM book_profiles WHERE book_id = ?', [bookId]);
+  return findMentions(text, profiles.map(profile => profile.username))
+    .map(username => profiles.find(profile => profile.username === username));
+}
+
+// { error, code } if a comment mentions more profiles than allowed, else null
+function mentionLimitError(mentioned) {
+  const { MAX_PER_COMMENT } = limits.CONTENT.MENTIONS;
+  return mentioned.length > MAX_PER_COMMENT
+    ? { error: ERROR_MESSAGES.TOO_MANY_MENTIONS(MAX_PER_COMMENT), code: 'TOO_MANY_MENTIONS' }
+    : null;
+}
+
+// Make a comment's mention records match `mentioned`; resolves to the profiles newly mentioned
+async function saveMentions(bookId, commentId, mentioned) {
+  const existing = (await dbAll('SELECT profile_id FROM mentions WHERE comment_id = ?', [commentId]))
+    .map(row => row.profile_id);
+  const added = mentioned.filter(profile => !existing.includes(profile.id));
+  const removed = existing.filter(profileId => !mentioned.some(profile => profile.id === profileId));
+  
+  for (const profile of added) {
+    await dbRun('INSERT INTO mentions (id, book_id, comment_id, profile_id) VALUES (?, ?, ?, ?)', [uuidv4(), bookId, commentId, profile.id]);
+  }
+  if (removed.length > 0) {
+    await dbRun(
+      `DELETE FROM mentions WHERE comment_id = ? AND profile_id IN (${removed.map(() => '?').join(', ')})`,
+      [commentId, ...removed]
+    );
+  }
+  return added;
+}
+
+// Notify each profile in `recipients` (profile id => 'mention' | 'reply') about `comment`.
+// Nobody is notified about their own comment, or about one they aren't allowed to see.
+async function notifyAboutComment(bookId, comment, recipients) {
+  const excerptChars = limits.CONTENT.NOTIFICATIONS.EXCERPT_CHARS;
+  const excerpt = comment.comment.length > excerptChars ? `${comment.comment.slice(0, excerptChars)}…` : comment.comment;
+  
+  for (const [profileId, type] of recipients) {
+    if (profileId === comment.user_id || !canView(comment, profileId)) {
+      continue;
+    }
+    
+    const notification = {
+      id: uuidv4(),
+      book_id: bookId,
+      profile_id: profileId,
+      type,
+      comment_id: comment.id,
+      highlight_id: comment.highlight_id,
+      chapter: comment.chapter,
+      actor_id: comment.user_id,
+      actor_username: comment.username,
+      excerpt,
+      read_at: null,
+      created_at: new Date().toISOString()
+    };
+    await dbRun(
+      'INSERT INTO notifications (id, book_id, profile_id, type, comment_id, highlight_id, chapter, actor_id, actor_username, excerpt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [notification.id, bookId, profileId, type, comment.id, comment.highlight_id, comment.chapter, comment.user_id, comment.username, excerpt]
+    );
+    
+    io.to(`profile:${profileId}`).emit('notification-added', notification);
+  }
+}
+
+// Create a comment on a highlight, or a reply to another comment (`parentId`), as the
+// profile `author` ({ profile_id, username }). Replies take their highlight, chapter and
+// quoted text from the comment they answer. Shared by the REST endpoint and the socket
+// event. Resolves to { comment }, or { status, error, code } when it can't be created.
+async function createComment(bookId, author, fields) {
+  const { text, selectedText, chapter, position, highlightId, parentId, visibility, shared_with, tags } = fields;
+  const { profile_id, username } = author;
+  
+  const lengthError = commentLengthError(text, Boolean(parentId));
+  if (lengthError) {
+    return { status: 400, ...lengthError };
+  }
   
-  for (let i = 0; i < paragraphs.length; i++) {
-    const paragraph = paragraphs[i].trim();
+  // Replies don't count towards a highlight's comment limit
+  if (!parentId && highlightId) {
+    const { MAX_PER_HIGHLIGHT } = limits.CONTENT.COMMENTS;
+    const { count } = await dbGet(
+      'SELECT COUNT(*) AS count FROM comments WHERE book_id = ? AND highlight_id = ? AND parent_id IS NULL',
+      [bookId, highlightId]
+    );
+    if (count >= MAX_PER_HIGHLIGHT) {
+      return { status: 400, error: ERROR_MESSAGES.COMMENT_LIMIT_REACHED(MAX_PER_HIGHLIGHT), code: 'COMMENT_LIMIT_REACHED' };
+    }
+  }
+  
+  const tagged = normalizeTags(tags);
+  if (tagged.error) {
+    return { status: 400, ...tagged };
+  }
+  
+  let parent = null;
+  if (parentId) {
+    parent = await dbGet('SELECT * FROM comments WHERE id = ? AND book_id = ?', [parentId, bookId]);
+    if (!parent || !canView(parent, profile_id)) {
+      return { status: 404, error: 'Comment not found' };
+    }
     
-    // Check if this looks like a chapter heading
-    if (paragraph.length < 100 && 
-        (paragraph.toUpperCase().includes('CHAPTER') || 
-         paragraph.match(/^[IVX]+\./) || 
-         paragraph.match(/^\d+\./))) {
-      html += `<h2 class="chapter-title">${paragraph}</h2>`;
-    } else {
-      html += `<p class="paragraph">${paragraph}</p>`;
+    const limitError = await replyLimitError(parent);
+    if (limitError) {
+      return { status: 400, ...limitError };
+    }
+  }
+  
+  let highlight = null;
+  if (!parent && highlightId) {
+    highlight = await dbGet('SELECT * FROM highlights WHERE id = ? AND book_id = ?', [highlightId, bookId]);
+    if (!highlight || !canView(highlight, profile_id)) {
+      return { status: 404, error: 'Highlight not found' };
+    }
+  }
+  
+  const audience = inheritVisibility(visibility, parent || highlight, profile_id) ||
+    normalizeVisibility(visibility, shared_with, profile_id, await bookProfileIds(bookId));
+  if (audience.error) {
+    return { status: 400, ...audience };
+  }
+  
+  // Stored trimmed, as edits are
+  const body = text.trim();
+  const mentioned = await mentionedProfiles(bookId, body);
+  const mentionError = mentionLimitError(mentioned);
+  if (mentionError) {
+    return { status: 400, ...mentionError };
+  }
+  
+  const newComment = {
+    id: uuidv4(),
+    book_id: bookId,
+    user_id: profile_id,
+    username: username,
+    text: parent ? parent.text : (selectedText || highlight?.text || null),
+    comment: body,
+    chapter: parent ? parent.chapter : (chapter || highlight?.chapter),
+    position: parent ? parent.position : (position ?? highlight?.position ?? null),
+    highlight_id: parent ? parent.highlight_id : (highlightId || null),
+    parent_id: parent ? parent.id : null,
+    visibility: audience.visibility,
+    shared_with: audience.sharedWith,
+    tags: tagged.tags,
+    created_at: new Date().toISOString()
+  };
+  
+  await dbRun(
+    'INSERT INTO comments (id, book_id, user_id, username, text, comment, chapter, position, highlight_id, parent_id, visibility, shared_with, tags) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [newComment.id, bookId, profile_id, username, newComment.text, body, newComment.chapter, newComment.position, newComment.highlight_id, newComment.parent_id, audience.visibility, JSON.stringify(audience.sharedWith), JSON.stringify(tagged.tags)]
+  );
+  
+  await saveMentions(bookId, newComment.id, mentioned);
+  
+  // Mentioned readers hear about the comment; the author of the comment it answers hears about the reply
+  const recipients = new Map(mentioned.map(profile => [profile.id, 'mention']));
+  if (parent && !recipients.has(parent.user_id)) {
+    recipients.set(parent.user_id, 'reply');
+  }
+  await notifyAboutComment(bookId, newComment, recipients);
+  
+  console.log(parent ? '✅ Created reply:' : '✅ Created comment:', newComment);
+  emitToAudience(bookId, newComment, 'comment-added', newComment);
+  return { comment: newComment };
+}
+
+app.post('/api/books/:bookId/comments', async (req, res) => {
+  const { bookId } = req.params;
+  const { text, selectedText, chapter, highlightId, parentId, profile_id, username } = req.body;
+  
+  // Region highlights have no selected text - the highlight itself is the anchor
+  if (!text || !profile_id || !username || (!parentId && (!chapter || (!selectedText && !highlightId)))) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  try {
+    const { comment, status, ...error } = await createComment(bookId, { profile_id, username }, req.body);
+    if (!comment) {
+      return res.status(status).json(error);
+    }
+    res.json(comment);
+  } catch (error) {
+    console.log('❌ Database error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// Whether the request acts as `profileId` of this book - it must hold the profile's token.
+// Answers 400/403 itself when it doesn't.
+function actsAsProfile(req, res, bookId, profileId) {
+  if (!profileId) {
+    res.status(400).json({ error: 'Missing required fields' });
+    return false;
+  }
+  if (req.profile?.id !== profileId || req.profile.book_id !== bookId) {
+    res.status(403).json({ error: ERROR_MESSAGES.NOT_PROFILE_OWNER(), code: 'NOT_PROFILE_OWNER' });
+    return false;
+  }
+  return true;
+}
+
+// Load a highlight or comment for an edit, answering 404/403 itself when it isn't
+// in this book or doesn't belong to `profileId`. Resolves to the row, or null if answered.
+const NOT_FOUND_ERRORS = {
+  highlights: 'Highlight not found',
+  comments: 'Comment not found',
+  bookmarks: 'Bookmark not found'
+};
+
+async function findOwnedAnnotation(req, res, table, id, bookId, profileId) {
+  if (!actsAsProfile(req, res, bookId, profileId)) {
+    return null;
+  }
+  
+  const row = await dbGet(`SELECT * FROM ${table} WHERE id = ? AND book_id = ?`, [id, bookId]);
+  if (!row) {
+    res.status(404).json({ error: NOT_FOUND_ERRORS[table] });
+    return null;
+  }
+  if (row.user_id !== profileId) {
+    res.status(403).json({ error: ERROR_MESSAGES.NOT_ANNOTATION_OWNER(), code: 'NOT_ANNOTATION_OWNER' });
+    return null;
+  }
+  return row;
+}
+
+// A comment and every reply beneath it
+function commentThreadIds(commentId) {
+  return dbAll(`
+    WITH RECURSIVE thread(id) AS (
+      SELECT ?
+      UNION
+      SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+    )
+    SELECT id FROM thread
+  `, [commentId]).then(rows => rows.map(row => row.id));
+}
+
+// Deletes the comments along with their reactions, mentions and notifications
+async function deleteComments(commentIds) {
+  if (commentIds.length === 0) {
+    return;
+  }
+  const placeholders = commentIds.map(() => '?').join(', ');
+  await dbRun(`DELETE FROM reactions WHERE target_type = 'comment' AND target_id IN (${placeholders})`, commentIds);
+  await dbRun(`DELETE FROM mentions WHERE comment_id IN (${placeholders})`, commentIds);
+  await dbRun(`DELETE FROM notifications WHERE comment_id IN (${placeholders})`, commentIds);
+  await dbRun(`DELETE FROM comments WHERE id IN (${placeholders})`, commentIds);
+}
+
+// Change a highlight's color or tags (the parts of a highlight that can be edited)
+app.put('/api/books/:bookId/highlights/:highlightId', async (req, res) => {
+  const { bookId, highlightId } = req.params;
+  const { color, tags, palette_key, profile_id } = req.body;
+  
+  try {
+    const highlight = await findOwnedAnnotation(req, res, 'highlights', highlightId, bookId, profile_id);
+    if (!highlight) {
+      return;
+    }
+    if (color === undefined && tags === undefined && palette_key === undefined) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (color !== undefined && (typeof color !== 'string' || !/^#[0-9a-f]{3,8}$/i.test(color))) {
+      return res.status(400).json({ error: 'A hex color is required' });
+    }
+    const tagged = normalizeTags(tags === undefined ? parseTags(highlight.tags) : tags);
+    if (tagged.error) {
+      return res.status(400).json(tagged);
     }
+    // null takes the highlight out of its palette category
+    const paletteKey = palette_key === undefined ? highlight.palette_key : palette_key || null;
+    const paletteError = await paletteKeyError(bookId, paletteKey);
+    if (paletteError) {
+      return res.status(400).json(paletteError);
+    }
+    
+    await dbRun(
+      'UPDATE highlights SET color = ?, tags = ?, palette_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [color || highlight.color, JSON.stringify(tagged.tags), paletteKey, highlightId]
+    );
+    const updated = formatHighlight(await dbGet('SELECT * FROM highlights WHERE id = ?', [highlightId]));
+    
+    console.log('✏️  Updated highlight:', highlightId);
+    emitToAudience(bookId, updated, 'highlight-updated', updated);
+    res.json(updated);
+  } catch (error) {
+    console.log('❌ Database error updating highlight:', error);
+    res.status(500).json({ error: 'Failed to update highlight' });
   }
-  
-  html += '</div>';
-  return html;
-}
+});
 
-// Update the parseCalibreHtml function for the new format
-function parseCalibreHtml(htmlContent) {
-  // Split by chapter headings
-  const chapterMatches = htmlContent.match(/<h2[^>]*>.*?<\/h2>/g) || [];
-  const chapters = [];
+// Delete a highlight together with the comments (and replies) made on it
+app.delete('/api/books/:bookId/highlights/:highlightId', async (req, res) => {
+  const { bookId, highlightId } = req.params;
+  const { profile_id } = req.body;
   
-  if (chapterMatches.length > 0) {
-    // Split content by chapter headings
-    const parts = htmlContent.split(/<h2[^>]*>.*?<\/h2>/);
-    
-    for (let i = 1; i < parts.length; i++) {
-      const chapterTitle = chapterMatches[i - 1].replace(/<[^>]*>/g, '').trim();
-      const chapterContent = parts[i].trim();
-      
-      if (chapterContent) {
-        chapters.push({
-          title: chapterTitle || `Chapter ${i}`,
-          content: `<h2>${chapterTitle}</h2>${chapterContent}`
-        });
-      }
+  try {
+    const highlight = await findOwnedAnnotation(req, res, 'highlights', highlightId, bookId, profile_id);
+    if (!highlight) {
+      return;
     }
+    
+    const comments = await dbAll('SELECT id FROM comments WHERE highlight_id = ?', [highlightId]);
+    const threads = await Promise.all(comments.map(comment => commentThreadIds(comment.id)));
+    const commentIds = [...new Set(threads.flat())];
+    
+    await deleteComments(commentIds);
+    await dbRun("DELETE FROM reactions WHERE target_type = 'highlight' AND target_id = ?", [highlightId]);
+    await dbRun('DELETE FROM highlights WHERE id = ?', [highlightId]);
+    
+    console.log('🗑️  Deleted highlight:', highlightId, 'and', commentIds.length, 'comments');
+    emitToAudience(bookId, highlight, 'highlight-deleted', { highlightId, commentIds });
+    res.json({ highlightId, commentIds });
+  } catch (error) {
+    console.log('❌ Database error deleting highlight:', error);
+    res.status(500).json({ error: 'Failed to delete highlight' });
   }
+});
+
+// Edit the text and/or tags of a comment
+app.put('/api/books/:bookId/comments/:commentId', async (req, res) => {
+  const { bookId, commentId } = req.params;
+  const { text, tags, profile_id } = req.body;
   
-  // If no chapters found, treat entire content as one chapter
-  if (chapters.length === 0) {
-    chapters.push({
-      title: 'Book Content',
-      content: htmlContent
-    });
-  }
-  
-  return {
-    html: htmlContent,
-    chapters: chapters,
-    metadata: {
-      title: 'Converted Book',
-      chapters: chapters.length
+  try {
+    const comment = await findOwnedAnnotation(req, res, 'comments', commentId, bookId, profile_id);
+    if (!comment) {
+      return;
+    }
+    if (text === undefined && tags === undefined) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
-  };
-}
-
-// Update the extractEpubMetadata function with detailed logging
-async function extractEpubMetadata(filePath) {
-  return new Promise((resolve, reject) => {
-    console.log('🔍 Starting metadata extraction...');
-    console.log('📁 File path:', filePath);
-    console.log('📁 File exists:', fs.existsSync(filePath));
-    
-    const calibrePath = '/Applications/calibre.app/Contents/MacOS/ebook-meta';
-    console.log('🔧 Calibre path:', calibrePath);
-    console.log('🔧 Calibre exists:', fs.existsSync(calibrePath));
     
-    // Use shell execution like terminal
-    const shellCommand = `${calibrePath} "${filePath}"`;
-    console.log('💻 Shell command:', shellCommand);
+    if (text !== undefined) {
+      const lengthError = commentLengthError(text, Boolean(comment.parent_id));
+      if (lengthError) {
+        return res.status(400).json(lengthError);
+      }
+    }
+    const body = text === undefined ? formatComment(comment).comment : text.trim();
     
-    const calibreProcess = spawn('sh', ['-c', shellCommand], {
-      cwd: path.dirname(filePath),
-      env: { ...process.env, PATH: process.env.PATH }
-    });
+    const tagged = normalizeTags(tags === undefined ? parseTags(comment.tags) : tags);
+    if (tagged.error) {
+      return res.status(400).json(tagged);
+    }
     
-    let output = '';
-    let errorOutput = '';
+    const mentioned = await mentionedProfiles(bookId, body);
+    const mentionError = mentionLimitError(mentioned);
+    if (mentionError) {
+      return res.status(400).json(mentionError);
+    }
     
-    calibreProcess.stdout.setEncoding('utf8');
-    calibreProcess.stderr.setEncoding('utf8');
+    await dbRun(
+      'UPDATE comments SET comment = ?, tags = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [body, JSON.stringify(tagged.tags), commentId]
+    );
+    const updated = formatComment(await dbGet('SELECT * FROM comments WHERE id = ?', [commentId]));
     
-    calibreProcess.stdout.on('data', (data) => {
-      const chunk = data.toString();
-      output += chunk;
-      console.log('📤 Metadata stdout chunk:', chunk);
-    });
+    // Only readers the edit newly mentions are notified
+    const newlyMentioned = await saveMentions(bookId, commentId, mentioned);
+    await notifyAboutComment(bookId, updated, new Map(newlyMentioned.map(profile => [profile.id, 'mention'])));
     
-    calibreProcess.stderr.on('data', (data) => {
-      const chunk = data.toString();
-      errorOutput += chunk;
-      console.log('⚠️  Metadata stderr chunk:', chunk);
-    });
+    console.log('✏️  Updated comment:', commentId);
+    emitToAudience(bookId, updated, 'comment-updated', updated);
+    res.json(updated);
+  } catch (error) {
+    console.log('❌ Database error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// Delete a comment and any replies to it
+app.delete('/api/books/:bookId/comments/:commentId', async (req, res) => {
+  const { bookId, commentId } = req.params;
+  const { profile_id } = req.body;
+  
+  try {
+    const comment = await findOwnedAnnotation(req, res, 'comments', commentId, bookId, profile_id);
+    if (!comment) {
+      return;
+    }
     
-    calibreProcess.on('close', (code) => {
-      console.log('🏁 Metadata extraction finished');
-      console.log('📊 Exit code:', code);
-      console.log('📄 Full metadata output:', output);
-      console.log('⚠️  Full metadata error:', errorOutput);
-      
-      if (code === 0) {
-        const metadata = parseCalibreMetadata(output);
-        console.log('✅ Parsed metadata:', metadata);
-        resolve(metadata);
-      } else {
-        console.log('❌ Metadata extraction failed');
-        reject(new Error(`Failed to extract metadata (code ${code}): ${errorOutput}`));
-      }
-    });
+    const commentIds = await commentThreadIds(commentId);
+    await deleteComments(commentIds);
     
-    calibreProcess.on('error', (error) => {
-      console.log('❌ Metadata process spawn error:', error);
-      reject(new Error(`Failed to spawn metadata process: ${error.message}`));
+    console.log('🗑️  Deleted comment:', commentId, 'with', commentIds.length - 1, 'replies');
+    emitToAudience(bookId, comment, 'comment-deleted', { commentIds, highlightId: comment.highlight_id });
+    res.json({ commentIds });
+  } catch (error) {
+    console.log('❌ Database error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// Reactions are toggled per profile, so clicking an emoji again takes it back.
+// Each profile may toggle MAX_TOGGLES_PER_MINUTE times per RATE_LIMIT_WINDOW_MS.
+const REACTION_TARGETS = { highlight: 'highlights', comment: 'comments' };
+
+const reactionLimiter = rateLimit({
+  windowMs: limits.CONTENT.REACTIONS.RATE_LIMIT_WINDOW_MS,
+  max: limits.CONTENT.REACTIONS.MAX_TOGGLES_PER_MINUTE,
+  keyGenerator: (req) => req.body.profile_id || req.ip,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: ERROR_MESSAGES.REACTION_RATE_LIMITED(limits.CONTENT.REACTIONS.MAX_TOGGLES_PER_MINUTE),
+      code: 'REACTION_RATE_LIMITED'
     });
-  });
+  }
+});
+
+// Counts per target and emoji: [{ target_type, target_id, emoji, count, user_ids }]
+async function reactionSummaries(whereSql, params) {
+  const rows = await dbAll(`
+    SELECT target_type, target_id, emoji, COUNT(*) AS count, GROUP_CONCAT(user_id) AS user_ids
+    FROM reactions
+    WHERE ${whereSql}
+    GROUP BY target_type, target_id, emoji
+    ORDER BY MIN(created_at)
+  `, params);
+  return rows.map(row => ({ ...row, user_ids: row.user_ids ? row.user_ids.split(',') : [] }));
 }
 
-// Update the parseCalibreMetadata function to handle the actual output format
-function parseCalibreMetadata(output) {
-  console.log('🔍 Parsing metadata output...');
-  console.log('📄 Raw output to parse (JSON):', JSON.stringify(output));
-  console.log('📄 Raw output to parse (length):', output.length);
+// Reactions on a highlight and on every comment in its thread that `viewer_id` may see
+app.get('/api/books/:bookId/reactions', async (req, res) => {
+  const { bookId } = req.params;
+  const { highlightId } = req.query;
+  const viewer_id = viewerOf(req);
   
-  if (!output || output.trim().length === 0) {
-    console.log('⚠️  Output is empty or whitespace only');
-    return {};
+  if (!highlightId) {
+    return res.status(400).json({ error: 'highlightId is required' });
   }
   
-  const lines = output.split('\n');
-  const metadata = {};
-  
-  console.log(' Processing', lines.length, 'lines...');
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmedLine = line.trim();
-    console.log(` Line ${i + 1} (raw): "${JSON.stringify(line)}"`);
-    console.log(` Line ${i + 1} (trimmed): "${trimmedLine}"`);
-    
-    // Handle the actual format: "Title               : Wuthering Heights"
-    if (trimmedLine.startsWith('Title')) {
-      // Extract everything after the colon and spaces
-      const titleMatch = trimmedLine.match(/Title\s*:\s*(.+)/);
-      if (titleMatch) {
-        metadata.title = titleMatch[1].trim();
-        console.log('📖 Found title:', metadata.title);
-      }
-    } else if (trimmedLine.startsWith('Author(s)')) {
-      // Extract everything after the colon and spaces
-      const authorMatch = trimmedLine.match(/Author\(s\)\s*:\s*(.+)/);
-      if (authorMatch) {
-        metadata.author = authorMatch[1].trim();
-        console.log('✍️  Found author:', metadata.author);
-      }
-    } else if (trimmedLine.startsWith('Author')) {
-      // Extract everything after the colon and spaces
-      const authorMatch = trimmedLine.match(/Author\s*:\s*(.+)/);
-      if (authorMatch) {
-        metadata.author = authorMatch[1].trim();
-        console.log('✍️  Found author:', metadata.author);
-      }
+  try {
+    const highlight = await dbGet('SELECT * FROM highlights WHERE id = ? AND book_id = ?', [highlightId, bookId]);
+    if (highlight && !canView(highlight, viewer_id)) {
+      return res.status(404).json({ error: 'Highlight not found' });
     }
+    
+    const visible = visibleToSql(viewer_id);
+    const reactions = await reactionSummaries(`
+      book_id = ? AND (
+        (target_type = 'highlight' AND target_id = ?) OR
+        (target_type = 'comment' AND target_id IN (SELECT id FROM comments WHERE highlight_id = ? AND ${visible.sql}))
+      )
+    `, [bookId, highlightId, highlightId, ...visible.params]);
+    res.json(reactions);
+  } catch (error) {
+    console.log('❌ Database error loading reactions:', error);
+    res.status(500).json({ error: 'Failed to load reactions' });
   }
-  
-  console.log('✅ Final parsed metadata:', metadata);
-  return metadata;
-}
+});
 
-// Update the highlights POST endpoint
-app.post('/api/books/:bookId/highlights', (req, res) => {
+// Add or take back a reaction
+app.post('/api/books/:bookId/reactions', reactionLimiter, async (req, res) => {
   const { bookId } = req.params;
-  const { text, chapter, position, color, profile_id, username } = req.body;
+  const { targetType, targetId, emoji, profile_id } = req.body;
   
-  if (!text || !chapter || !profile_id || !username) {
+  if (!REACTION_TARGETS[targetType] || !targetId || !emoji || !profile_id) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   
-  const highlightId = uuidv4();
+  const allowedEmoji = limits.CONTENT.REACTIONS.EMOJI;
+  if (!allowedEmoji.includes(emoji)) {
+    return res.status(400).json({ error: ERROR_MESSAGES.INVALID_REACTION(allowedEmoji), code: 'INVALID_REACTION' });
+  }
   
-  db.run(
-    'INSERT INTO highlights (id, book_id, user_id, username, text, chapter, position, color, created_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-    [highlightId, bookId, profile_id, username, text, chapter, position, color || '#ffeb3b'],
-    function(err) {
-      if (err) {
-        console.log('❌ Database error creating highlight:', err);
-        return res.status(500).json({ error: 'Failed to create highlight' });
-      }
-      
-      const newHighlight = {
-        id: highlightId,
-        book_id: bookId,
-        user_id: profile_id,
-        username: username,
-        text: text,
-        chapter: chapter,
-        position: position,
-        color: color || '#ffeb3b',
-        created_date: new Date().toISOString()
-      };
-      
-      console.log('✅ Created highlight:', newHighlight);
-      res.json(newHighlight);
+  try {
+    const target = await dbGet(`SELECT * FROM ${REACTION_TARGETS[targetType]} WHERE id = ? AND book_id = ?`, [targetId, bookId]);
+    if (!target || !canView(target, profile_id)) {
+      return res.status(404).json({ error: targetType === 'highlight' ? 'Highlight not found' : 'Comment not found' });
     }
-  );
+    
+    const existing = await dbGet(
+      'SELECT id FROM reactions WHERE target_type = ? AND target_id = ? AND user_id = ? AND emoji = ?',
+      [targetType, targetId, profile_id, emoji]
+    );
+    if (existing) {
+      await dbRun('DELETE FROM reactions WHERE id = ?', [existing.id]);
+    } else {
+      await dbRun(
+        'INSERT INTO reactions (id, book_id, target_type, target_id, user_id, emoji) VALUES (?, ?, ?, ?, ?, ?)',
+        [uuidv4(), bookId, targetType, targetId, profile_id, emoji]
+      );
+    }
+    
+    const [summary] = await reactionSummaries('target_type = ? AND target_id = ? AND emoji = ?', [targetType, targetId, emoji]);
+    const reaction = {
+      target_type: targetType,
+      target_id: targetId,
+      emoji,
+      count: 0,
+      user_ids: [],
+      ...summary,
+      // The thread the reaction belongs to, so readers only apply it to the one they have open
+      highlight_id: targetType === 'highlight' ? targetId : target.highlight_id
+    };
+    
+    console.log(existing ? '↩️  Removed reaction:' : '✅ Added reaction:', emoji, targetType, targetId);
+    emitToAudience(bookId, target, 'reaction-updated', reaction);
+    res.json({ ...reaction, reacted: !existing });
+  } catch (error) {
+    console.log('❌ Database error toggling reaction:', error);
+    res.status(500).json({ error: 'Failed to update reaction' });
+  }
 });
 
-app.get('/api/books/:bookId/highlights', (req, res) => {
+// Tags used in the book, most used first, to suggest while tagging. Only annotations
+// `viewer_id` may see count, so private tags stay private.
+app.get('/api/books/:bookId/tags', async (req, res) => {
   const { bookId } = req.params;
-  const { chapter } = req.query;
-  
-  let query = 'SELECT * FROM highlights WHERE book_id = ?';
-  let params = [bookId];
+  const highlightsVisible = visibleToSql(viewerOf(req), 'h');
+  const commentsVisible = visibleToSql(viewerOf(req), 'c');
   
-  if (chapter) {
-    query += ' AND chapter = ?';
-    params.push(chapter);
+  try {
+    const tags = await dbAll(`
+      SELECT tag, COUNT(*) AS count FROM (
+        SELECT json_each.value AS tag FROM highlights h, json_each(h.tags) WHERE h.book_id = ? AND ${highlightsVisible.sql}
+        UNION ALL
+        SELECT json_each.value AS tag FROM comments c, json_each(c.tags) WHERE c.book_id = ? AND ${commentsVisible.sql}
+      )
+      GROUP BY tag
+      ORDER BY count DESC, tag
+      LIMIT ?
+    `, [bookId, ...highlightsVisible.params, bookId, ...commentsVisible.params, limits.CONTENT.TAGS.MAX_SUGGESTIONS]);
+    res.json(tags);
+  } catch (error) {
+    console.log('❌ Database error loading tags:', error);
+    res.status(500).json({ error: 'Failed to load tags' });
   }
-  
-  query += ' ORDER BY created_date DESC';
-  
-  db.all(query, params, (err, highlights) => {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({ error: 'Failed to load highlights' });
-    }
-    
-    res.json(highlights);
-  });
 });
 
-// Add these missing endpoints after the highlights endpoints
-app.get('/api/books/:bookId/comments', (req, res) => {
+// Bookmarks are private to their reader or shared with everyone reading the book -
+// a discussion leader's "start here", say. Choosing individual readers is for annotations.
+const BOOKMARK_VISIBILITY = ['private', 'shared'];
+
+function bookmarkError(code, ...details) {
+  return { error: ERROR_MESSAGES[code](...details), code };
+}
+
+// Checks a bookmark's label and visibility, returning { error, code } or null
+function bookmarkFieldsError({ label, visibility }) {
+  if (visibility !== undefined && !BOOKMARK_VISIBILITY.includes(visibility)) {
+    return bookmarkError('INVALID_VISIBILITY', BOOKMARK_VISIBILITY);
+  }
+  const maxLabel = limits.CONTENT.BOOKMARKS.MAX_LABEL_CHARS;
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.trim().length > maxLabel)) {
+    return bookmarkError('BOOKMARK_LABEL_TOO_LONG', maxLabel);
+  }
+  return null;
+}
+
+app.use('/api/books/:bookId/bookmarks', (req, res, next) => {
+  if (!limits.FEATURES.BOOKMARKING) {
+    return res.status(403).json(bookmarkError('BOOKMARKING_DISABLED'));
+  }
+  next();
+});
+
+// The viewer's own bookmarks and the ones others have shared, in reading order
+app.get('/api/books/:bookId/bookmarks', async (req, res) => {
   const { bookId } = req.params;
-  const { chapter, highlight_id } = req.query;
-  
-  let query = 'SELECT * FROM comments WHERE book_id = ?';
-  let params = [bookId];
+  const viewer_id = viewerOf(req);
   
-  if (chapter) {
-    query += ' AND chapter = ?';
-    params.push(parseInt(chapter));
+  try {
+    const bookmarks = await dbAll(
+      "SELECT * FROM bookmarks WHERE book_id = ? AND (visibility = 'shared' OR user_id = ?) ORDER BY chapter, scroll_position, created_at",
+      [bookId, viewer_id || null]
+    );
+    res.json(bookmarks);
+  } catch (error) {
+    console.log('❌ Database error loading bookmarks:', error);
+    res.status(500).json({ error: 'Failed to load bookmarks' });
   }
+});
+
+app.post('/api/books/:bookId/bookmarks', async (req, res) => {
+  const { bookId } = req.params;
+  const { chapter, cfi, scroll_position, label, visibility = 'private', profile_id, username } = req.body;
   
-  if (highlight_id) {
-    query += ' AND highlight_id = ?';
-    params.push(highlight_id);
+  if (!profile_id || !username || !Number.isInteger(chapter) || chapter < 1) {
+    return res.status(400).json({ error: 'Missing required fields' });
   }
   
-  query += ' ORDER BY created_at DESC';
+  const fieldsError = bookmarkFieldsError({ label, visibility });
+  if (fieldsError) {
+    return res.status(400).json(fieldsError);
+  }
   
-  db.all(query, params, (err, comments) => {
-    if (err) {
-      console.log('❌ Database error loading comments:', err);
-      return res.status(500).json({ error: 'Database error' });
+  try {
+    const maxBookmarks = limits.CONTENT.BOOKMARKS.MAX_PER_PROFILE_PER_BOOK;
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM bookmarks WHERE book_id = ? AND user_id = ?', [bookId, profile_id]);
+    if (count >= maxBookmarks) {
+      return res.status(400).json(bookmarkError('BOOKMARK_LIMIT_REACHED', maxBookmarks));
     }
     
-    console.log('✅ Loaded comments:', comments);
-    res.json(comments || []);
-  });
+    const bookmark = {
+      id: uuidv4(),
+      book_id: bookId,
+      user_id: profile_id,
+      username,
+      chapter,
+      cfi: cfi || null,
+      scroll_position: Math.min(1, Math.max(0, Number(scroll_position) || 0)),
+      label: (label && label.trim()) || null,
+      visibility,
+      created_at: new Date().toISOString(),
+      updated_at: null
+    };
+    await dbRun(
+      'INSERT INTO bookmarks (id, book_id, user_id, username, chapter, cfi, scroll_position, label, visibility) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [bookmark.id, bookId, profile_id, username, chapter, bookmark.cfi, bookmark.scroll_position, bookmark.label, visibility]
+    );
+    
+    console.log('🔖 Added bookmark:', bookmark.id, 'in chapter', chapter);
+    emitToAudience(bookId, bookmark, 'bookmark-added', bookmark);
+    res.json(bookmark);
+  } catch (error) {
+    console.log('❌ Database error creating bookmark:', error);
+    res.status(500).json({ error: 'Failed to create bookmark' });
+  }
 });
 
-// Update the comments POST endpoint
-app.post('/api/books/:bookId/comments', (req, res) => {
-  const { bookId } = req.params;
-  const { text, selectedText, chapter, position, highlightId, profile_id, username } = req.body;
+// Rename a bookmark or change who can see it
+app.put('/api/books/:bookId/bookmarks/:bookmarkId', async (req, res) => {
+  const { bookId, bookmarkId } = req.params;
+  const { label, visibility, profile_id } = req.body;
   
-  if (!text || !selectedText || !chapter || !profile_id || !username) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  try {
+    const bookmark = await findOwnedAnnotation(req, res, 'bookmarks', bookmarkId, bookId, profile_id);
+    if (!bookmark) {
+      return;
+    }
+    
+    const fieldsError = bookmarkFieldsError({ label, visibility });
+    if (fieldsError) {
+      return res.status(400).json(fieldsError);
+    }
+    
+    const updated = {
+      ...bookmark,
+      label: label === undefined ? bookmark.label : (label && label.trim()) || null,
+      visibility: visibility || bookmark.visibility,
+      updated_at: new Date().toISOString()
+    };
+    await dbRun(
+      'UPDATE bookmarks SET label = ?, visibility = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [updated.label, updated.visibility, bookmarkId]
+    );
+    
+    console.log('✏️  Updated bookmark:', bookmarkId);
+    // Readers who could see it before hear about it too, so a bookmark made private disappears for them
+    emitToAudience(bookId, updated.visibility === 'shared' ? updated : bookmark, 'bookmark-updated', updated);
+    res.json(updated);
+  } catch (error) {
+    console.log('❌ Database error updating bookmark:', error);
+    res.status(500).json({ error: 'Failed to update bookmark' });
   }
+});
+
+app.delete('/api/books/:bookId/bookmarks/:bookmarkId', async (req, res) => {
+  const { bookId, bookmarkId } = req.params;
+  const { profile_id } = req.body;
   
-  const commentId = uuidv4();
-  
-  db.run(
-    'INSERT INTO comments (id, book_id, user_id, username, text, comment, chapter, position, highlight_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-    [commentId, bookId, profile_id, username, selectedText, text, chapter, position, highlightId || null],
-    function(err) {
-      if (err) {
-        console.log('❌ Database error creating comment:', err);
-        return res.status(500).json({ error: 'Failed to create comment' });
-      }
-      
-      const newComment = {
-        id: commentId,
-        book_id: bookId,
-        user_id: profile_id,
-        username: username,
-        text: selectedText,
-        comment: text,
-        chapter: chapter,
-        position: position,
-        highlight_id: highlightId,
-        created_at: new Date().toISOString()
-      };
-      
-      console.log('✅ Created comment:', newComment);
-      res.json(newComment);
+  try {
+    const bookmark = await findOwnedAnnotation(req, res, 'bookmarks', bookmarkId, bookId, profile_id);
+    if (!bookmark) {
+      return;
     }
-  );
+    
+    await dbRun('DELETE FROM bookmarks WHERE id = ?', [bookmarkId]);
+    
+    console.log('🗑️  Deleted bookmark:', bookmarkId);
+    emitToAudience(bookId, bookmark, 'bookmark-deleted', { bookmarkId });
+    res.json({ bookmarkId });
+  } catch (error) {
+    console.log('❌ Database error deleting bookmark:', error);
+    res.status(500).json({ error: 'Failed to delete bookmark' });
+  }
 });
 
 // Add these user management endpoints after the existing API routes
@@ -1333,12 +2862,13 @@ app.post('/api/books/:bookId/profiles', (req, res) => {
   }
   
   const profileId = uuidv4();
+  const token = crypto.randomBytes(32).toString('hex');
   const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'];
   const randomColor = colors[Math.floor(Math.random() * colors.length)];
   
   db.run(
-    'INSERT INTO book_profiles (id, book_id, username, color) VALUES (?, ?, ?, ?)',
-    [profileId, bookId, username.trim(), randomColor],
+    'INSERT INTO book_profiles (id, book_id, username, color, token) VALUES (?, ?, ?, ?, ?)',
+    [profileId, bookId, username.trim(), randomColor, token],
     function(err) {
       if (err) {
         if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('UNIQUE')) {
@@ -1356,15 +2886,63 @@ app.post('/api/books/:bookId/profiles', (req, res) => {
         created_at: new Date().toISOString()
       };
       
-      console.log('✅ Created profile:', newProfile);
-      res.json(newProfile);
+      // The book's first profile owns it (and its highlight palette)
+      db.run('UPDATE books SET owner_profile_id = ? WHERE id = ? AND owner_profile_id IS NULL', [profileId, bookId], (err) => {
+        if (err) {
+          console.log('❌ Database error setting book owner:', err);
+        }
+        
+        console.log('✅ Created profile:', newProfile);
+        // The token is only ever handed out here, to the browser that created the profile
+        res.json({ ...newProfile, token });
+      });
     }
   );
 });
 
+// Replace the book's semantic highlight palette; only its owner may. An empty palette
+// turns semantic colors off. Highlights whose category was removed become uncategorized.
+app.put('/api/books/:bookId/palette', async (req, res) => {
+  const { bookId } = req.params;
+  const { palette, profile_id } = req.body;
+  
+  try {
+    const book = await dbGet('SELECT id, owner_profile_id FROM books WHERE id = ?', [bookId]);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    if (!profile_id || book.owner_profile_id !== profile_id) {
+      return res.status(403).json({ error: ERROR_MESSAGES.NOT_BOOK_OWNER(), code: 'NOT_BOOK_OWNER' });
+    }
+    
+    const normalized = normalizePalette(palette);
+    if (normalized.error) {
+      return res.status(400).json(normalized);
+    }
+    
+    const keys = normalized.palette.map(entry => entry.key);
+    await dbRun('UPDATE books SET highlight_palette = ? WHERE id = ?', [JSON.stringify(normalized.palette), bookId]);
+    await dbRun(
+      `UPDATE highlights SET palette_key = NULL WHERE book_id = ? AND palette_key IS NOT NULL AND palette_key NOT IN (${keys.map(() => '?').join(', ')})`,
+      [bookId, ...keys]
+    );
+    
+    console.log('🎨 Updated highlight palette:', bookId, keys);
+    io.to(`book:${bookId}`).emit('palette-updated', { bookId, palette: normalized.palette });
+    res.json({ palette: normalized.palette });
+  } catch (error) {
+    console.log('❌ Database error updating palette:', error);
+    res.status(500).json({ error: 'Failed to update palette' });
+  }
+});
+
 app.put('/api/books/:bookId/profiles/:profileId/use', (req, res) => {
   const { bookId, profileId } = req.params;
   
+  if (!actsAsProfile(req, res, bookId, profileId)) {
+    return;
+  }
+  
   db.run(
     'UPDATE book_profiles SET last_used = CURRENT_TIMESTAMP WHERE id = ? AND book_id = ?',
     [profileId, bookId],
@@ -1384,6 +2962,62 @@ app.put('/api/books/:bookId/profiles/:profileId/use', (req, res) => {
   );
 });
 
+// A profile's notification inbox, newest first, with how many are unread
+app.get('/api/books/:bookId/profiles/:profileId/notifications', async (req, res) => {
+  const { bookId, profileId } = req.params;
+  
+  if (!actsAsProfile(req, res, bookId, profileId)) {
+    return;
+  }
+  
+  try {
+    const notifications = await dbAll(
+      'SELECT * FROM notifications WHERE book_id = ? AND profile_id = ? ORDER BY created_at DESC LIMIT ?',
+      [bookId, profileId, limits.CONTENT.NOTIFICATIONS.MAX_LISTED]
+    );
+    const { count } = await dbGet(
+      'SELECT COUNT(*) AS count FROM notifications WHERE book_id = ? AND profile_id = ? AND read_at IS NULL',
+      [bookId, profileId]
+    );
+    res.json({ notifications, unreadCount: count });
+  } catch (error) {
+    console.log('❌ Database error loading notifications:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Mark notifications read - the given `ids`, or all of them
+app.post('/api/books/:bookId/profiles/:profileId/notifications/read', async (req, res) => {
+  const { bookId, profileId } = req.params;
+  const { ids } = req.body;
+  
+  if (!actsAsProfile(req, res, bookId, profileId)) {
+    return;
+  }
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array' });
+  }
+  
+  try {
+    let query = 'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE book_id = ? AND profile_id = ? AND read_at IS NULL';
+    const params = [bookId, profileId];
+    if (ids) {
+      query += ` AND id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...ids);
+    }
+    await dbRun(query, params);
+    
+    const { count } = await dbGet(
+      'SELECT COUNT(*) AS count FROM notifications WHERE book_id = ? AND profile_id = ? AND read_at IS NULL',
+      [bookId, profileId]
+    );
+    res.json({ unreadCount: count });
+  } catch (error) {
+    console.log('❌ Database error marking notifications read:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Add progress tracking endpoints (updated to use profile_id)
 app.post('/api/books/:bookId/progress', (req, res) => {
   const { bookId } = req.params;
@@ -1496,9 +3130,11 @@ app.get('/api/progress/:bookId/:profileId', (req, res) => {
 app.get('/api/highlights/:bookId', (req, res) => {
   const { bookId } = req.params;
   const { profile_id } = req.query;
+  const viewer_id = viewerOf(req);
+  const visible = visibleToSql(viewer_id);
   
-  let query = 'SELECT * FROM highlights WHERE book_id = ?';
-  let params = [bookId];
+  let query = `SELECT * FROM highlights WHERE book_id = ? AND ${visible.sql}`;
+  let params = [bookId, ...visible.params];
   
   if (profile_id) {
     query += ' AND user_id = ?';
@@ -1513,16 +3149,18 @@ app.get('/api/highlights/:bookId', (req, res) => {
       return res.status(500).json({ error: 'Failed to load highlights' });
     }
     
-    res.json(highlights || []);
+    res.json((highlights || []).map(formatHighlight));
   });
 });
 
 app.get('/api/comments/:bookId', (req, res) => {
   const { bookId } = req.params;
   const { profile_id } = req.query;
+  const viewer_id = viewerOf(req);
+  const visible = visibleToSql(viewer_id);
   
-  let query = 'SELECT * FROM comments WHERE book_id = ?';
-  let params = [bookId];
+  let query = `SELECT * FROM comments WHERE book_id = ? AND ${visible.sql}`;
+  let params = [bookId, ...visible.params];
   
   if (profile_id) {
     query += ' AND user_id = ?';
@@ -1537,7 +3175,37 @@ app.get('/api/comments/:bookId', (req, res) => {
       return res.status(500).json({ error: 'Database error' });
     }
     
-    res.json(comments || []);
+    res.json((comments || []).map(formatComment));
+  });
+});
+
+// Reactions on the highlights and comments `viewer_id` may see
+app.get('/api/reactions/:bookId', (req, res) => {
+  const { bookId } = req.params;
+  const { profile_id } = req.query;
+  const viewer_id = viewerOf(req);
+  const visible = visibleToSql(viewer_id);
+  
+  let query = `SELECT * FROM reactions WHERE book_id = ? AND (
+    (target_type = 'highlight' AND target_id IN (SELECT id FROM highlights WHERE book_id = ? AND ${visible.sql})) OR
+    (target_type = 'comment' AND target_id IN (SELECT id FROM comments WHERE book_id = ? AND ${visible.sql}))
+  )`;
+  let params = [bookId, bookId, ...visible.params, bookId, ...visible.params];
+  
+  if (profile_id) {
+    query += ' AND user_id = ?';
+    params.push(profile_id);
+  }
+  
+  query += ' ORDER BY created_at DESC';
+  
+  db.all(query, params, (err, reactions) => {
+    if (err) {
+      console.log('❌ Database error loading reactions:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    
+    res.json(reactions || []);
   });
 });
 
@@ -1556,7 +3224,7 @@ app.get('/api/book/slug/:slug', (req, res) => {
     }
     
     console.log('✅ Found book for slug:', slug, 'book:', book);
-    res.json(book);
+    res.json(formatBook(book));
   });
 });
 
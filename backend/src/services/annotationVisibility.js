@@ -0,0 +1,122 @@
+// Who can see a highlight or comment
+// 'shared' annotations are visible to every reader of the book, 'private' ones only to
+// their author, and 'profiles' ones to the author plus the book profiles listed in
+// `shared_with` (stored as a JSON array of profile ids).
+
+import { getCurrentLimits, ERROR_MESSAGES } from '../config/limits.js';
+
+export const VISIBILITY = {
+  SHARED: 'shared',
+  PRIVATE: 'private',
+  PROFILES: 'profiles'
+};
+
+const limits = () => getCurrentLimits(process.env.NODE_ENV || 'development');
+
+function visibilityError(code, ...details) {
+  return { error: ERROR_MESSAGES[code](...details), code };
+}
+
+function parseSharedWith(value) {
+  try {
+    const ids = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(ids) ? ids : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Check a requested visibility. `bookProfileIds` are the profiles of the annotation's book.
+// Returns { visibility, sharedWith } or { error, code }. Leaving it out (or null) means shared.
+export function normalizeVisibility(requested, sharedWith, authorId, bookProfileIds) {
+  const { FEATURES, CONTENT } = limits();
+  const visibility = requested ?? VISIBILITY.SHARED;
+
+  if (!Object.values(VISIBILITY).includes(visibility)) {
+    return visibilityError('INVALID_VISIBILITY', Object.values(VISIBILITY));
+  }
+  if (visibility === VISIBILITY.SHARED) {
+    return { visibility, sharedWith: [] };
+  }
+  if (!FEATURES.NOTES_FEATURE) {
+    return visibilityError('NOTES_DISABLED');
+  }
+  if (visibility === VISIBILITY.PRIVATE) {
+    return { visibility, sharedWith: [] };
+  }
+
+  const ids = [...new Set(Array.isArray(sharedWith) ? sharedWith : [])].filter(id => id !== authorId);
+  if (ids.length === 0) {
+    return visibilityError('NO_SHARED_PROFILES');
+  }
+  if (ids.length > CONTENT.VISIBILITY.MAX_SHARED_PROFILES) {
+    return visibilityError('TOO_MANY_SHARED_PROFILES', CONTENT.VISIBILITY.MAX_SHARED_PROFILES);
+  }
+  if (ids.some(id => !bookProfileIds.includes(id))) {
+    return visibilityError('SHARED_PROFILE_NOT_FOUND');
+  }
+  return { visibility, sharedWith: ids };
+}
+
+// Visibility a comment gets from what it's attached to: under a private or selectively
+// shared highlight or comment, replies keep that audience so a thread never reaches
+// further than where it started. Returns null when the comment's own choice applies -
+// nothing to inherit, a shared source, or an author keeping their comment private.
+export function inheritVisibility(requested, source, authorId) {
+  if (requested === VISIBILITY.PRIVATE || !source || (source.visibility || VISIBILITY.SHARED) === VISIBILITY.SHARED) {
+    return null;
+  }
+  if (source.visibility === VISIBILITY.PRIVATE) {
+    return { visibility: VISIBILITY.PRIVATE, sharedWith: [] };
+  }
+  // The source's author is part of its audience too
+  const audience = new Set([source.user_id, ...parseSharedWith(source.shared_with)]);
+  audience.delete(authorId);
+  return { visibility: VISIBILITY.PROFILES, sharedWith: [...audience] };
+}
+
+export function canView(annotation, viewerId) {
+  const visibility = annotation.visibility || VISIBILITY.SHARED;
+  if (visibility === VISIBILITY.SHARED) {
+    return true;
+  }
+  if (!viewerId) {
+    return false;
+  }
+  return annotation.user_id === viewerId ||
+    (visibility === VISIBILITY.PROFILES && parseSharedWith(annotation.shared_with).includes(viewerId));
+}
+
+// Profile ids an annotation is visible to beyond everyone, or null when it is shared with the book
+export function audienceOf(annotation) {
+  const visibility = annotation.visibility || VISIBILITY.SHARED;
+  if (visibility === VISIBILITY.SHARED) {
+    return null;
+  }
+  return visibility === VISIBILITY.PRIVATE
+    ? [annotation.user_id]
+    : [annotation.user_id, ...parseSharedWith(annotation.shared_with)];
+}
+
+// SQL condition limiting rows of `alias` (highlights or comments) to those `viewerId`
+// may see: { sql, params }. Without a viewer only shared annotations are returned.
+export function visibleToSql(viewerId, alias) {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  if (!viewerId) {
+    return { sql: `${column('visibility')} = 'shared'`, params: [] };
+  }
+  return {
+    sql: `(${column('visibility')} = 'shared' OR ${column('user_id')} = ? OR ` +
+      `(${column('visibility')} = 'profiles' AND EXISTS (SELECT 1 FROM json_each(${column('shared_with')}) WHERE json_each.value = ?)))`,
+    params: [viewerId, viewerId]
+  };
+}
+
+// Annotation row as the API returns it, with `shared_with` as an array
+export function formatVisibility(annotation) {
+  return {
+    ...annotation,
+    visibility: annotation.visibility || VISIBILITY.SHARED,
+    shared_with: parseSharedWith(annotation.shared_with)
+  };
+}
@@ -0,0 +1,90 @@
+// Guards for reading untrusted ZIP archives (uploaded EPUBs)
+// The central directory is checked before anything is inflated: entry count,
+// total uncompressed size, compression ratio, unsafe paths and symlinks.
+// Entries are then inflated with a hard cap so a lying header can't blow up memory.
+
+import zlib from 'zlib';
+import { getCurrentLimits, ERROR_MESSAGES } from '../config/limits.js';
+
+const STORED = 0;
+const DEFLATED = 8;
+const ENCRYPTED_FLAG = 0x1;
+const FILE_TYPE_MASK = 0o170000;
+const SYMLINK_MODE = 0o120000;
+
+// Read lazily so .env has been loaded by the time the first archive is opened
+function archiveLimits() {
+  return getCurrentLimits(process.env.NODE_ENV || 'development').FILE.ARCHIVE;
+}
+
+// Errors carry a code matching ERROR_MESSAGES in config/limits.js
+function archiveError(code, ...details) {
+  const error = new Error(ERROR_MESSAGES[code](...details));
+  error.code = code;
+  return error;
+}
+
+function isUnsafePath(entryName) {
+  const normalized = entryName.replace(/\\/g, '/');
+  return normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized.split('/').includes('..');
+}
+
+// Unix mode bits live in the upper half of the external attributes
+function isSymlink(entry) {
+  return ((entry.header.attr >>> 16) & FILE_TYPE_MASK) === SYMLINK_MODE;
+}
+
+// Throw a coded error if the archive's central directory looks hostile
+export function assertSafeArchive(zip, limits = archiveLimits()) {
+  const entries = zip.getEntries();
+  if (entries.length > limits.MAX_ENTRIES) {
+    throw archiveError('ARCHIVE_TOO_MANY_ENTRIES', limits.MAX_ENTRIES);
+  }
+
+  let totalSize = 0;
+  for (const entry of entries) {
+    if (isUnsafePath(entry.entryName) || isSymlink(entry)) {
+      throw archiveError('ARCHIVE_UNSAFE_ENTRY', entry.entryName);
+    }
+
+    const { size, compressedSize } = entry.header;
+    totalSize += size;
+    if (totalSize > limits.MAX_UNCOMPRESSED_BYTES) {
+      throw archiveError('ARCHIVE_TOO_LARGE', limits.MAX_UNCOMPRESSED_MB);
+    }
+
+    if (size >= limits.RATIO_CHECK_MIN_BYTES && size / Math.max(compressedSize, 1) > limits.MAX_COMPRESSION_RATIO) {
+      throw archiveError('ARCHIVE_COMPRESSION_RATIO_EXCEEDED', limits.MAX_COMPRESSION_RATIO);
+    }
+  }
+}
+
+// Inflate a single entry without trusting more than its declared size
+export function readEntrySafely(entry) {
+  const { method, size, flags } = entry.header;
+  if (flags & ENCRYPTED_FLAG) {
+    throw archiveError('ARCHIVE_UNSAFE_ENTRY', entry.entryName);
+  }
+
+  const compressed = entry.getCompressedData();
+
+  if (method === STORED) {
+    if (compressed.length > size) {
+      throw archiveError('ARCHIVE_UNSAFE_ENTRY', entry.entryName);
+    }
+    return compressed;
+  }
+
+  if (method === DEFLATED) {
+    try {
+      return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      // Inflates past the declared size, or isn't valid deflate data
+      throw archiveError('ARCHIVE_UNSAFE_ENTRY', entry.entryName);
+    }
+  }
+
+  throw archiveError('ARCHIVE_UNSAFE_ENTRY', entry.entryName);
+}
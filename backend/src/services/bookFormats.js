@@ -0,0 +1,108 @@
+// Upload formats and the adapters that ingest them
+// EPUB goes through the archive parser, CBZ through the comic archive reader and
+// .txt, .md and .html through the text adapters.
+// Everything downstream (content cache, reader, highlights) only sees the shared
+// { chapters, toc, metadata } shape.
+
+import path from 'path';
+import { getCurrentLimits } from '../config/limits.js';
+import { parseEpub, openEpub, findCover, EPUB_CONVERTER_VERSION } from './epubParser.js';
+import { validateEpubStructure } from './epubValidator.js';
+import { parseComic, openComic, comicCover, validateComic, COMIC_CONVERTER_VERSION } from './comicArchive.js';
+import { parseTextBook, readTextBookMetadata, validateTextBook, TEXT_CONVERTER_VERSION } from './textBookParser.js';
+
+export const BOOK_FORMATS = {
+  EPUB: 'epub',
+  TEXT: 'txt',
+  MARKDOWN: 'md',
+  HTML: 'html',
+  COMIC: 'cbz'
+};
+
+// Formats whose pages and images are served from inside the uploaded archive
+export const ARCHIVE_FORMATS = [BOOK_FORMATS.EPUB, BOOK_FORMATS.COMIC];
+
+function fileLimits() {
+  return getCurrentLimits(process.env.NODE_ENV || 'development').FILE;
+}
+
+// Format key for an uploaded filename, or null if it isn't an accepted type
+export function detectFormat(filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const formats = fileLimits().FORMATS;
+  return Object.keys(formats).find(format => formats[format].EXTENSIONS.includes(extension)) || null;
+}
+
+// { mb, bytes } upload limit for a format
+export function formatSizeLimit(format) {
+  const limits = fileLimits();
+  const rules = limits.FORMATS[format] || {};
+  return {
+    mb: rules.MAX_SIZE_MB || limits.MAX_SIZE_MB,
+    bytes: rules.MAX_SIZE_BYTES || limits.MAX_SIZE_BYTES
+  };
+}
+
+// Largest per-format limit - what a multipart upload is capped at before its format is checked
+export function maxUploadSize() {
+  return Object.keys(fileLimits().FORMATS)
+    .map(formatSizeLimit)
+    .reduce((largest, limit) => (limit.bytes > largest.bytes ? limit : largest));
+}
+
+// Cached content is keyed on this, so each adapter can invalidate its own output
+export function converterVersion(format) {
+  if (format === BOOK_FORMATS.EPUB) return EPUB_CONVERTER_VERSION;
+  if (format === BOOK_FORMATS.COMIC) return COMIC_CONVERTER_VERSION;
+  return TEXT_CONVERTER_VERSION;
+}
+
+// Opened archive for serving assets: { resources, getEntry, readBuffer }
+export function openArchive(filePath, format) {
+  return format === BOOK_FORMATS.COMIC ? openComic(filePath) : openEpub(filePath);
+}
+
+// { valid: true } or { valid: false, code, error }
+export async function validateBook(filePath, format) {
+  if (format === BOOK_FORMATS.EPUB) {
+    return fileLimits().VALIDATE_EPUB_STRUCTURE ? validateEpubStructure(filePath) : { valid: true };
+  }
+  if (format === BOOK_FORMATS.COMIC) {
+    return validateComic(filePath);
+  }
+  return validateTextBook(filePath, format);
+}
+
+export async function readBookMetadata(filePath, format) {
+  if (format === BOOK_FORMATS.EPUB) {
+    return openEpub(filePath).metadata;
+  }
+  if (format === BOOK_FORMATS.COMIC) {
+    return openComic(filePath).metadata;
+  }
+  return readTextBookMetadata(filePath, format);
+}
+
+// Cover image as { path, buffer }, or null for formats and books without one
+export async function readBookCover(filePath, format) {
+  if (format === BOOK_FORMATS.EPUB) {
+    const book = openEpub(filePath);
+    const item = findCover(book);
+    return item ? { path: item.path, buffer: book.readBuffer(item.path) } : null;
+  }
+  if (format === BOOK_FORMATS.COMIC) {
+    return comicCover(openComic(filePath));
+  }
+  return null;
+}
+
+// `options.assetUrl` only applies to archive formats, which carry their own resources
+export async function parseBook(filePath, format, options = {}) {
+  if (format === BOOK_FORMATS.EPUB) {
+    return parseEpub(filePath, options);
+  }
+  if (format === BOOK_FORMATS.COMIC) {
+    return parseComic(filePath, options);
+  }
+  return parseTextBook(filePath, format);
+}
@@ -0,0 +1,132 @@
+// Full-text search inside a book
+// Chapter text is indexed in an SQLite FTS5 table when a book is converted. The
+// unicode61 tokenizer folds case and strips diacritics, so "cafe" finds "Café". FTS
+// narrows a search to the chapters containing every term; the hits are then found in
+// each chapter's text with the same folding, giving snippets and the W3C quote selector the
+// reader anchors highlights with, so it can jump to a hit and mark it.
+
+import { getCurrentLimits, ERROR_MESSAGES } from '../config/limits.js';
+import { decodeEntities } from './xmlParser.js';
+
+const limits = () => getCurrentLimits(process.env.NODE_ENV || 'development');
+
+export const SEARCH_INDEX_TABLE = `
+  CREATE VIRTUAL TABLE book_search USING fts5(
+    book_id UNINDEXED,
+    chapter UNINDEXED,
+    text,
+    tokenize = 'unicode61 remove_diacritics 2'
+  )
+`;
+
+// Letters with their combining marks, and digits - what unicode61 treats as a token
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+// Lower case without diacritics: "Été" -> "ete"
+export function foldText(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokensOf(text) {
+  return [...text.matchAll(TOKEN_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    folded: foldText(match[0])
+  }));
+}
+
+// Chapter markup as the text a reader sees, without styles and comments
+export function chapterPlainText(html) {
+  return decodeEntities(
+    (html || '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<style\b[\s\S]*?<\/style\s*>/gi, '')
+      .replace(/<[^>]*>/g, '')
+  );
+}
+
+// A query is words and "quoted phrases", all of which must appear. Returns
+// { clauses: [[folded words]], match } - `match` being the FTS5 query - or { error, code }.
+export function parseSearchQuery(query) {
+  const { MIN_QUERY_CHARS, MAX_QUERY_CHARS } = limits().CONTENT.SEARCH;
+  const text = typeof query === 'string' ? query.trim() : '';
+  if (text.length < MIN_QUERY_CHARS || text.length > MAX_QUERY_CHARS) {
+    return { error: ERROR_MESSAGES.INVALID_SEARCH_QUERY(MIN_QUERY_CHARS, MAX_QUERY_CHARS), code: 'INVALID_SEARCH_QUERY' };
+  }
+
+  // Unquoted words joined by punctuation ("l'été", "dit-il") are short phrases too
+  const clauses = [];
+  const unquoted = text.replace(/"([^"]*)"/g, (match, phrase) => {
+    clauses.push(tokensOf(phrase).map(token => token.folded));
+    return ' ';
+  });
+  unquoted.split(/\s+/).forEach(word => clauses.push(tokensOf(word).map(token => token.folded)));
+
+  const usable = clauses.filter(words => words.length > 0);
+  if (usable.length === 0) {
+    return { error: ERROR_MESSAGES.INVALID_SEARCH_QUERY(MIN_QUERY_CHARS, MAX_QUERY_CHARS), code: 'INVALID_SEARCH_QUERY' };
+  }
+  // Tokens never contain quotes, so each clause is a safe FTS5 phrase
+  return { clauses: usable, match: usable.map(words => `"${words.join(' ')}"`).join(' AND ') };
+}
+
+function containsClause(words, clause) {
+  return words.some((word, index) => clause.every((part, offset) => words[index + offset] === part));
+}
+
+// Whether every clause appears in at least one of `fields` (a comment's body, tags, author...)
+export function matchesQuery(fields, clauses) {
+  const fieldWords = fields.filter(Boolean).map(field => tokensOf(field).map(token => token.folded));
+  return clauses.every(clause => fieldWords.some(words => containsClause(words, clause)));
+}
+
+// Hits for `clauses` in one chapter's text, in reading order:
+// [{ start, end, snippet: { before, match, after }, selectors }]
+export function findHits(text, clauses) {
+  const { SNIPPET_CONTEXT_CHARS } = limits().CONTENT.SEARCH;
+  const { QUOTE_CONTEXT_CHARS } = limits().CONTENT.HIGHLIGHTS;
+  const tokens = tokensOf(text);
+  const hits = [];
+
+  tokens.forEach((token, index) => {
+    for (const words of clauses) {
+      if (words.every((word, offset) => tokens[index + offset]?.folded === word)) {
+        hits.push({ start: token.start, end: tokens[index + words.length - 1].end });
+        break;
+      }
+    }
+  });
+
+  // Snippet context is cut back to whole words
+  const squash = (value) => value.replace(/\s+/g, ' ');
+  const contextBefore = (start) => {
+    const from = Math.max(0, start - SNIPPET_CONTEXT_CHARS);
+    const context = squash(text.slice(from, start));
+    return (from > 0 ? context.replace(/^\S*\s/, '') : context).trimStart();
+  };
+  const contextAfter = (end) => {
+    const to = end + SNIPPET_CONTEXT_CHARS;
+    const context = squash(text.slice(end, to));
+    return (to < text.length ? context.replace(/\s\S*$/, '') : context).trimEnd();
+  };
+
+  return hits.map(({ start, end }) => ({
+    start,
+    end,
+    snippet: {
+      before: contextBefore(start),
+      match: squash(text.slice(start, end)),
+      after: contextAfter(end)
+    },
+    // Only a quote: offsets into this text needn't match the reader's, which keeps style
+    // text and decodes entities the way the browser does
+    selectors: [
+      {
+        type: 'TextQuoteSelector',
+        exact: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - QUOTE_CONTEXT_CHARS), start),
+        suffix: text.slice(end, end + QUOTE_CONTEXT_CHARS)
+      }
+    ]
+  }));
+}
@@ -0,0 +1,47 @@
+// Book stylesheets, confined to the chapter
+// A book's CSS is injected into the reader page next to the app's own UI, so every
+// selector is rewritten to only match inside the chapter container: "p" becomes
+// "[data-content=chapter-content] p" and html/body rules apply to the container itself.
+// @import (which would load unscoped CSS) and fixed positioning (which could cover the
+// app) are dropped.
+
+import postcss from 'postcss';
+
+export const CHAPTER_SCOPE = '[data-content="chapter-content"]';
+
+// A leading html, :root or body - the document the book thought it was styling
+const DOCUMENT_SELECTOR = /^(?:(?:html|:root)(?![\w-])\s*(?:>\s*)?)?(?:body(?![\w-]))?/i;
+
+function scopeSelector(selector) {
+  const trimmed = selector.trim();
+  const documentPart = trimmed.match(DOCUMENT_SELECTOR)[0];
+  if (documentPart) {
+    return `${CHAPTER_SCOPE}${trimmed.slice(documentPart.length)}`;
+  }
+  return `${CHAPTER_SCOPE} ${trimmed}`;
+}
+
+const insideKeyframes = (rule) => rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name);
+
+// `css` with every rule limited to the chapter, or '' if it can't be parsed
+export function scopeChapterCss(css) {
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch (error) {
+    return '';
+  }
+
+  root.walkAtRules(/^import$/i, (rule) => rule.remove());
+  root.walkRules((rule) => {
+    if (!insideKeyframes(rule)) {
+      rule.selectors = rule.selectors.map(scopeSelector);
+    }
+  });
+  root.walkDecls(/^position$/i, (declaration) => {
+    if (/fixed/i.test(declaration.value)) {
+      declaration.remove();
+    }
+  });
+  return root.toString();
+}
@@ -0,0 +1,168 @@
+// Resumable chunked uploads: init -> append chunks -> finalize
+// Chunks are appended in order to a partial file; the client can ask how much
+// arrived and carry on from there. Abandoned uploads expire and are deleted.
+
+import path from 'path';
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import { ERROR_MESSAGES } from '../config/limits.js';
+
+// Errors carry a code matching ERROR_MESSAGES in config/limits.js
+function uploadError(code, ...details) {
+  const error = new Error(ERROR_MESSAGES[code](...details));
+  error.code = code;
+  return error;
+}
+
+// Public view of an upload - never exposes the partial file path
+function describe(upload) {
+  return {
+    uploadId: upload.uploadId,
+    filename: upload.filename,
+    size: upload.size,
+    chunkSize: upload.chunkSize,
+    receivedBytes: upload.receivedBytes,
+    expiresAt: new Date(upload.updatedAt + upload.expiryMs).toISOString()
+  };
+}
+
+// `directory` holds partial files; uploads idle for `expiryMs` are discarded. A client
+// may have `maxPerClient` uploads declaring `maxBytesPerClient` in progress, and all
+// unfinished uploads together may declare `maxBytes` - the disk they can come to fill.
+export function createChunkedUploadStore({
+  directory,
+  chunkSize,
+  expiryMs,
+  maxPerClient = Infinity,
+  maxBytesPerClient = Infinity,
+  maxBytes = Infinity
+}) {
+  const uploads = new Map();
+
+  const declaredBytes = (list) => list.reduce((total, upload) => total + upload.size, 0);
+
+  const getUpload = (uploadId) => {
+    const upload = uploads.get(uploadId);
+    if (!upload) {
+      throw uploadError('UPLOAD_NOT_FOUND');
+    }
+    return upload;
+  };
+
+  const discard = async (upload) => {
+    uploads.delete(upload.uploadId);
+    await fs.remove(upload.partialPath);
+  };
+
+  return {
+    // `sha256` is the client's hex digest of the whole file, checked on finalize;
+    // `client` identifies who is uploading for the per-client caps
+    async create({ filename, size, sha256, client }) {
+      const all = [...uploads.values()];
+      const own = all.filter(upload => upload.client === client);
+      if (own.length >= maxPerClient) {
+        throw uploadError('TOO_MANY_UPLOADS', maxPerClient);
+      }
+      if (declaredBytes(own) + size > maxBytesPerClient) {
+        throw uploadError('UPLOAD_QUOTA_EXCEEDED', Math.floor(maxBytesPerClient / (1024 * 1024)));
+      }
+      if (declaredBytes(all) + size > maxBytes) {
+        throw uploadError('UPLOAD_STORAGE_FULL');
+      }
+
+      const uploadId = uuidv4();
+      const upload = {
+        uploadId,
+        filename,
+        size,
+        client,
+        sha256: sha256.toLowerCase(),
+        chunkSize,
+        expiryMs,
+        receivedBytes: 0,
+        partialPath: path.join(directory, `${uploadId}.part`),
+        busy: false,
+        updatedAt: Date.now()
+      };
+
+      // Counted against the caps straight away, before any other request can check them
+      uploads.set(uploadId, upload);
+      try {
+        await fs.ensureDir(directory);
+        await fs.writeFile(upload.partialPath, Buffer.alloc(0));
+      } catch (error) {
+        uploads.delete(uploadId);
+        throw error;
+      }
+      return describe(upload);
+    },
+
+    get(uploadId) {
+      return describe(getUpload(uploadId));
+    },
+
+    // Chunks must arrive in order; `offset` is where the client thinks this one starts
+    async append(uploadId, offset, chunk) {
+      const upload = getUpload(uploadId);
+      if (upload.busy || offset !== upload.receivedBytes) {
+        throw uploadError('UPLOAD_OFFSET_MISMATCH', upload.receivedBytes);
+      }
+      if (chunk.length === 0 || chunk.length > upload.chunkSize) {
+        throw uploadError('CHUNK_TOO_LARGE', upload.chunkSize);
+      }
+      if (upload.receivedBytes + chunk.length > upload.size) {
+        throw uploadError('UPLOAD_SIZE_MISMATCH', upload.size);
+      }
+
+      upload.busy = true;
+      try {
+        await fs.appendFile(upload.partialPath, chunk);
+        upload.receivedBytes += chunk.length;
+        upload.updatedAt = Date.now();
+      } finally {
+        upload.busy = false;
+      }
+
+      return describe(upload);
+    },
+
+    // Hand the assembled file over once every byte is in and the digest matches.
+    // `hashFile(path)` must resolve to a hex SHA-256. Returns the partial file path,
+    // which now belongs to the caller.
+    async complete(uploadId, hashFile) {
+      const upload = getUpload(uploadId);
+      if (upload.busy || upload.receivedBytes !== upload.size) {
+        throw uploadError('UPLOAD_INCOMPLETE', upload.receivedBytes, upload.size);
+      }
+
+      // A failed hash leaves the upload in place so finalizing can be retried
+      upload.busy = true;
+      let fileHash;
+      try {
+        fileHash = await hashFile(upload.partialPath);
+      } finally {
+        upload.busy = false;
+      }
+      if (fileHash !== upload.sha256) {
+        await discard(upload);
+        throw uploadError('UPLOAD_CHECKSUM_MISMATCH');
+      }
+
+      uploads.delete(uploadId);
+      return { path: upload.partialPath, filename: upload.filename, size: upload.size, fileHash };
+    },
+
+    async cancel(uploadId) {
+      await discard(getUpload(uploadId));
+    },
+
+    // Delete uploads nobody has touched within the expiry window
+    async removeExpired(now = Date.now()) {
+      const expired = [...uploads.values()].filter(upload => !upload.busy && now - upload.updatedAt > upload.expiryMs);
+      for (const upload of expired) {
+        await discard(upload);
+      }
+      return expired.length;
+    }
+  };
+}
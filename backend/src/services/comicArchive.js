@@ -0,0 +1,188 @@
+// Comic book archive (.cbz) reader built on adm-zip
+// A CBZ is just a ZIP of page images; reading order is the natural sort of their
+// paths. An optional ComicInfo.xml supplies title, writer, series and so on.
+// Pages become one "chapter" each so progress, highlights and comments key on the page number.
+
+import AdmZip from 'adm-zip';
+import path from 'path';
+import { parseXml, findFirst, textContent } from './xmlParser.js';
+import { assertSafeArchive, readEntrySafely } from './archiveGuard.js';
+import { ERROR_MESSAGES } from '../config/limits.js';
+
+// Bump whenever parseComic output changes so cached book content is rebuilt
+export const COMIC_CONVERTER_VERSION = 1;
+
+const COMIC_INFO_PATH = 'ComicInfo.xml';
+
+const PAGE_MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Errors carry a code matching ERROR_MESSAGES in config/limits.js
+function comicError(code, ...details) {
+  const error = new Error(ERROR_MESSAGES[code](...details));
+  error.code = code;
+  return error;
+}
+
+// "page2.jpg" before "page10.jpg"
+const naturalOrder = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Resource forks, dotfiles and thumbnails some archivers add alongside the pages
+function isJunkEntry(entryName) {
+  return entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX') ||
+    /(^|\/)thumbs\.db$/i.test(entryName);
+}
+
+function readComicInfo(xml) {
+  const info = findFirst(parseXml(xml), 'ComicInfo');
+  const field = (name) => {
+    const node = info && findFirst(info, name);
+    const value = node ? textContent(node).trim() : '';
+    return value || null;
+  };
+
+  const number = parseFloat(field('Number'));
+  const year = field('Year');
+  const month = field('Month');
+
+  return {
+    title: field('Title') || field('Series'),
+    author: field('Writer'),
+    language: field('LanguageISO'),
+    publisher: field('Publisher'),
+    date: year ? [year, month && month.padStart(2, '0')].filter(Boolean).join('-') : null,
+    description: field('Summary'),
+    subjects: (field('Genre') || '').split(',').map(genre => genre.trim()).filter(Boolean),
+    series: field('Series'),
+    seriesIndex: Number.isFinite(number) ? number : null
+  };
+}
+
+// Open the archive and list its pages in reading order.
+// `resources` maps entry paths to { path, mediaType } like an EPUB manifest,
+// so the asset route can serve pages the same way.
+export function openComic(source) {
+  const zip = typeof source?.getEntries === 'function' ? source : new AdmZip(source);
+  assertSafeArchive(zip);
+
+  const entries = new Map();
+  for (const entry of zip.getEntries()) {
+    if (!entry.isDirectory) {
+      entries.set(entry.entryName, entry);
+    }
+  }
+
+  const getEntry = (entryPath) => entries.get(entryPath) || null;
+  const readBuffer = (entryPath) => {
+    const entry = getEntry(entryPath);
+    return entry ? readEntrySafely(entry) : null;
+  };
+
+  const pages = [...entries.keys()]
+    .filter(entryName => !isJunkEntry(entryName) && PAGE_MEDIA_TYPES[path.posix.extname(entryName).toLowerCase()])
+    .sort(naturalOrder.compare)
+    .map(entryName => ({
+      path: entryName,
+      mediaType: PAGE_MEDIA_TYPES[path.posix.extname(entryName).toLowerCase()]
+    }));
+
+  const resources = new Map(pages.map(page => [page.path, page]));
+
+  // ComicInfo.xml usually sits at the root, but some tools nest it with the pages
+  const infoEntryName = [...entries.keys()].find(entryName => (
+    !isJunkEntry(entryName) && path.posix.basename(entryName).toLowerCase() === COMIC_INFO_PATH.toLowerCase()
+  ));
+  let metadata = {};
+  if (infoEntryName) {
+    try {
+      metadata = readComicInfo(readBuffer(infoEntryName).toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      console.log('⚠️  Ignoring unreadable ComicInfo.xml:', error.message);
+    }
+  }
+
+  return {
+    zip,
+    pages,
+    resources,
+    metadata: {
+      title: null,
+      author: null,
+      language: null,
+      publisher: null,
+      date: null,
+      description: null,
+      subjects: [],
+      series: null,
+      seriesIndex: null,
+      ...metadata,
+      creators: metadata.author ? [{ name: metadata.author, role: 'aut', fileAs: null }] : [],
+      identifiers: [],
+      isbn: null
+    },
+    getEntry,
+    readBuffer
+  };
+}
+
+// { valid: true } or { valid: false, code, error }
+export function validateComic(filePath) {
+  let comic;
+  try {
+    comic = openComic(filePath);
+  } catch (error) {
+    // Archive guard errors already carry their user-facing message
+    return error.code
+      ? { valid: false, code: error.code, error: error.message }
+      : { valid: false, code: 'INVALID_COMIC_ARCHIVE', error: ERROR_MESSAGES.INVALID_COMIC_ARCHIVE() };
+  }
+
+  if (comic.pages.length === 0) {
+    return { valid: false, code: 'COMIC_NO_PAGES', error: ERROR_MESSAGES.COMIC_NO_PAGES() };
+  }
+  return { valid: true };
+}
+
+// The first page doubles as the cover: { path, buffer } or null
+export function comicCover(comic) {
+  const firstPage = comic.pages[0];
+  return firstPage ? { path: firstPage.path, buffer: comic.readBuffer(firstPage.path) } : null;
+}
+
+// Parse a CBZ into one image page per chapter.
+// `options.assetUrl(entryPath)` builds the URL that serves a page image.
+export function parseComic(filePath, options = {}) {
+  const { assetUrl = (entryPath) => entryPath } = options;
+  const comic = openComic(filePath);
+  if (comic.pages.length === 0) {
+    throw comicError('COMIC_NO_PAGES');
+  }
+
+  const chapters = comic.pages.map((page, index) => ({
+    id: `page-${index + 1}`,
+    href: page.path,
+    title: `Page ${index + 1}`,
+    image: assetUrl(page.path),
+    content: `<img src="${assetUrl(page.path)}" alt="Page ${index + 1}" />`
+  }));
+
+  return {
+    chapters,
+    toc: chapters.map((chapter, index) => ({
+      title: chapter.title,
+      path: chapter.href,
+      fragment: null,
+      chapterIndex: index,
+      children: []
+    })),
+    metadata: {
+      ...comic.metadata,
+      chapters: chapters.length
+    }
+  };
+}
@@ -0,0 +1,56 @@
+// Book cover storage and thumbnails
+// The cover is copied out of the book once during ingestion; thumbnails are
+// rendered on first request and kept next to it on disk.
+
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+
+// Store a cover read by readBookCover ({ path, buffer } or null) in `coversDir`
+// as <bookId><ext>. Returns the stored path, or null when there is no usable cover.
+export async function saveCover(cover, bookId, coversDir) {
+  const buffer = cover?.buffer;
+  if (!buffer) return null;
+
+  // Make sure it's an image sharp can actually decode before keeping it
+  await sharp(buffer).metadata();
+
+  // Names inside the book can be anything; only a plain extension is kept
+  const extension = path.extname(cover.path).toLowerCase();
+  await fs.ensureDir(coversDir);
+  const coverPath = path.join(coversDir, `${bookId}${/^\.[a-z0-9]+$/.test(extension) ? extension : ''}`);
+  await fs.writeFile(coverPath, buffer);
+  return coverPath;
+}
+
+// <bookId><ext> as written by saveCover
+const COVER_NAME = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(\.[a-z0-9]+)?$/;
+
+// Where the thumbnail of `coverPath` `width` pixels wide is cached: <bookId>-<width>.jpg
+// next to the cover. Throws for anything saveCover wouldn't have written.
+export function thumbnailPathFor(coverPath, width) {
+  const match = path.basename(coverPath).match(COVER_NAME);
+  if (!match || !Number.isInteger(width) || width <= 0) {
+    throw new Error(`Not a cover or thumbnail width: ${coverPath}, ${width}`);
+  }
+  return path.join(path.dirname(coverPath), `${match[1]}-${width}.jpg`);
+}
+
+// Path of a JPEG thumbnail `width` pixels wide, rendering it if needed
+export async function coverThumbnail(coverPath, width) {
+  const thumbnailPath = thumbnailPathFor(coverPath, width);
+  if (await fs.pathExists(thumbnailPath)) {
+    return thumbnailPath;
+  }
+
+  // Render to a temp file so concurrent requests never serve a half-written thumbnail
+  const tempPath = `${thumbnailPath}.${process.pid}-${Date.now()}.tmp`;
+  await sharp(coverPath)
+    .resize({ width, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 80 })
+    .toFile(tempPath);
+  await fs.move(tempPath, thumbnailPath, { overwrite: true });
+
+  return thumbnailPath;
+}
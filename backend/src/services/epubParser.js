@@ -0,0 +1,477 @@
+// Native EPUB reader built on adm-zip
+// Reads META-INF/container.xml -> OPF package (manifest + spine) -> NCX/nav TOC
+// and returns spine-ordered chapters with their original XHTML body markup.
+
+import AdmZip from 'adm-zip';
+import path from 'path';
+import { parseXml, getAttribute, childElements, findAll, findFirst, textContent } from './xmlParser.js';
+import { assertSafeArchive, readEntrySafely } from './archiveGuard.js';
+import { sanitizeChapterHtml } from './htmlSanitizer.js';
+import { scopeChapterCss } from './chapterStyles.js';
+
+// Bump whenever parseEpub output changes so cached book content is rebuilt
+export const EPUB_CONVERTER_VERSION = 4;
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+const PACKAGE_MEDIA_TYPE = 'application/oebps-package+xml';
+const NCX_MEDIA_TYPE = 'application/x-dtbncx+xml';
+const CONTENT_DOCUMENT_TYPES = ['application/xhtml+xml', 'text/html'];
+
+// Errors carry a code matching ERROR_MESSAGES in config/limits.js
+function epubError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Resolve an href found in a document at `baseDir` to an archive entry path
+export function resolveHref(baseDir, href) {
+  const [rawPath, fragment] = href.split('#');
+  let decodedPath = rawPath;
+  try {
+    decodedPath = decodeURIComponent(rawPath);
+  } catch (error) {
+    // Leave malformed escapes as-is
+  }
+
+  const joined = path.posix.normalize(path.posix.join(baseDir || '', decodedPath));
+  return {
+    path: joined === '.' ? '' : joined,
+    fragment: fragment || null
+  };
+}
+
+function directoryOf(entryPath) {
+  const dir = path.posix.dirname(entryPath);
+  return dir === '.' ? '' : dir;
+}
+
+// Open the archive and read the package document (metadata, manifest, spine).
+// Accepts a file path or an already opened AdmZip instance.
+export function openEpub(source) {
+  const zip = typeof source?.getEntries === 'function' ? source : new AdmZip(source);
+  assertSafeArchive(zip);
+
+  const entries = new Map();
+  const entriesLowerCase = new Map();
+
+  for (const entry of zip.getEntries()) {
+    entries.set(entry.entryName, entry);
+    entriesLowerCase.set(entry.entryName.toLowerCase(), entry);
+  }
+
+  // Some packagers get the case of hrefs wrong, so fall back to a case-insensitive lookup
+  const getEntry = (entryPath) => entries.get(entryPath) || entriesLowerCase.get(entryPath.toLowerCase()) || null;
+
+  const readBuffer = (entryPath) => {
+    const entry = getEntry(entryPath);
+    return entry && !entry.isDirectory ? readEntrySafely(entry) : null;
+  };
+
+  const readText = (entryPath) => {
+    const buffer = readBuffer(entryPath);
+    return buffer ? buffer.toString('utf8').replace(/^\uFEFF/, '') : null;
+  };
+
+  const containerXml = readText(CONTAINER_PATH);
+  if (!containerXml) {
+    throw epubError('EPUB_CONTAINER_INVALID', `EPUB is missing ${CONTAINER_PATH}`);
+  }
+
+  const rootfiles = findAll(parseXml(containerXml), 'rootfile');
+  const rootfile = rootfiles.find(node => getAttribute(node, 'media-type') === PACKAGE_MEDIA_TYPE) || rootfiles[0];
+  const opfPath = getAttribute(rootfile, 'full-path');
+  if (!opfPath) {
+    throw epubError('EPUB_CONTAINER_INVALID', 'container.xml does not point to a package document');
+  }
+
+  const opfXml = readText(opfPath);
+  if (!opfXml) {
+    throw epubError('EPUB_PACKAGE_INVALID', `EPUB package document not found: ${opfPath}`);
+  }
+
+  const opf = parseXml(opfXml);
+  if (!findFirst(opf, 'package') || !findFirst(opf, 'manifest') || !findFirst(opf, 'spine')) {
+    throw epubError('EPUB_PACKAGE_INVALID', `EPUB package document is missing its package, manifest or spine: ${opfPath}`);
+  }
+  const opfDir = directoryOf(opfPath);
+
+  // Manifest: id -> resource, plus a path lookup for resolving document references
+  const manifest = new Map();
+  const resources = new Map();
+  for (const node of findAll(opf, 'item')) {
+    const id = getAttribute(node, 'id');
+    const href = getAttribute(node, 'href');
+    if (!id || !href) continue;
+
+    const item = {
+      id,
+      href,
+      path: resolveHref(opfDir, href).path,
+      mediaType: (getAttribute(node, 'media-type') || '').toLowerCase(),
+      properties: (getAttribute(node, 'properties') || '').split(/\s+/).filter(Boolean)
+    };
+    manifest.set(id, item);
+    resources.set(item.path, item);
+  }
+
+  // Spine: reading order
+  const spineNode = findFirst(opf, 'spine');
+  const spine = {
+    tocId: getAttribute(spineNode, 'toc'),
+    items: childElements(spineNode, 'itemref').map(node => {
+      const idref = getAttribute(node, 'idref');
+      return {
+        idref,
+        linear: getAttribute(node, 'linear') !== 'no',
+        item: manifest.get(idref) || null
+      };
+    })
+  };
+
+  return {
+    zip,
+    opfPath,
+    opfDir,
+    package: opf,
+    manifest,
+    resources,
+    spine,
+    metadata: readPackageMetadata(opf),
+    getEntry,
+    readBuffer,
+    readText
+  };
+}
+
+function looksLikeIsbn(value) {
+  return /^(?:97[89])?\d{9}[\dX]$/i.test(value.replace(/^urn:isbn:/i, '').replace(/[\s-]/g, ''));
+}
+
+// Dublin Core metadata plus EPUB3 refinements and calibre series tags
+function readPackageMetadata(opf) {
+  const metadataNode = findFirst(opf, 'metadata') || opf;
+  const metas = findAll(metadataNode, 'meta');
+
+  // EPUB3 <meta refines="#id" property="..."> values, keyed by the refined element id
+  const refinements = new Map();
+  for (const meta of metas) {
+    const refines = getAttribute(meta, 'refines');
+    const property = getAttribute(meta, 'property');
+    if (!refines || !property) continue;
+
+    const id = refines.replace(/^#/, '');
+    const values = refinements.get(id) || {};
+    if (!(property in values)) {
+      values[property] = textContent(meta);
+    }
+    refinements.set(id, values);
+  }
+  const refined = (node, property) => refinements.get(getAttribute(node, 'id'))?.[property] || null;
+
+  // EPUB2 keeps roles in opf:role / opf:file-as, EPUB3 in refining metas
+  const readPeople = (localName, defaultRole) => findAll(metadataNode, localName)
+    .map(node => ({
+      name: textContent(node),
+      role: getAttribute(node, 'opf:role') || refined(node, 'role') || defaultRole,
+      fileAs: getAttribute(node, 'opf:file-as') || refined(node, 'file-as') || null
+    }))
+    .filter(person => person.name);
+
+  const creators = [...readPeople('creator', 'aut'), ...readPeople('contributor', 'ctb')];
+  const authors = creators.filter(person => person.role === 'aut');
+
+  const titles = findAll(metadataNode, 'title');
+  const mainTitle = titles.find(node => refined(node, 'title-type') === 'main') || titles[0];
+
+  const identifiers = findAll(metadataNode, 'identifier')
+    .map(node => ({
+      value: textContent(node),
+      scheme: getAttribute(node, 'opf:scheme') || refined(node, 'identifier-type') || null
+    }))
+    .filter(identifier => identifier.value);
+
+  const isbnIdentifier = identifiers.find(identifier => /isbn/i.test(identifier.scheme || '') || /^urn:isbn:/i.test(identifier.value)) ||
+    identifiers.find(identifier => looksLikeIsbn(identifier.value));
+
+  // EPUB3 collections first, then the calibre:series convention most EPUB2 files use
+  const metaContent = (name) => getAttribute(metas.find(meta => getAttribute(meta, 'name') === name), 'content') || null;
+  const collection = metas.find(meta => (
+    getAttribute(meta, 'property') === 'belongs-to-collection' &&
+    (refined(meta, 'collection-type') || 'series') === 'series'
+  ));
+  const series = collection ? textContent(collection) : metaContent('calibre:series');
+  const seriesIndex = parseFloat(collection ? refined(collection, 'group-position') : metaContent('calibre:series_index'));
+
+  // Descriptions are frequently escaped HTML
+  const description = textContent(findFirst(metadataNode, 'description'))
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    title: textContent(mainTitle) || null,
+    author: (authors.length > 0 ? authors : creators).map(person => person.name).join(', ') || null,
+    creators,
+    language: textContent(findFirst(metadataNode, 'language')) || null,
+    publisher: textContent(findFirst(metadataNode, 'publisher')) || null,
+    date: textContent(findFirst(metadataNode, 'date')) || null,
+    identifiers,
+    isbn: isbnIdentifier ? isbnIdentifier.value.replace(/^urn:isbn:/i, '') : null,
+    description: description || null,
+    subjects: findAll(metadataNode, 'subject').map(textContent).filter(Boolean),
+    series: series || null,
+    seriesIndex: Number.isFinite(seriesIndex) ? seriesIndex : null
+  };
+}
+
+// EPUB3 navigation document (<nav epub:type="toc">)
+function readNavToc(book) {
+  const navItem = [...book.manifest.values()].find(item => item.properties.includes('nav'));
+  if (!navItem) return null;
+
+  const navXml = book.readText(navItem.path);
+  if (!navXml) return null;
+
+  const navs = findAll(parseXml(navXml), 'nav');
+  const tocNav = navs.find(nav => (getAttribute(nav, 'epub:type') || '').split(/\s+/).includes('toc')) || navs[0];
+  const list = tocNav && findFirst(tocNav, 'ol');
+  if (!list) return null;
+
+  const baseDir = directoryOf(navItem.path);
+  const readList = (ol) => childElements(ol, 'li').map(li => {
+    const label = childElements(li, 'a')[0] || childElements(li, 'span')[0];
+    const href = getAttribute(label, 'href');
+    const nested = childElements(li, 'ol')[0];
+
+    return {
+      title: textContent(label),
+      ...(href ? resolveHref(baseDir, href) : { path: null, fragment: null }),
+      children: nested ? readList(nested) : []
+    };
+  });
+
+  return readList(list);
+}
+
+// EPUB2 NCX navMap
+function readNcxToc(book) {
+  const ncxItem = book.manifest.get(book.spine.tocId) ||
+    [...book.manifest.values()].find(item => item.mediaType === NCX_MEDIA_TYPE);
+  if (!ncxItem) return null;
+
+  const ncxXml = book.readText(ncxItem.path);
+  if (!ncxXml) return null;
+
+  const navMap = findFirst(parseXml(ncxXml), 'navMap');
+  if (!navMap) return null;
+
+  const baseDir = directoryOf(ncxItem.path);
+  const readPoints = (parent) => childElements(parent, 'navPoint').map(point => {
+    const label = childElements(point, 'navLabel')[0];
+    const src = getAttribute(childElements(point, 'content')[0], 'src');
+
+    return {
+      title: textContent(label),
+      ...(src ? resolveHref(baseDir, src) : { path: null, fragment: null }),
+      children: readPoints(point)
+    };
+  });
+
+  return readPoints(navMap);
+}
+
+export function readToc(book) {
+  return readNavToc(book) || readNcxToc(book) || [];
+}
+
+const isImage = (item) => item?.mediaType.startsWith('image/');
+
+// First <img src> or SVG <image href> in a content document
+function firstImageIn(book, documentItem) {
+  const xhtml = book.readText(documentItem.path);
+  if (!xhtml) return null;
+
+  const tree = parseXml(xhtml);
+  const image = findFirst(tree, 'img') || findFirst(tree, 'image');
+  const src = getAttribute(image, 'src') || getAttribute(image, 'xlink:href') || getAttribute(image, 'href');
+  if (!src || /^[a-z][a-z0-9+.-]*:/i.test(src)) return null;
+
+  const { path } = resolveHref(directoryOf(documentItem.path), src);
+  return book.resources.get(path) || null;
+}
+
+// Cover lookup: EPUB3 cover-image property, EPUB2 <meta name="cover">,
+// then the first image in the first spine item. Returns a manifest item or null.
+export function findCover(book) {
+  const coverImage = [...book.manifest.values()].find(item => item.properties.includes('cover-image'));
+  if (isImage(coverImage)) return coverImage;
+
+  const coverMeta = findAll(book.package, 'meta').find(meta => getAttribute(meta, 'name') === 'cover');
+  const coverRef = getAttribute(coverMeta, 'content');
+  if (coverRef) {
+    // Usually a manifest id, but some packagers put the href here
+    const item = book.manifest.get(coverRef) || book.resources.get(resolveHref(book.opfDir, coverRef).path);
+    if (isImage(item)) return item;
+  }
+
+  const firstDocument = book.spine.items.find(spineItem => spineItem.item)?.item;
+  const firstImage = firstDocument && firstImageIn(book, firstDocument);
+  return isImage(firstImage) ? firstImage : null;
+}
+
+function flattenToc(entries, output = []) {
+  for (const entry of entries) {
+    output.push(entry);
+    flattenToc(entry.children, output);
+  }
+  return output;
+}
+
+// Fall back to the document <title> or first heading when the TOC has no entry
+function documentTitle(xhtml) {
+  const stripTags = (html) => html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  const titleMatch = xhtml.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (titleMatch && stripTags(titleMatch[1])) {
+    return stripTags(titleMatch[1]);
+  }
+
+  const headingMatch = xhtml.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i);
+  return headingMatch ? stripTags(headingMatch[1]) || null : null;
+}
+
+// Manifest resource `reference` (relative to the file at `basePath`) points to, as an
+// asset URL - or null for external, fragment-only and unknown references
+function assetUrlFor(reference, basePath, book, assetUrl) {
+  const trimmed = reference.trim();
+  if (!trimmed || /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(trimmed)) return null;
+
+  const { path: resolved, fragment } = resolveHref(directoryOf(basePath), trimmed);
+  const item = book.resources.get(resolved);
+  return item ? assetUrl(item.path) + (fragment ? `#${fragment}` : '') : null;
+}
+
+// Point CSS url()s that resolve to manifest resources at the asset route
+function rewriteCssUrls(css, basePath, book, assetUrl) {
+  return css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (match, quote, reference) => {
+    const rewritten = assetUrlFor(reference, basePath, book, assetUrl);
+    return rewritten ? `url(${quote}${rewritten}${quote})` : match;
+  });
+}
+
+// Stylesheets declared in the document <head>, which the body extraction drops: <style>
+// blocks and linked stylesheets from inside the book, in order, as one <style> scoped to
+// the chapter. url()s are resolved against the file they appear in, and every "<" is
+// escaped so the CSS can't close the element and start markup.
+function extractHeadStyles(xhtml, documentPath, book, assetUrl) {
+  const headMatch = xhtml.match(/<head[^>]*>([\s\S]*?)<\/head>/i);
+  if (!headMatch) return '';
+
+  const css = (headMatch[1].match(/<link\b[^>]*>|<style\b[^>]*>[\s\S]*?<\/style\s*>/gi) || [])
+    .map(tag => {
+      if (/^<style/i.test(tag)) {
+        const inline = tag.replace(/^<style\b[^>]*>/i, '').replace(/<\/style\s*>$/i, '');
+        return scopeChapterCss(rewriteCssUrls(inline, documentPath, book, assetUrl));
+      }
+      const href = tag.match(/\shref\s*=\s*(["'])([^"'<>]*)\1/i)?.[2];
+      if (!href || !/\srel\s*=\s*["'][^"']*stylesheet/i.test(tag) || /^\s*(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) {
+        return '';
+      }
+      const item = book.resources.get(resolveHref(directoryOf(documentPath), href.trim()).path);
+      const linked = item?.mediaType === 'text/css' ? book.readText(item.path) : null;
+      return linked ? scopeChapterCss(rewriteCssUrls(linked, item.path, book, assetUrl)) : '';
+    })
+    .map(sheet => sheet.trim())
+    .filter(Boolean)
+    .join('\n');
+
+  return css ? `<style>${css.replace(/</g, '\\3C ')}</style>` : '';
+}
+
+// Point img/media references and CSS url()s that resolve to manifest resources at the
+// asset route; external and unknown references are left alone
+function rewriteResourceUrls(html, documentPath, book, assetUrl) {
+  return rewriteCssUrls(
+    html.replace(/<(?:img|image|source|video|audio|track)\b[^>]*>/gi, (tag) => (
+      tag.replace(/(\s(?:src|href|xlink:href|poster)\s*=\s*)(["'])([^"']*)\2/gi, (match, prefix, quote, reference) => {
+        const rewritten = assetUrlFor(reference, documentPath, book, assetUrl);
+        return rewritten ? `${prefix}${quote}${rewritten}${quote}` : match;
+      })
+    )),
+    documentPath,
+    book,
+    assetUrl
+  );
+}
+
+// Body markup of a content document, made safe to inject with innerHTML
+export function extractBodyContent(xhtml) {
+  const bodyMatch = xhtml.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const html = bodyMatch ? bodyMatch[1] : xhtml.replace(/<\?xml[\s\S]*?\?>|<!DOCTYPE[^>]*>/gi, '');
+
+  return sanitizeChapterHtml(html).trim();
+}
+
+// Parse an EPUB file into reader-ready chapters, TOC and metadata.
+// `options.assetUrl(entryPath)` builds the URL that serves an archive resource;
+// without it chapter markup keeps its original relative references.
+export function parseEpub(filePath, options = {}) {
+  const { assetUrl } = options;
+  const book = openEpub(filePath);
+  const toc = readToc(book);
+  const tocEntries = flattenToc(toc);
+
+  // First TOC label pointing at a document becomes that chapter's title
+  const tocTitles = new Map();
+  for (const entry of tocEntries) {
+    if (entry.path && entry.title && !tocTitles.has(entry.path)) {
+      tocTitles.set(entry.path, entry.title);
+    }
+  }
+
+  const chapters = [];
+  for (const spineItem of book.spine.items) {
+    const item = spineItem.item;
+    if (!item || !CONTENT_DOCUMENT_TYPES.includes(item.mediaType)) {
+      continue;
+    }
+
+    const xhtml = book.readText(item.path);
+    if (xhtml === null) {
+      console.log('⚠️  Spine item missing from archive:', item.path);
+      continue;
+    }
+
+    let content = extractBodyContent(xhtml);
+    if (assetUrl) {
+      content = extractHeadStyles(xhtml, item.path, book, assetUrl) + rewriteResourceUrls(content, item.path, book, assetUrl);
+    }
+
+    chapters.push({
+      id: item.id,
+      href: item.path,
+      linear: spineItem.linear,
+      title: tocTitles.get(item.path) || documentTitle(xhtml) || `Chapter ${chapters.length + 1}`,
+      content
+    });
+  }
+
+  if (chapters.length === 0) {
+    throw epubError('EPUB_SPINE_INVALID', 'EPUB spine contains no readable chapters');
+  }
+
+  // Let the reader jump from a TOC entry straight to its chapter
+  const chapterIndexByPath = new Map(chapters.map((chapter, index) => [chapter.href, index]));
+  for (const entry of tocEntries) {
+    entry.chapterIndex = chapterIndexByPath.has(entry.path) ? chapterIndexByPath.get(entry.path) : null;
+  }
+
+  return {
+    chapters,
+    toc,
+    metadata: {
+      ...book.metadata,
+      chapters: chapters.length
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// Structural EPUB checks run on upload (FILE.VALIDATE_EPUB_STRUCTURE)
+// Catches renamed PDFs and corrupt archives before they become books that can never open.
+
+import AdmZip from 'adm-zip';
+import { ERROR_MESSAGES } from '../config/limits.js';
+import { openEpub } from './epubParser.js';
+import { assertSafeArchive, readEntrySafely } from './archiveGuard.js';
+
+const EPUB_MIMETYPE = 'application/epub+zip';
+const STORED = 0; // ZIP compression method for uncompressed entries
+
+function invalid(code, ...details) {
+  return {
+    valid: false,
+    code,
+    error: ERROR_MESSAGES[code](...details)
+  };
+}
+
+// Archive guard errors already carry their user-facing message
+function rejected(error) {
+  return { valid: false, code: error.code, error: error.message };
+}
+
+// Returns { valid: true, book } or { valid: false, code, error }
+export function validateEpubStructure(filePath) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+    zip.getEntries();
+  } catch (error) {
+    return invalid('INVALID_EPUB_ARCHIVE');
+  }
+
+  // Zip bombs, path traversal and symlinks - nothing is inflated before this passes
+  try {
+    assertSafeArchive(zip);
+  } catch (error) {
+    return rejected(error);
+  }
+
+  // The mimetype entry must be stored uncompressed and name the EPUB media type
+  const mimetypeEntry = zip.getEntry('mimetype');
+  if (!mimetypeEntry || mimetypeEntry.header.method !== STORED) {
+    return invalid('EPUB_MIMETYPE_INVALID');
+  }
+
+  try {
+    if (readEntrySafely(mimetypeEntry).toString('ascii').trim() !== EPUB_MIMETYPE) {
+      return invalid('EPUB_MIMETYPE_INVALID');
+    }
+  } catch (error) {
+    return rejected(error);
+  }
+
+  let book;
+  try {
+    book = openEpub(zip);
+  } catch (error) {
+    if (error.code?.startsWith('ARCHIVE_')) {
+      return rejected(error);
+    }
+    return invalid(error.code || 'EPUB_PACKAGE_INVALID');
+  }
+
+  // Every spine item must name a manifest item that exists in the archive
+  const missingItems = book.spine.items
+    .filter(spineItem => !spineItem.item || !book.getEntry(spineItem.item.path))
+    .map(spineItem => spineItem.item?.href || spineItem.idref || '(unnamed)');
+
+  if (book.spine.items.length === 0) {
+    return invalid('EPUB_SPINE_INVALID', ['(empty spine)']);
+  }
+  if (missingItems.length > 0) {
+    return invalid('EPUB_SPINE_INVALID', missingItems);
+  }
+
+  return { valid: true, book };
+}
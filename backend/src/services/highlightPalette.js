@@ -0,0 +1,53 @@
+// Semantic highlight palettes
+// A book's owner can give highlight colors a meaning - "important", "confusing",
+// "quote" - as a palette of { key, label, color } entries stored on the book. Highlights
+// refer to an entry by `palette_key`, so recoloring or renaming an entry updates every
+// highlight in it. A book without a palette colors highlights by reader, as before.
+
+import { getCurrentLimits, ERROR_MESSAGES } from '../config/limits.js';
+
+const limits = () => getCurrentLimits(process.env.NODE_ENV || 'development');
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function paletteError() {
+  const { MAX_ENTRIES, MAX_LABEL_CHARS } = limits().CONTENT.PALETTE;
+  return { error: ERROR_MESSAGES.INVALID_PALETTE(MAX_ENTRIES, MAX_LABEL_CHARS), code: 'INVALID_PALETTE' };
+}
+
+// "Big Idea!" -> "big-idea"
+function keyFromLabel(label) {
+  return label.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+// Check a palette sent by the owner. Entries without a key get one from their label;
+// keys already in use by highlights should be sent back unchanged to keep them.
+// Returns { palette } or { error, code }. An empty palette turns semantic colors off.
+export function normalizePalette(entries) {
+  const { MAX_ENTRIES, MAX_LABEL_CHARS } = limits().CONTENT.PALETTE;
+  if (!Array.isArray(entries) || entries.length > MAX_ENTRIES) {
+    return paletteError();
+  }
+
+  const palette = [];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return paletteError();
+    }
+    const label = typeof entry.label === 'string' ? entry.label.trim() : '';
+    const key = typeof entry.key === 'string' && entry.key ? entry.key : keyFromLabel(label);
+    if (!label || label.length > MAX_LABEL_CHARS || !key || typeof entry.color !== 'string' || !HEX_COLOR.test(entry.color)) {
+      return paletteError();
+    }
+    if (palette.some(existing => existing.key === key)) {
+      return paletteError();
+    }
+    palette.push({ key, label, color: entry.color.toLowerCase() });
+  }
+  return { palette };
+}
+
+// The palette entry `key` names, or null
+export function paletteEntry(palette, key) {
+  return (palette || []).find(entry => entry.key === key) || null;
+}
@@ -0,0 +1,80 @@
+// Allowlist sanitizer for chapter markup
+// Chapter HTML from uploaded books is injected into every reader's page, so it is parsed
+// with a real HTML parser and rebuilt from an allowlist of elements, attributes and URL
+// schemes. Anything else - scripts, event handlers, iframes, objects, forms, javascript:
+// URLs however they are encoded - is dropped.
+
+import sanitizeHtml from 'sanitize-html';
+
+const CHAPTER_TAGS = [
+  ...sanitizeHtml.defaults.allowedTags,
+  'img', 'picture', 'source', 'audio', 'video', 'track',
+  'del', 'ins', 'big', 'center', 'font', 'tt', 'strike',
+  // Inline SVG, as used for EPUB cover pages - shapes and images only
+  'svg', 'g', 'image', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'text', 'tspan', 'title', 'desc'
+];
+
+const CHAPTER_ATTRIBUTES = {
+  '*': ['id', 'class', 'style', 'lang', 'xml:lang', 'dir', 'title', 'epub:type', 'role', 'aria-*', 'align', 'width', 'height'],
+  a: ['href', 'name'],
+  img: ['src', 'alt', 'srcset', 'sizes'],
+  source: ['src', 'srcset', 'type', 'media'],
+  audio: ['src', 'controls', 'loop', 'preload'],
+  video: ['src', 'controls', 'loop', 'preload', 'poster'],
+  track: ['src', 'kind', 'srclang', 'label', 'default'],
+  ol: ['start', 'type', 'reversed'],
+  li: ['value'],
+  td: ['colspan', 'rowspan', 'headers', 'valign'],
+  th: ['colspan', 'rowspan', 'headers', 'scope', 'valign'],
+  col: ['span'],
+  colgroup: ['span'],
+  font: ['color', 'face', 'size'],
+  svg: ['xmlns', 'xmlns:xlink', 'version', 'viewbox', 'preserveaspectratio'],
+  image: ['href', 'xlink:href', 'x', 'y', 'preserveaspectratio'],
+  rect: ['x', 'y', 'rx', 'ry', 'fill', 'stroke', 'stroke-width', 'transform'],
+  circle: ['cx', 'cy', 'r', 'fill', 'stroke', 'stroke-width', 'transform'],
+  ellipse: ['cx', 'cy', 'rx', 'ry', 'fill', 'stroke', 'stroke-width', 'transform'],
+  line: ['x1', 'y1', 'x2', 'y2', 'stroke', 'stroke-width', 'transform'],
+  polyline: ['points', 'fill', 'stroke', 'stroke-width', 'transform'],
+  polygon: ['points', 'fill', 'stroke', 'stroke-width', 'transform'],
+  path: ['d', 'fill', 'stroke', 'stroke-width', 'transform'],
+  g: ['fill', 'stroke', 'transform'],
+  text: ['x', 'y', 'dx', 'dy', 'fill', 'font-size', 'text-anchor', 'transform'],
+  tspan: ['x', 'y', 'dx', 'dy', 'fill']
+};
+
+// Inline styles may only set typography, spacing, borders and sizes - nothing that
+// positions an element over the app or pulls in URLs
+const STYLE_PROPERTIES = [
+  'color', 'background-color', 'opacity',
+  'font', 'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight',
+  'line-height', 'letter-spacing', 'word-spacing', 'white-space', 'word-break', 'hyphens',
+  'text-align', 'text-align-last', 'text-decoration', 'text-indent', 'text-transform', 'text-shadow', 'vertical-align',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-top', 'border-right', 'border-bottom', 'border-left',
+  'border-color', 'border-style', 'border-width', 'border-radius', 'border-collapse', 'border-spacing',
+  'width', 'height', 'max-width', 'max-height', 'min-width', 'min-height',
+  'display', 'float', 'clear', 'list-style', 'list-style-type', 'list-style-position',
+  'page-break-before', 'page-break-after', 'page-break-inside'
+];
+// Keywords, numbers, colors and lengths, and color/calc functions - never url() or expression()
+const STYLE_VALUE = /^(?:[-\w\s.,%#'"!/+]|(?:rgba?|hsla?|calc)\([^()]*\))+$/i;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: CHAPTER_TAGS,
+  allowedAttributes: CHAPTER_ATTRIBUTES,
+  allowedStyles: { '*': Object.fromEntries(STYLE_PROPERTIES.map(property => [property, [STYLE_VALUE]])) },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'], image: ['http', 'https', 'data'] },
+  allowedSchemesAppliedToAttributes: ['href', 'src', 'cite', 'xlink:href', 'poster', 'srcset'],
+  // Script and style contents are dropped along with the tags
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'iframe', 'object', 'embed', 'template'],
+  // XHTML allows <div/>, HTML parsers would treat it as an open tag
+  parser: { recognizeSelfClosing: true }
+};
+
+// `html` reduced to the allowed markup, safe to inject with innerHTML
+export function sanitizeChapterHtml(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
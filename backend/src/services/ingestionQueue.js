@@ -0,0 +1,101 @@
+// In-process ingestion queue for uploaded books
+// Jobs move through queued -> extracting -> converting -> ready (or failed),
+// with at most `concurrency` jobs running at once.
+
+export const INGESTION_STATUS = {
+  QUEUED: 'queued',
+  EXTRACTING: 'extracting',
+  CONVERTING: 'converting',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+// Rough progress shown to readers while a stage is running
+const STAGE_PROGRESS = {
+  queued: 0,
+  extracting: 10,
+  converting: 40,
+  ready: 100,
+  failed: 100
+};
+
+// `onUpdate(status)` is called on every state change with
+// { bookId, status, progress, queuePosition, error, updatedAt }
+export function createIngestionQueue({ concurrency, onUpdate }) {
+  const pending = [];
+  const active = new Map();
+  let running = 0;
+
+  const update = (bookId, changes) => {
+    const status = {
+      ...active.get(bookId),
+      ...changes,
+      bookId,
+      updatedAt: new Date().toISOString()
+    };
+
+    // Finished jobs are only tracked by the caller (the books table)
+    if (status.status === INGESTION_STATUS.READY || status.status === INGESTION_STATUS.FAILED) {
+      active.delete(bookId);
+    } else {
+      active.set(bookId, status);
+    }
+
+    onUpdate(status);
+    return status;
+  };
+
+  const runJob = async (job) => {
+    try {
+      for (const step of job.steps) {
+        update(job.bookId, {
+          status: step.status,
+          progress: STAGE_PROGRESS[step.status],
+          queuePosition: 0
+        });
+        await step.run();
+      }
+
+      update(job.bookId, { status: INGESTION_STATUS.READY, progress: 100, error: null });
+    } catch (error) {
+      console.log('❌ Ingestion failed for book:', job.bookId, error);
+      update(job.bookId, { status: INGESTION_STATUS.FAILED, progress: 100, error: error.message });
+    }
+  };
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+
+    // Let waiting readers know they moved up
+    pending.forEach((job, index) => {
+      if (active.get(job.bookId)?.queuePosition !== index + 1) {
+        update(job.bookId, { queuePosition: index + 1 });
+      }
+    });
+  };
+
+  return {
+    // `steps` is a list of { status, run } executed in order
+    enqueue(bookId, steps) {
+      pending.push({ bookId, steps });
+      update(bookId, {
+        status: INGESTION_STATUS.QUEUED,
+        progress: STAGE_PROGRESS.queued,
+        queuePosition: pending.length,
+        error: null
+      });
+      runNext();
+    },
+
+    getStatus(bookId) {
+      return active.get(bookId) || null;
+    }
+  };
+}
@@ -0,0 +1,38 @@
+// @mentions of a book's profiles in comment text
+// Usernames may contain spaces ("Cheerful Penguin"), so a mention can't be read off the
+// text alone: each "@" is matched against the book's usernames, longest first, and only
+// counts when the name ends at a word boundary.
+
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// Usernames from `usernames` mentioned in `text`, in the order they first appear.
+// Matching ignores case; the usernames are returned as stored.
+export function findMentions(text, usernames) {
+  if (!text || !usernames.length) {
+    return [];
+  }
+
+  const candidates = [...new Set(usernames)].sort((a, b) => b.length - a.length);
+  const lowerText = text.toLowerCase();
+  const mentioned = [];
+
+  for (let at = text.indexOf('@'); at !== -1; at = text.indexOf('@', at + 1)) {
+    // "me@example.com" is an address, not a mention
+    if (at > 0 && WORD_CHARACTER.test(text[at - 1])) {
+      continue;
+    }
+
+    const start = at + 1;
+    const username = candidates.find(candidate => {
+      const end = start + candidate.length;
+      return lowerText.startsWith(candidate.toLowerCase(), start) &&
+        (end === text.length || !WORD_CHARACTER.test(text[end]));
+    });
+
+    if (username && !mentioned.includes(username)) {
+      mentioned.push(username);
+    }
+  }
+
+  return mentioned;
+}
@@ -0,0 +1,55 @@
+// Free-form tags on highlights and comments ("theme: loss", "question", "vocabulary")
+// Tags are stored on each annotation as a JSON array of normalized tags: trimmed, lower
+// case, inner whitespace collapsed and any leading "#" dropped, so "#Theme  Loss" and
+// "theme loss" are the same tag.
+
+import { getCurrentLimits, ERROR_MESSAGES } from '../config/limits.js';
+
+const limits = () => getCurrentLimits(process.env.NODE_ENV || 'development');
+
+export function normalizeTag(tag) {
+  return String(tag).replace(/^#+/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Check the tags given for an annotation. Returns { tags } without blanks or
+// duplicates, or { error, code }.
+export function normalizeTags(tags = []) {
+  const { MAX_PER_ANNOTATION, MAX_LENGTH_CHARS } = limits().CONTENT.TAGS;
+
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: ERROR_MESSAGES.INVALID_TAGS(), code: 'INVALID_TAGS' };
+  }
+
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length > MAX_PER_ANNOTATION) {
+    return { error: ERROR_MESSAGES.TOO_MANY_TAGS(MAX_PER_ANNOTATION), code: 'TOO_MANY_TAGS' };
+  }
+  if (normalized.some(tag => tag.length > MAX_LENGTH_CHARS)) {
+    return { error: ERROR_MESSAGES.TAG_TOO_LONG(MAX_LENGTH_CHARS), code: 'TAG_TOO_LONG' };
+  }
+  return { tags: normalized };
+}
+
+export function parseTags(value) {
+  try {
+    const tags = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(tags) ? tags : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Tags from a query string: ?tags=a,b or ?tags=a&tags=b
+export function tagsFromQuery(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.filter(Boolean).flatMap(tags => String(tags).split(',')).map(normalizeTag).filter(Boolean))];
+}
+
+// SQL condition limiting rows of `alias` to those carrying every tag in `tags`: { sql, params }
+export function taggedSql(tags, alias) {
+  const column = alias ? `${alias}.tags` : 'tags';
+  return {
+    sql: tags.map(() => `EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value = ?)`).join(' AND ') || '1 = 1',
+    params: tags
+  };
+}
@@ -0,0 +1,455 @@
+// Ingestion adapters for plain-text, Markdown and single-file HTML uploads
+// Each produces the same { chapters, toc, metadata } shape as parseEpub, so the
+// reader, highlights and progress tracking don't care what was uploaded.
+
+import fs from 'fs-extra';
+import { marked } from 'marked';
+import { getCurrentLimits, ERROR_MESSAGES } from '../config/limits.js';
+import { decodeEntities } from './xmlParser.js';
+import { extractBodyContent } from './epubParser.js';
+import { sanitizeChapterHtml } from './htmlSanitizer.js';
+
+// Bump whenever text, Markdown or HTML conversion output changes (invalidates cached content)
+export const TEXT_CONVERTER_VERSION = 3;
+
+// Read lazily so .env has been loaded by the time the first file is converted
+function chapterDetection() {
+  return getCurrentLimits(process.env.NODE_ENV || 'development').FILE.CHAPTER_DETECTION;
+}
+
+const GUTENBERG_START = /^\*{3}\s*START OF (?:THE|THIS) PROJECT GUTENBERG.*$/im;
+const GUTENBERG_END = /^\*{3}\s*END OF (?:THE|THIS) PROJECT GUTENBERG.*$/im;
+
+// Errors carry a code matching ERROR_MESSAGES in config/limits.js
+function documentError(code) {
+  const error = new Error(ERROR_MESSAGES[code]());
+  error.code = code;
+  return error;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Decode as UTF-8, falling back to Latin-1 for older public-domain files.
+// Returns null for binary data.
+function decodeText(buffer) {
+  if (buffer.includes(0)) return null;
+
+  try {
+    // TextDecoder drops a leading BOM by itself
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+}
+
+async function readDocument(filePath) {
+  return decodeText(await fs.readFile(filePath));
+}
+
+function emptyMetadata() {
+  return {
+    title: null,
+    author: null,
+    creators: [],
+    language: null,
+    publisher: null,
+    date: null,
+    identifiers: [],
+    isbn: null,
+    description: null,
+    subjects: [],
+    series: null,
+    seriesIndex: null
+  };
+}
+
+function withAuthor(metadata, author) {
+  if (!author) return metadata;
+  return {
+    ...metadata,
+    author,
+    creators: author.split(/\s*(?:,|&|\band\b)\s*/).filter(Boolean).map(name => ({ name, role: 'aut', fileAs: null }))
+  };
+}
+
+// Split paragraphs into parts of roughly FALLBACK_CHAPTER_CHARS for headingless documents
+function splitIntoParts(paragraphs, maxChars) {
+  const parts = [];
+  let current = [];
+  let length = 0;
+
+  for (const paragraph of paragraphs) {
+    if (length > 0 && length + paragraph.length > maxChars) {
+      parts.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(paragraph);
+    length += paragraph.length;
+  }
+  if (current.length > 0) {
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+// A section holding nothing but its own heading (a document title above the
+// first chapter) is folded into the section that follows it
+function mergeHeadingOnlySections(sections) {
+  const merged = [];
+  let carried = '';
+
+  sections.forEach((section, index) => {
+    const headingOnly = section.title && stripTags(section.content) === section.title;
+    if (headingOnly && index + 1 < sections.length) {
+      carried += section.content;
+    } else {
+      merged.push({ ...section, content: carried + section.content });
+      carried = '';
+    }
+  });
+
+  return merged;
+}
+
+// Chapters get synthetic ids so TOC entries and the reader can address them
+function assemble(sections, metadata) {
+  const chapters = mergeHeadingOnlySections(sections.filter(section => section.content.trim()))
+    .map((section, index) => ({
+      id: `chapter-${index + 1}`,
+      href: `chapter-${index + 1}`,
+      linear: true,
+      title: section.title || `Part ${index + 1}`,
+      content: section.content
+    }));
+
+  const toc = chapters.map((chapter, index) => ({
+    title: chapter.title,
+    path: chapter.href,
+    fragment: null,
+    children: [],
+    chapterIndex: index
+  }));
+
+  return {
+    chapters,
+    toc,
+    metadata: {
+      ...metadata,
+      chapters: chapters.length
+    }
+  };
+}
+
+// Project Gutenberg files carry their own header and licence footer
+function stripGutenbergBoilerplate(text) {
+  const start = text.match(GUTENBERG_START);
+  const end = text.match(GUTENBERG_END);
+  if (!start) return { header: '', body: text };
+
+  const bodyStart = start.index + start[0].length;
+  const bodyEnd = end && end.index > bodyStart ? end.index : text.length;
+  return { header: text.slice(0, start.index), body: text.slice(bodyStart, bodyEnd) };
+}
+
+function readTextMetadata(text) {
+  const { header } = stripGutenbergBoilerplate(text);
+  const field = (name) => header.match(new RegExp(`^${name}:\\s*(.+)$`, 'im'))?.[1].trim() || null;
+
+  return withAuthor({
+    ...emptyMetadata(),
+    title: field('Title'),
+    language: field('Language'),
+    date: field('Release Date')?.replace(/\s*\[.*\]$/, '') || null
+  }, field('Author'));
+}
+
+function parsePlainText(text, metadata) {
+  const { TEXT_HEADING_PATTERNS, TEXT_MAX_HEADING_CHARS, FALLBACK_CHAPTER_CHARS } = chapterDetection();
+  const headingPatterns = TEXT_HEADING_PATTERNS.map(pattern => new RegExp(pattern, 'i'));
+
+  // Blocks are runs of non-blank lines; a heading is a short block matching a pattern
+  const blocks = stripGutenbergBoilerplate(text).body
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean);
+
+  const isHeading = (block) => !block.includes('\n') &&
+    block.length <= TEXT_MAX_HEADING_CHARS &&
+    headingPatterns.some(pattern => pattern.test(block));
+
+  const paragraphHtml = (block) => `<p>${escapeHtml(block.replace(/\s*\n\s*/g, ' '))}</p>`;
+
+  if (!blocks.some(isHeading)) {
+    return assemble(
+      splitIntoParts(blocks, FALLBACK_CHAPTER_CHARS).map(part => ({ title: null, content: part.map(paragraphHtml).join('\n') })),
+      metadata
+    );
+  }
+
+  // Anything before the first heading becomes an untitled front matter section
+  const sections = [{ title: 'Front Matter', heading: null, blocks: [] }];
+  for (const block of blocks) {
+    if (isHeading(block)) {
+      sections.push({ title: block, heading: block, blocks: [] });
+    } else {
+      sections[sections.length - 1].blocks.push(block);
+    }
+  }
+
+  return assemble(
+    sections
+      .filter(section => section.heading || section.blocks.length > 0)
+      .map(section => ({
+        title: section.title,
+        content: (section.heading ? `<h2>${escapeHtml(section.heading)}</h2>\n` : '') + section.blocks.map(paragraphHtml).join('\n')
+      })),
+    metadata
+  );
+}
+
+// Simple `key: value` YAML front matter
+function splitFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) return { fields: {}, body: source };
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) {
+      fields[field[1].toLowerCase()] = field[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return { fields, body: source.slice(match[0].length) };
+}
+
+// ATX headings outside fenced code blocks, as { index, level, text }
+function markdownHeadings(body) {
+  const headings = [];
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of body.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        headings.push({ index: offset, level: heading[1].length, text: heading[2] });
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return headings;
+}
+
+function readMarkdownMetadata(source) {
+  const { fields, body } = splitFrontMatter(source);
+  const firstTitle = markdownHeadings(body).find(heading => heading.level === 1);
+
+  return withAuthor({
+    ...emptyMetadata(),
+    title: fields.title || (firstTitle ? stripTags(marked.parseInline(firstTitle.text)) : null),
+    language: fields.lang || fields.language || null,
+    date: fields.date || null,
+    description: fields.description || null
+  }, fields.author || null);
+}
+
+// Raw HTML in Markdown is allowed, but only what the chapter sanitizer lets through
+function renderMarkdown(markdown) {
+  return sanitizeChapterHtml(marked.parse(markdown)).trim();
+}
+
+function parseMarkdown(source, metadata) {
+  const { MARKDOWN_HEADING_LEVEL, FALLBACK_CHAPTER_CHARS } = chapterDetection();
+  const { body } = splitFrontMatter(source.replace(/\r\n?/g, '\n'));
+  const headings = markdownHeadings(body).filter(heading => heading.level <= MARKDOWN_HEADING_LEVEL);
+
+  if (headings.length === 0) {
+    const paragraphs = body.split(/\n\s*\n/).filter(paragraph => paragraph.trim());
+    return assemble(
+      splitIntoParts(paragraphs, FALLBACK_CHAPTER_CHARS).map(part => ({ title: null, content: renderMarkdown(part.join('\n\n')) })),
+      metadata
+    );
+  }
+
+  const sections = [];
+  if (body.slice(0, headings[0].index).trim()) {
+    sections.push({ title: 'Front Matter', content: renderMarkdown(body.slice(0, headings[0].index)) });
+  }
+  headings.forEach((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].index : body.length;
+    sections.push({
+      title: stripTags(marked.parseInline(heading.text)),
+      content: renderMarkdown(body.slice(heading.index, end))
+    });
+  });
+
+  return assemble(sections, metadata);
+}
+
+function metaContent(html, name) {
+  const tag = (html.match(/<meta\b[^>]*>/gi) || [])
+    .find(candidate => new RegExp(`\\sname\\s*=\\s*["']${name}["']`, 'i').test(candidate));
+  const content = tag?.match(/\scontent\s*=\s*(["'])([\s\S]*?)\1/i);
+  return content ? decodeEntities(content[2]).trim() || null : null;
+}
+
+function readHtmlMetadata(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const firstHeading = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+
+  return withAuthor({
+    ...emptyMetadata(),
+    title: (title && stripTags(title[1])) || (firstHeading && stripTags(firstHeading[1])) || null,
+    language: html.match(/<html\b[^>]*\slang\s*=\s*["']([^"']+)["']/i)?.[1] || null,
+    date: metaContent(html, 'date') || metaContent(html, 'article:published_time'),
+    description: metaContent(html, 'description')
+  }, metaContent(html, 'author'));
+}
+
+// Tags and comments in sanitized markup. The sanitizer writes void elements as <br />,
+// balances every other tag and escapes < and > in attribute values.
+const MARKUP_TAG = /<!--[\s\S]*?-->|<(\/?)([a-z][\w:-]*)\b[^>]*?(\/?)>/gi;
+
+// Elements at the top level of sanitized `html`: [{ tag, start, end, innerStart, innerEnd }]
+function topLevelElements(html) {
+  const elements = [];
+  let depth = 0;
+  let open = null;
+
+  for (const match of html.matchAll(MARKUP_TAG)) {
+    const [markup, closing, name, selfClosing] = match;
+    if (!name) continue;
+    const end = match.index + markup.length;
+
+    if (closing) {
+      depth -= 1;
+      if (depth === 0) {
+        elements.push({ ...open, end, innerEnd: match.index });
+      }
+    } else if (selfClosing) {
+      if (depth === 0) {
+        elements.push({ tag: name.toLowerCase(), start: match.index, end, innerStart: end, innerEnd: end });
+      }
+    } else {
+      if (depth === 0) {
+        open = { tag: name.toLowerCase(), start: match.index, innerStart: end };
+      }
+      depth += 1;
+    }
+  }
+  return elements;
+}
+
+// Containers that only group a document's sections
+const WRAPPER_TAGS = ['div', 'main', 'article', 'section'];
+
+// Markup whose top-level elements include the chapter headings. Documents often wrap
+// their sections in a <div>, <main> or <article>; while no heading is at the top, those
+// wrappers are dropped a level at a time. Without headings at any level, `html` is kept.
+function unwrapToHeadings(html, headingTags) {
+  let body = html;
+  for (;;) {
+    const elements = topLevelElements(body);
+    if (elements.some(element => headingTags.includes(element.tag))) {
+      return body;
+    }
+    const wrappers = elements.filter(element => WRAPPER_TAGS.includes(element.tag));
+    if (wrappers.length === 0) {
+      return html;
+    }
+
+    let unwrapped = '';
+    let position = 0;
+    for (const wrapper of wrappers) {
+      unwrapped += body.slice(position, wrapper.start) + body.slice(wrapper.innerStart, wrapper.innerEnd);
+      position = wrapper.end;
+    }
+    body = unwrapped + body.slice(position);
+  }
+}
+
+function parseHtml(html, metadata) {
+  const { HTML_HEADING_TAGS, FALLBACK_CHAPTER_CHARS } = chapterDetection();
+  // Sanitized like EPUB chapters: no scripts, handlers, styles, iframes, objects or forms
+  const headingTags = HTML_HEADING_TAGS.map(tag => tag.toLowerCase());
+  const body = unwrapToHeadings(extractBodyContent(html), headingTags);
+  const elements = topLevelElements(body);
+
+  // Only top-level headings start chapters, so every chapter is balanced markup - a
+  // heading inside a <blockquote> or a nested <section> stays where it is
+  const headings = elements.filter(element => headingTags.includes(element.tag));
+
+  if (headings.length === 0) {
+    const starts = elements.map(element => element.start).filter(start => start > 0);
+    const paragraphs = [0, ...starts].map((start, index) => body.slice(start, starts[index] ?? body.length));
+    return assemble(
+      splitIntoParts(paragraphs, FALLBACK_CHAPTER_CHARS).map(part => ({ title: null, content: part.join('') })),
+      metadata
+    );
+  }
+
+  const sections = [];
+  if (stripTags(body.slice(0, headings[0].start))) {
+    sections.push({ title: 'Front Matter', content: body.slice(0, headings[0].start) });
+  }
+  headings.forEach((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].start : body.length;
+    sections.push({ title: stripTags(body.slice(heading.innerStart, heading.innerEnd)) || null, content: body.slice(heading.start, end) });
+  });
+
+  return assemble(sections, metadata);
+}
+
+const ADAPTERS = {
+  txt: { readMetadata: readTextMetadata, parse: parsePlainText, plainText: (text) => stripGutenbergBoilerplate(text).body },
+  md: { readMetadata: readMarkdownMetadata, parse: parseMarkdown, plainText: (source) => splitFrontMatter(source).body },
+  html: { readMetadata: readHtmlMetadata, parse: parseHtml, plainText: (html) => stripTags(extractBodyContent(html)) }
+};
+
+// Returns { valid: true } or { valid: false, code, error } like validateEpubStructure
+export async function validateTextBook(filePath, format) {
+  const source = await readDocument(filePath);
+  if (source === null) {
+    return { valid: false, code: 'DOCUMENT_NOT_TEXT', error: ERROR_MESSAGES.DOCUMENT_NOT_TEXT() };
+  }
+  if (!ADAPTERS[format].plainText(source).trim()) {
+    return { valid: false, code: 'DOCUMENT_EMPTY', error: ERROR_MESSAGES.DOCUMENT_EMPTY() };
+  }
+  return { valid: true };
+}
+
+export async function readTextBookMetadata(filePath, format) {
+  const source = await readDocument(filePath);
+  return source === null ? emptyMetadata() : ADAPTERS[format].readMetadata(source);
+}
+
+// Parse a .txt, .md or .html file into reader-ready chapters, TOC and metadata
+export async function parseTextBook(filePath, format) {
+  const source = await readDocument(filePath);
+  if (source === null) {
+    throw documentError('DOCUMENT_NOT_TEXT');
+  }
+
+  const adapter = ADAPTERS[format];
+  const book = adapter.parse(source, adapter.readMetadata(source));
+  if (book.chapters.length === 0) {
+    throw documentError('DOCUMENT_EMPTY');
+  }
+  return book;
+}
@@ -0,0 +1,127 @@
+// Minimal XML reader for EPUB package documents (container.xml, OPF, NCX, nav)
+// Produces a plain element tree - good enough for well-formed publishing XML,
+// without pulling in a full XML dependency.
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)|</gi;
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Decode the predefined XML entities plus numeric character references
+export function decodeEntities(text) {
+  if (!text || !text.includes('&')) return text;
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos|nbsp);/gi, (match, entity) => {
+    const name = entity.toLowerCase();
+    if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00a0' }[name];
+  });
+}
+
+function localNameOf(name) {
+  const colon = name.indexOf(':');
+  return (colon === -1 ? name : name.slice(colon + 1)).toLowerCase();
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source))) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+
+  return attributes;
+}
+
+// Parse an XML string into { name, localName, attributes, children } nodes.
+// Text nodes are { text }. Mismatched closing tags are tolerated.
+export function parseXml(source) {
+  const root = { name: '#document', localName: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source))) {
+    const [token, cdata, closingName, openingName, attributeSource, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.children.push({ text: cdata });
+    } else if (closingName) {
+      // Pop back to the matching element; ignore stray closing tags
+      const index = stack.map(node => node.name).lastIndexOf(closingName);
+      if (index > 0) {
+        stack.length = index;
+      }
+    } else if (openingName) {
+      const element = {
+        name: openingName,
+        localName: localNameOf(openingName),
+        attributes: parseAttributes(attributeSource),
+        children: []
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (text !== undefined) {
+      current.children.push({ text: decodeEntities(text) });
+    } else if (token === '<') {
+      current.children.push({ text: '<' });
+    }
+  }
+
+  return root;
+}
+
+// Look up an attribute by exact name, falling back to a namespace-agnostic match
+export function getAttribute(node, name) {
+  if (!node?.attributes) return null;
+  if (name in node.attributes) return node.attributes[name];
+
+  const wanted = localNameOf(name);
+  for (const key of Object.keys(node.attributes)) {
+    if (localNameOf(key) === wanted) {
+      return node.attributes[key];
+    }
+  }
+  return null;
+}
+
+// Direct element children with the given local name
+export function childElements(node, localName) {
+  const wanted = localName?.toLowerCase();
+  return (node?.children || []).filter(child => child.localName && (!wanted || child.localName === wanted));
+}
+
+// All descendant elements with the given local name, in document order
+export function findAll(node, localName) {
+  const wanted = localName.toLowerCase();
+  const results = [];
+
+  const visit = (current) => {
+    for (const child of current.children || []) {
+      if (!child.localName) continue;
+      if (child.localName === wanted) results.push(child);
+      visit(child);
+    }
+  };
+  visit(node);
+
+  return results;
+}
+
+export function findFirst(node, localName) {
+  return findAll(node, localName)[0] || null;
+}
+
+// Concatenated text of a node with whitespace collapsed
+export function textContent(node) {
+  const rawText = (current) => {
+    if (current.text !== undefined) return current.text;
+    return (current.children || []).map(rawText).join('');
+  };
+
+  return node ? rawText(node).replace(/\s+/g, ' ').trim() : '';
+}
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeVisibility } from '../src/services/annotationVisibility.js';
+
+test('a missing or null visibility means shared', () => {
+  for (const visibility of [undefined, null]) {
+    assert.deepEqual(normalizeVisibility(visibility, undefined, 'p1', ['p1', 'p2']), { visibility: 'shared', sharedWith: [] });
+  }
+});
+
+test('an unknown visibility is rejected', () => {
+  assert.equal(normalizeVisibility('public', undefined, 'p1', ['p1']).code, 'INVALID_VISIBILITY');
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scopeChapterCss, CHAPTER_SCOPE } from '../src/services/chapterStyles.js';
+import { sanitizeChapterHtml } from '../src/services/htmlSanitizer.js';
+
+test('book CSS only matches inside the chapter', () => {
+  const css = scopeChapterCss('body { display: none } html body p, .note > em { color: red } @media print { h1 { margin: 0 } }');
+  assert.equal(
+    css,
+    `${CHAPTER_SCOPE} { display: none } ${CHAPTER_SCOPE} p, ${CHAPTER_SCOPE} .note > em { color: red } @media print { ${CHAPTER_SCOPE} h1 { margin: 0 } }`
+  );
+});
+
+test('imports and fixed positioning are dropped, keyframes are left alone', () => {
+  const css = scopeChapterCss('@import url(other.css); .cover { position: fixed; inset: 0 } @keyframes fade { from { opacity: 0 } }');
+  assert.equal(css, `${CHAPTER_SCOPE} .cover { inset: 0 } @keyframes fade { from { opacity: 0 } }`);
+});
+
+test('inline styles keep only vetted properties', () => {
+  assert.equal(
+    sanitizeChapterHtml('<p style="color: #333; position: fixed; z-index: 9; background: url(x.png); margin: 0 auto">Text</p>'),
+    '<p style="color:#333;margin:0 auto">Text</p>'
+  );
+});
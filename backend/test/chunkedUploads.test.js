@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createChunkedUploadStore } from '../src/services/chunkedUploads.js';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const failingHash = async () => {
+  throw new Error('disk error');
+};
+
+async function withStore(run) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'chunked-uploads-'));
+  try {
+    await run(createChunkedUploadStore({ directory, chunkSize: 1024, expiryMs: 1000 }));
+  } finally {
+    await fs.remove(directory);
+  }
+}
+
+async function receivedUpload(store, data) {
+  const { uploadId } = await store.create({ filename: 'book.txt', size: data.length, sha256: sha256(data) });
+  await store.append(uploadId, 0, data);
+  return uploadId;
+}
+
+test('finalizing can be retried after hashing fails', () => withStore(async (store) => {
+  const data = Buffer.from('chapter one');
+  const uploadId = await receivedUpload(store, data);
+
+  await assert.rejects(store.complete(uploadId, failingHash), /disk error/);
+
+  const finished = await store.complete(uploadId, async (filePath) => sha256(await fs.readFile(filePath)));
+  assert.equal(finished.fileHash, sha256(data));
+}));
+
+test('an upload whose hashing failed still expires', () => withStore(async (store) => {
+  const uploadId = await receivedUpload(store, Buffer.from('chapter one'));
+
+  await assert.rejects(store.complete(uploadId, failingHash), /disk error/);
+
+  assert.equal(await store.removeExpired(Date.now() + 60000), 1);
+  assert.throws(() => store.get(uploadId), { code: 'UPLOAD_NOT_FOUND' });
+}));
+
+test('uploads in progress are capped per client and in total', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'chunked-uploads-'));
+  try {
+    const store = createChunkedUploadStore({ directory, chunkSize: 1024, expiryMs: 1000, maxPerClient: 2, maxBytesPerClient: 300, maxBytes: 500 });
+    const declare = (client, size) => store.create({ filename: 'book.txt', size, sha256: sha256(''), client });
+
+    await declare('a', 100);
+    await declare('a', 100);
+    await assert.rejects(declare('a', 1), { code: 'TOO_MANY_UPLOADS' });
+
+    await declare('b', 200);
+    await assert.rejects(declare('b', 101), { code: 'UPLOAD_QUOTA_EXCEEDED' });
+    await assert.rejects(declare('c', 101), { code: 'UPLOAD_STORAGE_FULL' });
+    await declare('c', 100);
+  } finally {
+    await fs.remove(directory);
+  }
+});
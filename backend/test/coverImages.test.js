@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { thumbnailPathFor } from '../src/services/coverImages.js';
+
+const bookId = '0b6c2a8e-5f0d-4a7b-9c1e-3d2f4a5b6c7d';
+const coversDir = path.join('uploads', 'covers');
+
+test('thumbnails are cached as <bookId>-<width>.jpg next to the cover', () => {
+  assert.equal(thumbnailPathFor(path.join(coversDir, `${bookId}.png`), 200), path.join(coversDir, `${bookId}-200.jpg`));
+  assert.equal(thumbnailPathFor(path.join(coversDir, bookId), 400), path.join(coversDir, `${bookId}-400.jpg`));
+});
+
+test('names saveCover would not have written are rejected', () => {
+  for (const coverPath of [
+    path.join('uploads', 'covers.d', 'cover'),
+    path.join(coversDir, `${bookId}.png.exe`),
+    path.join(coversDir, `${bookId}-200.jpg`),
+    path.join(coversDir, `x${bookId}.png`)
+  ]) {
+    assert.throws(() => thumbnailPathFor(coverPath, 200), coverPath);
+  }
+  assert.throws(() => thumbnailPathFor(path.join(coversDir, `${bookId}.png`), '200.jpg'));
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePalette } from '../src/services/highlightPalette.js';
+
+test('entries get keys from their labels and lower-case colors', () => {
+  assert.deepEqual(normalizePalette([{ label: 'Big Idea!', color: '#FFD54F' }]), {
+    palette: [{ key: 'big-idea', label: 'Big Idea!', color: '#ffd54f' }]
+  });
+});
+
+test('null and non-object entries are rejected instead of throwing', () => {
+  for (const entry of [null, undefined, 'Important', 42, ['Important', '#ffd54f'], { label: 'Important', color: ['#ffd54f'] }]) {
+    assert.equal(normalizePalette([entry]).code, 'INVALID_PALETTE');
+  }
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { parseTextBook } from '../src/services/textBookParser.js';
+
+async function parseText(text, format = 'txt') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'text-book-'));
+  try {
+    const filePath = path.join(dir, `book.${format}`);
+    await fs.writeFile(filePath, text);
+    return await parseTextBook(filePath, format);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('a prose line starting with "Part" is not a chapter heading', async () => {
+  const book = await parseText([
+    'CHAPTER I',
+    'She stood at the door.',
+    'Part of me wanted to stay.',
+    'CHAPTER II',
+    'Book of Days was on the shelf.'
+  ].join('\n\n'));
+
+  assert.deepEqual(book.chapters.map(chapter => chapter.title), ['CHAPTER I', 'CHAPTER II']);
+  assert.match(book.chapters[0].content, /<p>Part of me wanted to stay\.<\/p>/);
+});
+
+test('numbers, roman numerals and number words after Chapter/Part/Book/Volume are headings', async () => {
+  const book = await parseText([
+    'Part One', 'Text.',
+    'Chapter 2', 'Text.',
+    'Book twenty-one', 'Text.',
+    'Volume XIV', 'Text.'
+  ].join('\n\n'));
+
+  assert.deepEqual(book.chapters.map(chapter => chapter.title), ['Part One', 'Chapter 2', 'Book twenty-one', 'Volume XIV']);
+});
+
+test('HTML chapters start only at top-level headings', async () => {
+  const book = await parseText(`<html><body><div class="book">
+    <h1>One</h1>
+    <p>Before the letter.</p>
+    <blockquote><h2>The Letter</h2><p>Dear reader,</p></blockquote>
+    <section><h2>Aside</h2><p>Inside a section.</p></section>
+    <h1>Two</h1>
+    <p>After.</p>
+  </div></body></html>`, 'html');
+
+  assert.deepEqual(book.chapters.map(chapter => chapter.title), ['One', 'Two']);
+  assert.match(book.chapters[0].content, /<blockquote><h2>The Letter<\/h2><p>Dear reader,<\/p><\/blockquote>/);
+  assert.match(book.chapters[0].content, /<section><h2>Aside<\/h2><p>Inside a section\.<\/p><\/section>\s*$/);
+});
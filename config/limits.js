@@ -6,9 +6,54 @@ export const MVP_LIMITS = {
   FILE: {
     MAX_SIZE_MB: 25,
     MAX_SIZE_BYTES: 25 * 1024 * 1024, // 25MB in bytes
-    ALLOWED_TYPES: ['.epub'],
+    ALLOWED_TYPES: ['.epub', '.cbz', '.txt', '.md', '.markdown', '.html', '.htm'],
+    // Per-format rules; formats without their own size fall back to MAX_SIZE_*
+    FORMATS: {
+      epub: { EXTENSIONS: ['.epub'] },
+      cbz: { EXTENSIONS: ['.cbz'], MAX_SIZE_MB: 100, MAX_SIZE_BYTES: 100 * 1024 * 1024 }, // Page scans are large
+      txt: { EXTENSIONS: ['.txt'], MAX_SIZE_MB: 10, MAX_SIZE_BYTES: 10 * 1024 * 1024 },
+      md: { EXTENSIONS: ['.md', '.markdown'], MAX_SIZE_MB: 10, MAX_SIZE_BYTES: 10 * 1024 * 1024 },
+      html: { EXTENSIONS: ['.html', '.htm'], MAX_SIZE_MB: 10, MAX_SIZE_BYTES: 10 * 1024 * 1024 }
+    },
+    // How .txt, .md and .html uploads are split into chapters
+    CHAPTER_DETECTION: {
+      TEXT_HEADING_PATTERNS: [
+        // A number, a roman numeral or a number word ("twenty-one") - not any word, or
+        // prose like "Part of me wanted to stay." would start a chapter
+        '^(chapter|book|part|volume)\\s+([0-9]+|(?=[ivxlcdm]+\\b)m{0,4}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})|' +
+          '(one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|' +
+          'twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)(-(one|two|three|four|five|six|seven|eight|nine))?)\\b',
+        '^(prologue|epilogue|preface|foreword|introduction|afterword)\\b'
+      ], // Case-insensitive, matched against whole trimmed lines
+      TEXT_MAX_HEADING_CHARS: 80, // Longer lines are prose, not headings
+      MARKDOWN_HEADING_LEVEL: 2, // Split on # and ## headings
+      HTML_HEADING_TAGS: ['h1', 'h2'],
+      FALLBACK_CHAPTER_CHARS: 30000 // Headingless documents are split into parts of about this size
+    },
     UPLOAD_TIMEOUT_MS: 60000, // 60 seconds
-    VALIDATE_EPUB_STRUCTURE: true
+    VALIDATE_EPUB_STRUCTURE: true,
+    ARCHIVE: {
+      MAX_ENTRIES: 10000,
+      MAX_UNCOMPRESSED_MB: 300,
+      MAX_UNCOMPRESSED_BYTES: 300 * 1024 * 1024, // 300MB once inflated
+      MAX_COMPRESSION_RATIO: 100, // Uncompressed:compressed for a single entry
+      RATIO_CHECK_MIN_BYTES: 1024 * 1024 // Small entries may compress freely
+    },
+    CHUNKED_UPLOAD: {
+      CHUNK_SIZE_BYTES: 1024 * 1024, // 1MB per request
+      EXPIRY_HOURS: 24,
+      EXPIRY_MS: 24 * 60 * 60 * 1000, // Partial uploads idle this long are deleted
+      CLEANUP_INTERVAL_MS: 10 * 60 * 1000, // 10 minutes
+      MAX_CHUNKS_PER_MINUTE: 120, // Chunk PUTs per client (IP address)
+      RATE_LIMIT_WINDOW_MS: 60000, // 1 minute
+      MAX_IN_PROGRESS_PER_CLIENT: 3, // Unfinished uploads one client may have open
+      MAX_PARTIAL_BYTES_PER_CLIENT: 200 * 1024 * 1024, // Declared sizes of one client's unfinished uploads
+      MAX_PARTIAL_BYTES: 2 * 1024 * 1024 * 1024 // Declared sizes of all unfinished uploads (2GB of disk)
+    },
+    COVER: {
+      THUMBNAIL_WIDTHS: { small: 96, medium: 240, large: 480 }, // Pixels, keyed by ?size=
+      DEFAULT_SIZE: 'medium'
+    }
   },
 
   // User Limits
@@ -28,7 +73,9 @@ export const MVP_LIMITS = {
       MAX_PER_USER_PER_BOOK: 100,
       MAX_PER_PAGE: 50,
       MIN_TEXT_LENGTH: 1, // Minimum characters for a highlight
-      MAX_TEXT_LENGTH: 1000 // Maximum characters for a highlight
+      MAX_TEXT_LENGTH: 1000, // Maximum characters for a highlight
+      QUOTE_CONTEXT_CHARS: 32, // Prefix/suffix stored with each highlight's quote for re-anchoring
+      MIN_REGION_SIZE: 0.01 // Comic page regions, as a fraction of the page width/height
     },
     COMMENTS: {
       MAX_PER_HIGHLIGHT: 5,
@@ -40,6 +87,47 @@ export const MVP_LIMITS = {
       MAX_PER_COMMENT: 10,
       MAX_LENGTH_CHARS: 300,
       MIN_LENGTH_CHARS: 1
+    },
+    REACTIONS: {
+      EMOJI: ['👍', '❤️', '😂', '😮', '😢', '💡'], // Offered on every highlight and comment
+      MAX_TOGGLES_PER_MINUTE: 30, // Per profile, across the whole book
+      RATE_LIMIT_WINDOW_MS: 60000 // 1 minute
+    },
+    MENTIONS: {
+      MAX_PER_COMMENT: 5 // Distinct profiles one comment or reply may @mention
+    },
+    NOTIFICATIONS: {
+      MAX_LISTED: 50, // Newest notifications returned for the inbox
+      EXCERPT_CHARS: 80 // Comment text quoted in a notification
+    },
+    VISIBILITY: {
+      MAX_SHARED_PROFILES: 10 // Profiles one annotation can be shared with individually
+    },
+    BOOKMARKS: {
+      MAX_PER_PROFILE_PER_BOOK: 100,
+      MAX_LABEL_CHARS: 80
+    },
+    TAGS: {
+      MAX_PER_ANNOTATION: 10,
+      MAX_LENGTH_CHARS: 30,
+      MAX_SUGGESTIONS: 20 // Most used tags in the book offered while tagging
+    },
+    PALETTE: {
+      MAX_ENTRIES: 8,
+      MAX_LABEL_CHARS: 24,
+      // Offered to a book's owner as a starting point
+      SUGGESTED: [
+        { key: 'important', label: 'Important', color: '#ffd54f' },
+        { key: 'confusing', label: 'Confusing', color: '#ef9a9a' },
+        { key: 'quote', label: 'Quote', color: '#a5d6a7' },
+        { key: 'vocab', label: 'Vocab', color: '#90caf9' }
+      ]
+    },
+    SEARCH: {
+      MIN_QUERY_CHARS: 2,
+      MAX_QUERY_CHARS: 200,
+      MAX_RESULTS: 200, // Hits returned per search, across the whole book
+      SNIPPET_CONTEXT_CHARS: 40 // Text shown either side of a hit
     }
   },
 
@@ -50,7 +138,8 @@ export const MVP_LIMITS = {
       MAX_MEMORY_MB: 50,
       MAX_MEMORY_BYTES: 50 * 1024 * 1024,
       RENDER_TIMEOUT_MS: 30000, // 30 seconds to render
-      PARSE_TIMEOUT_MS: 15000 // 15 seconds to parse
+      PARSE_TIMEOUT_MS: 15000, // 15 seconds to parse
+      MAX_CONCURRENT_CONVERSIONS: 2 // Background ingestion jobs running at once
     },
     WEBSOCKET: {
       MAX_MESSAGES_PER_SECOND: 10,
@@ -75,9 +164,9 @@ export const MVP_LIMITS = {
     OFFLINE_SUPPORT: false,
     EXPORT_FEATURES: false,
     ADVANCED_NAVIGATION: false,
-    SEARCH_FUNCTIONALITY: false,
-    BOOKMARKING: false,
-    NOTES_FEATURE: false
+    SEARCH_FUNCTIONALITY: true, // Full-text search inside a book
+    BOOKMARKING: true, // Named bookmarks, private or shared with the book's readers
+    NOTES_FEATURE: true // Private and selectively shared highlights and comments
   },
 
   // UI/UX Limits
@@ -216,7 +305,7 @@ export const LIMIT_VALIDATORS = {
 // Error message templates
 export const ERROR_MESSAGES = {
   FILE_SIZE_EXCEEDED: (maxSize) => 
-    `File too large. Maximum size is ${maxSize}MB. Please choose a smaller EPUB file.`,
+    `File too large. Maximum size is ${maxSize}MB. Please choose a smaller file.`,
   
   INVALID_FILE_TYPE: (allowedTypes) => 
     `Invalid file type. Please upload one of: ${allowedTypes.join(', ')}`,
@@ -224,6 +313,84 @@ export const ERROR_MESSAGES = {
   UPLOAD_TIMEOUT: () => 
     'Upload timed out. Please try again with a smaller file or better connection.',
   
+  UPLOAD_NOT_FOUND: () => 
+    'This upload has expired or does not exist. Please start the upload again.',
+  
+  UPLOAD_OFFSET_MISMATCH: (receivedBytes) => 
+    `Upload is out of sync. The server has ${receivedBytes} bytes; please resume from there.`,
+  
+  CHUNK_TOO_LARGE: (maxBytes) => 
+    `Upload chunks must be between 1 and ${maxBytes} bytes.`,
+  
+  UPLOAD_SIZE_MISMATCH: (size) => 
+    `More data was sent than the ${size} bytes declared for this upload.`,
+  
+  UPLOAD_INCOMPLETE: (receivedBytes, size) => 
+    `Upload is incomplete (${receivedBytes} of ${size} bytes received). Please resume the upload.`,
+  
+  CHUNK_RATE_LIMITED: (maxChunks) => 
+    `Too many upload chunks. You can send up to ${maxChunks} per minute; please resume shortly.`,
+  
+  TOO_MANY_UPLOADS: (maxUploads) => 
+    `You already have ${maxUploads} uploads in progress. Finish or cancel one before starting another.`,
+  
+  UPLOAD_QUOTA_EXCEEDED: (maxMb) => 
+    `Your unfinished uploads would take more than ${maxMb}MB. Finish or cancel one before starting another.`,
+  
+  UPLOAD_STORAGE_FULL: () => 
+    'The server has no room for more uploads right now. Please try again later.',
+  
+  UPLOAD_CHECKSUM_MISMATCH: () => 
+    'The uploaded file was corrupted in transit (checksum mismatch). Please upload it again.',
+  
+  DOCUMENT_EMPTY: () => 
+    'This file has no readable text.',
+  
+  DOCUMENT_NOT_TEXT: () => 
+    'This file does not look like text. Please upload a plain-text, Markdown or HTML file.',
+  
+  INVALID_EPUB_ARCHIVE: () => 
+    'This file is not a valid EPUB. It could not be opened as a ZIP archive.',
+  
+  EPUB_MIMETYPE_INVALID: () => 
+    'This file is not a valid EPUB. Its mimetype entry is missing, compressed or incorrect.',
+  
+  EPUB_CONTAINER_INVALID: () => 
+    'This EPUB is damaged. META-INF/container.xml is missing or does not point to a package document.',
+  
+  EPUB_PACKAGE_INVALID: () => 
+    'This EPUB is damaged. Its package document (OPF) is missing or unreadable.',
+  
+  EPUB_SPINE_INVALID: (missingItems) => 
+    `This EPUB is damaged. Some chapters could not be found: ${missingItems.join(', ')}`,
+  
+  ARCHIVE_TOO_MANY_ENTRIES: (maxEntries) => 
+    `This file contains too many entries (${maxEntries} maximum) and was rejected.`,
+  
+  ARCHIVE_TOO_LARGE: (maxSize) => 
+    `This file expands to more than ${maxSize}MB and was rejected.`,
+  
+  ARCHIVE_COMPRESSION_RATIO_EXCEEDED: (maxRatio) => 
+    `This file is compressed more than ${maxRatio}:1 and was rejected as a possible zip bomb.`,
+  
+  ARCHIVE_UNSAFE_ENTRY: (entryName) => 
+    `This file contains an unsafe or unreadable entry (${entryName}) and was rejected.`,
+  
+  INVALID_COMIC_ARCHIVE: () => 
+    'This file is not a valid comic book archive. It could not be opened as a ZIP archive.',
+  
+  COMIC_NO_PAGES: () => 
+    'This comic book archive contains no page images (JPEG, PNG, GIF or WebP).',
+  
+  INVALID_REGION: (minSize) => 
+    `Page regions must lie within the page and be at least ${minSize * 100}% of its width and height.`,
+  
+  DUPLICATE_BOOK: (title) => 
+    `"${title}" has already been uploaded. Open the existing discussion or start a new session on it.`,
+  
+  INVALID_COVER_SIZE: (sizes) => 
+    `Unknown cover size. Please use one of: ${sizes.join(', ')}`,
+  
   USER_LIMIT_REACHED: (maxUsers) => 
     `This reading session has reached the maximum of ${maxUsers} users. Please try again later when someone leaves.`,
   
@@ -233,6 +400,12 @@ export const ERROR_MESSAGES = {
   HIGHLIGHT_LIMIT_REACHED: (maxHighlights) => 
     `You've reached the maximum of ${maxHighlights} highlights. Please delete some highlights before adding new ones.`,
   
+  NOT_ANNOTATION_OWNER: () => 
+    'You can only change or delete your own highlights, comments and bookmarks.',
+  
+  NOT_PROFILE_OWNER: () => 
+    'This reading profile was created in another browser.',
+  
   COMMENT_LIMIT_REACHED: (maxComments) => 
     `Maximum ${maxComments} comments per highlight reached.`,
   
@@ -245,6 +418,75 @@ export const ERROR_MESSAGES = {
   REPLY_DEPTH_EXCEEDED: (maxDepth) => 
     `Maximum reply depth of ${maxDepth} levels reached.`,
   
+  REPLY_LIMIT_REACHED: (maxReplies) => 
+    `Maximum ${maxReplies} replies per comment reached.`,
+  
+  REPLY_TOO_LONG: (maxLength) => 
+    `Reply too long. Maximum ${maxLength} characters allowed.`,
+  
+  REPLY_TOO_SHORT: (minLength) => 
+    `Reply too short. Minimum ${minLength} characters required.`,
+  
+  TOO_MANY_MENTIONS: (maxMentions) => 
+    `Too many mentions. You can mention up to ${maxMentions} readers in one comment.`,
+  
+  INVALID_VISIBILITY: (options) => 
+    `Unknown visibility. Choose one of: ${options.join(', ')}.`,
+  
+  NOTES_DISABLED: () => 
+    'Private notes are not enabled. Annotations are shared with everyone reading this book.',
+  
+  NO_SHARED_PROFILES: () => 
+    'Choose at least one reader to share this with.',
+  
+  TOO_MANY_SHARED_PROFILES: (maxProfiles) => 
+    `You can share an annotation with up to ${maxProfiles} readers.`,
+  
+  SHARED_PROFILE_NOT_FOUND: () => 
+    'Some of the readers you chose are not reading this book.',
+  
+  INVALID_TAGS: () => 
+    'Tags must be a list of words or short phrases.',
+  
+  TOO_MANY_TAGS: (maxTags) => 
+    `Too many tags. You can add up to ${maxTags} tags to a highlight or comment.`,
+  
+  TAG_TOO_LONG: (maxLength) => 
+    `Tag too long. Maximum ${maxLength} characters allowed.`,
+  
+  INVALID_PALETTE: (maxEntries, maxLabelLength) => 
+    `A palette has up to ${maxEntries} colors, each with a label of at most ${maxLabelLength} characters and a #rrggbb color. Labels must be different.`,
+  
+  NOT_BOOK_OWNER: () => 
+    "Only the book's owner can change its highlight palette.",
+  
+  UNKNOWN_PALETTE_KEY: () => 
+    "That color isn't in this book's highlight palette.",
+  
+  SEARCH_DISABLED: () => 
+    'Search is not enabled on this server.',
+  
+  INVALID_SEARCH_QUERY: (minLength, maxLength) => 
+    `Search for ${minLength} to ${maxLength} characters of words or "quoted phrases".`,
+  
+  INVALID_DATE_RANGE: () => 
+    'Dates must look like 2024-01-31, and the range must not end before it starts.',
+  
+  BOOKMARKING_DISABLED: () => 
+    'Bookmarks are not enabled on this server.',
+  
+  BOOKMARK_LIMIT_REACHED: (maxBookmarks) => 
+    `You've reached the maximum of ${maxBookmarks} bookmarks in this book. Please delete some before adding new ones.`,
+  
+  BOOKMARK_LABEL_TOO_LONG: (maxLength) => 
+    `Bookmark label too long. Maximum ${maxLength} characters allowed.`,
+  
+  INVALID_REACTION: (allowedEmoji) => 
+    `Unsupported reaction. Choose one of: ${allowedEmoji.join(' ')}`,
+  
+  REACTION_RATE_LIMITED: (maxPerMinute) => 
+    `You're reacting too quickly. Maximum ${maxPerMinute} reactions per minute.`,
+  
   EPUB_TOO_LARGE: (maxPages) => 
     `EPUB has too many pages (${maxPages} maximum). Please choose a smaller book.`,
   
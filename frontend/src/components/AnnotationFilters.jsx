@@ -0,0 +1,55 @@
+import React from 'react';
+
+export const DEFAULT_FILTERS = { tag: '', profileId: '', chapter: 'current' };
+
+const selectStyle = { padding: '4px', border: '1px solid #ddd', borderRadius: '4px' };
+
+// Narrows the "Highlights & Comments" list by tag, author and chapter. `filters.chapter`
+// is 'current', 'all' or a 1-based chapter number. Calls `onChange(filters)`.
+function AnnotationFilters({ filters, onChange, tags, profiles, chapterCount, pageLabel }) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const isFiltered = filters.tag || filters.profileId || filters.chapter !== DEFAULT_FILTERS.chapter;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '15px', fontSize: '13px' }}>
+      <select value={filters.tag} onChange={(e) => update({ tag: e.target.value })} style={selectStyle} title="Tag">
+        <option value="">All tags</option>
+        {filters.tag && !tags.includes(filters.tag) && <option value={filters.tag}>#{filters.tag}</option>}
+        {tags.map(tag => (
+          <option key={tag} value={tag}>#{tag}</option>
+        ))}
+      </select>
+
+      <select value={filters.profileId} onChange={(e) => update({ profileId: e.target.value })} style={selectStyle} title="Author">
+        <option value="">Everyone</option>
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.username}</option>
+        ))}
+      </select>
+
+      <select
+        value={String(filters.chapter)}
+        onChange={(e) => update({ chapter: ['current', 'all'].includes(e.target.value) ? e.target.value : Number(e.target.value) })}
+        style={selectStyle}
+        title={pageLabel}
+      >
+        <option value="current">This {pageLabel.toLowerCase()}</option>
+        <option value="all">Whole book</option>
+        {Array.from({ length: chapterCount }, (_, index) => (
+          <option key={index + 1} value={index + 1}>{pageLabel} {index + 1}</option>
+        ))}
+      </select>
+
+      {isFiltered && (
+        <button
+          onClick={() => onChange(DEFAULT_FILTERS)}
+          style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer' }}
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AnnotationFilters;
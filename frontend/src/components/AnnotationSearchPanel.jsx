@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { MVP_LIMITS } from '../config/limits';
+
+const fieldStyle = { padding: '4px', border: '1px solid #ddd', borderRadius: '4px', minWidth: 0 };
+
+// Results in chapter order as [{ chapter, results }]
+function groupByChapter(results) {
+  const groups = [];
+  for (const result of results) {
+    const last = groups[groups.length - 1];
+    if (last && last.chapter === result.chapter) {
+      last.results.push(result);
+    } else {
+      groups.push({ chapter: result.chapter, results: [result] });
+    }
+  }
+  return groups;
+}
+
+// Dropdown for searching the discussion - highlighted passages, comments, tags and
+// usernames - optionally narrowed to one reader, one chapter and a date range.
+// `onSearch(params)` resolves to { results, truncated }; picking a match calls `onOpen(result)`.
+function AnnotationSearchPanel({ profiles, chapterCount, pageLabel, onSearch, onOpen }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [params, setParams] = useState({ q: '', profile_id: '', chapter: '', from: '', to: '' });
+  const [search, setSearch] = useState(null); // { results, truncated } of the last search
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+  const { MIN_QUERY_CHARS, MAX_QUERY_CHARS } = MVP_LIMITS.CONTENT.SEARCH;
+  const canSearch = params.q.trim().length >= MIN_QUERY_CHARS && !isSearching;
+
+  const update = (changes) => setParams({ ...params, ...changes });
+
+  const handleSearch = async () => {
+    if (!canSearch) {
+      return;
+    }
+    setIsSearching(true);
+    setError('');
+    try {
+      const given = Object.entries({ ...params, q: params.q.trim() }).filter(([, value]) => value);
+      setSearch(await onSearch(Object.fromEntries(given)));
+    } catch (searchError) {
+      setSearch(null);
+      setError(searchError.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Search highlights and comments"
+        style={{ background: 'none', border: '1px solid #ddd', borderRadius: '4px', padding: '6px 10px', cursor: 'pointer' }}
+      >
+        💬🔍
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '6px',
+          width: '380px',
+          maxHeight: '480px',
+          overflow: 'auto',
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+          zIndex: 1000
+        }}>
+          <div style={{ padding: '10px', borderBottom: '1px solid #eee', fontSize: '13px' }}>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <input
+                value={params.q}
+                onChange={(e) => update({ q: e.target.value })}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder="Search highlights and comments"
+                maxLength={MAX_QUERY_CHARS}
+                autoFocus
+                style={{ ...fieldStyle, flex: 1, padding: '4px 6px' }}
+              />
+              <button onClick={handleSearch} disabled={!canSearch}>
+                {isSearching ? 'Searching...' : 'Search'}
+              </button>
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '6px', alignItems: 'center' }}>
+              <select value={params.profile_id} onChange={(e) => update({ profile_id: e.target.value })} style={fieldStyle} title="Reader">
+                <option value="">Everyone</option>
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.username}</option>
+                ))}
+              </select>
+              <select value={params.chapter} onChange={(e) => update({ chapter: e.target.value })} style={fieldStyle} title={pageLabel}>
+                <option value="">Whole book</option>
+                {Array.from({ length: chapterCount }, (_, index) => (
+                  <option key={index + 1} value={index + 1}>{pageLabel} {index + 1}</option>
+                ))}
+              </select>
+              <input type="date" value={params.from} onChange={(e) => update({ from: e.target.value })} style={fieldStyle} title="From" />
+              <input type="date" value={params.to} onChange={(e) => update({ to: e.target.value })} style={fieldStyle} title="To" />
+            </div>
+            {search && (
+              <div style={{ fontSize: '12px', color: '#999', marginTop: '6px' }}>
+                {search.results.length === 0
+                  ? 'No matches.'
+                  : `${search.truncated ? 'First ' : ''}${search.results.length} ${search.results.length === 1 ? 'match' : 'matches'}`}
+              </div>
+            )}
+            {error && <div style={{ fontSize: '12px', color: '#c62828', marginTop: '6px' }}>{error}</div>}
+          </div>
+
+          {search && groupByChapter(search.results).map(group => (
+            <div key={group.chapter}>
+              <div style={{ padding: '6px 10px', backgroundColor: '#f8f9fa', fontSize: '12px', fontWeight: 'bold', color: '#666' }}>
+                {pageLabel} {group.chapter}
+              </div>
+              {group.results.map(result => (
+                <div
+                  key={`${result.type}-${result.id}`}
+                  onClick={() => {
+                    setIsOpen(false);
+                    onOpen(result);
+                  }}
+                  style={{ padding: '8px 10px', borderBottom: '1px solid #f0f0f0', cursor: 'pointer', fontSize: '13px' }}
+                >
+                  <div>
+                    {result.type === 'highlight'
+                      ? (result.region ? `🖍️ Region on ${pageLabel.toLowerCase()} ${result.chapter}` : `🖍️ "${result.text}"`)
+                      : `💬 ${result.comment}`}
+                  </div>
+                  {result.tags.length > 0 && (
+                    <div style={{ fontSize: '12px', color: '#4a55a2', marginTop: '3px' }}>
+                      {result.tags.map(tag => `#${tag}`).join(' ')}
+                    </div>
+                  )}
+                  <div style={{ fontSize: '12px', color: '#999', marginTop: '3px' }}>
+                    by {result.username} · {new Date(result.created).toLocaleDateString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AnnotationSearchPanel;
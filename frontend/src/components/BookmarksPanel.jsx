@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { MVP_LIMITS } from '../config/limits';
+
+// Dropdown listing the reader's own bookmarks and the ones others have shared. Picking
+// one calls `onJump(bookmark)`; the reader's own can be renamed, shared or deleted.
+// `onAdd(label, visibility)` bookmarks the current position.
+function BookmarksPanel({ bookmarks, profileId, pageLabel, onJump, onAdd, onUpdate, onDelete }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [label, setLabel] = useState('');
+  const [visibility, setVisibility] = useState('private');
+
+  const handleAdd = () => {
+    onAdd(label, visibility);
+    setLabel('');
+  };
+
+  const handleRename = (bookmark) => {
+    const newLabel = window.prompt('Bookmark label', bookmark.label || '');
+    if (newLabel !== null) {
+      onUpdate(bookmark, { label: newLabel });
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Bookmarks (press B to bookmark this spot)"
+        style={{ background: 'none', border: '1px solid #ddd', borderRadius: '4px', padding: '6px 10px', cursor: 'pointer' }}
+      >
+        🔖 {bookmarks.length > 0 && bookmarks.length}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '6px',
+          width: '320px',
+          maxHeight: '400px',
+          overflow: 'auto',
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+          zIndex: 1000
+        }}>
+          <div style={{ padding: '10px', borderBottom: '1px solid #eee' }}>
+            <strong>Bookmarks</strong>
+            <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+              <input
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                placeholder="Label (optional)"
+                maxLength={MVP_LIMITS.CONTENT.BOOKMARKS.MAX_LABEL_CHARS}
+                style={{ flex: 1, padding: '4px 6px', border: '1px solid #ddd', borderRadius: '4px', minWidth: 0 }}
+              />
+              <select
+                value={visibility}
+                onChange={(e) => setVisibility(e.target.value)}
+                title="Who can see this bookmark"
+                style={{ border: '1px solid #ddd', borderRadius: '4px' }}
+              >
+                <option value="private">🔒 Only me</option>
+                <option value="shared">🌐 Everyone</option>
+              </select>
+              <button onClick={handleAdd}>Add</button>
+            </div>
+          </div>
+
+          {bookmarks.length === 0 ? (
+            <p style={{ color: '#666', textAlign: 'center', padding: '10px' }}>No bookmarks yet.</p>
+          ) : (
+            bookmarks.map(bookmark => {
+              const isOwn = bookmark.user_id === profileId;
+              return (
+                <div key={bookmark.id} style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                  <div
+                    onClick={() => {
+                      setIsOpen(false);
+                      onJump(bookmark);
+                    }}
+                    style={{ cursor: 'pointer' }}
+                  >
+                    <div style={{ fontSize: '14px' }}>
+                      {bookmark.visibility === 'shared' ? '🌐' : '🔒'}{' '}
+                      <strong>{bookmark.label || `${pageLabel} ${bookmark.chapter}`}</strong>
+                    </div>
+                    <div style={{ fontSize: '12px', color: '#999', marginTop: '3px' }}>
+                      {pageLabel} {bookmark.chapter}
+                      {!isOwn && <> · by {bookmark.username}</>}
+                    </div>
+                  </div>
+                  {isOwn && (
+                    <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '5px' }}>
+                      <button onClick={() => handleRename(bookmark)}>Rename</button>
+                      <button
+                        onClick={() => onUpdate(bookmark, { visibility: bookmark.visibility === 'shared' ? 'private' : 'shared' })}
+                      >
+                        {bookmark.visibility === 'shared' ? 'Make private' : 'Share'}
+                      </button>
+                      <button onClick={() => onDelete(bookmark)}>Delete</button>
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BookmarksPanel;
@@ -0,0 +1,165 @@
+import React, { useRef, useState } from 'react';
+import { highlightColors } from '../utils/palette';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.25;
+
+// Regions smaller than this (fraction of the page) are treated as stray clicks
+const MIN_REGION_SIZE = 0.01;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Rectangle between two points, as fractions of the page
+function regionBetween(start, end) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y)
+  };
+}
+
+const regionStyle = (region) => ({
+  position: 'absolute',
+  left: `${region.x * 100}%`,
+  top: `${region.y * 100}%`,
+  width: `${region.width * 100}%`,
+  height: `${region.height * 100}%`
+});
+
+// One comic page with zoom controls. Dragging across the page draws a rectangular
+// region to highlight or comment on; saved regions are drawn over the image, filled with
+// their `palette` category's color and outlined in their reader's color.
+function ComicPage({ page, highlights, comments, palette, pendingRegion, onRegionSelected, onRegionClick }) {
+  const [zoom, setZoom] = useState(1);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragEnd, setDragEnd] = useState(null);
+  const pageRef = useRef(null);
+
+  const pointFromEvent = (event) => {
+    const rect = pageRef.current.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - rect.left) / rect.width),
+      y: clamp((event.clientY - rect.top) / rect.height)
+    };
+  };
+
+  const handleMouseDown = (event) => {
+    if (event.button !== 0) return;
+    event.preventDefault(); // Don't start a native image drag
+    setDragStart(pointFromEvent(event));
+    setDragEnd(null);
+  };
+
+  const handleMouseMove = (event) => {
+    if (dragStart) {
+      setDragEnd(pointFromEvent(event));
+    }
+  };
+
+  const handleMouseUp = (event) => {
+    if (!dragStart) return;
+
+    const region = regionBetween(dragStart, pointFromEvent(event));
+    setDragStart(null);
+    setDragEnd(null);
+
+    if (region.width >= MIN_REGION_SIZE && region.height >= MIN_REGION_SIZE) {
+      onRegionSelected(region, { x: event.clientX, y: event.clientY - 50 });
+    } else {
+      onRegionSelected(null);
+    }
+  };
+
+  const drawing = dragStart && dragEnd ? regionBetween(dragStart, dragEnd) : null;
+  const pageRegions = highlights.filter(highlight => highlight.region);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'center', marginBottom: '10px' }}>
+        <button onClick={() => setZoom(Math.max(MIN_ZOOM, zoom - ZOOM_STEP))} disabled={zoom <= MIN_ZOOM} title="Zoom out">
+          −
+        </button>
+        <span style={{ minWidth: '50px', textAlign: 'center' }}>{Math.round(zoom * 100)}%</span>
+        <button onClick={() => setZoom(Math.min(MAX_ZOOM, zoom + ZOOM_STEP))} disabled={zoom >= MAX_ZOOM} title="Zoom in">
+          +
+        </button>
+        <button onClick={() => setZoom(1)} disabled={zoom === 1}>
+          Fit
+        </button>
+        <span style={{ fontSize: '12px', color: '#999' }}>Drag across the page to mark a region</span>
+      </div>
+
+      <div
+        data-content="chapter-content"
+        className="scrollable-content"
+        style={{ maxHeight: '70vh', overflow: 'auto', textAlign: 'center' }}
+      >
+        <div
+          ref={pageRef}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={() => { setDragStart(null); setDragEnd(null); }}
+          style={{
+            position: 'relative',
+            display: 'inline-block',
+            width: `${zoom * 100}%`,
+            cursor: 'crosshair',
+            userSelect: 'none'
+          }}
+        >
+          <img
+            src={page.image}
+            alt={page.title}
+            draggable={false}
+            style={{ display: 'block', width: '100%', height: 'auto' }}
+          />
+
+          {pageRegions.map(highlight => (
+            <div
+              key={highlight.id}
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={() => onRegionClick(highlight.id)}
+              title={`Marked by ${highlight.username}`}
+              style={{
+                ...regionStyle(highlight.region),
+                border: `2px solid ${highlight.color}`,
+                backgroundColor: highlightColors(highlight, palette).fill + '33',
+                borderRadius: '2px',
+                cursor: 'pointer'
+              }}
+            >
+              {comments.some(comment => comment.highlight_id === highlight.id) && (
+                <span style={{
+                  position: 'absolute',
+                  top: '-10px',
+                  right: '-10px',
+                  fontSize: '12px',
+                  backgroundColor: 'white',
+                  borderRadius: '50%',
+                  padding: '1px',
+                  boxShadow: '0 1px 3px rgba(0,0,0,0.3)'
+                }}>
+                  ⭐
+                </span>
+              )}
+            </div>
+          ))}
+
+          {(drawing || pendingRegion) && (
+            <div style={{
+              ...regionStyle(drawing || pendingRegion),
+              border: '2px dashed #333',
+              backgroundColor: 'rgba(255, 255, 255, 0.2)',
+              pointerEvents: 'none'
+            }} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComicPage;
@@ -1,10 +1,121 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { io } from 'socket.io-client';
 import ProfileModal from './ProfileModal';
+import ComicPage from './ComicPage';
+import ReactionBar from './ReactionBar';
+import MentionTextarea from './MentionTextarea';
+import NotificationInbox from './NotificationInbox';
+import VisibilityPicker from './VisibilityPicker';
+import BookmarksPanel from './BookmarksPanel';
+import TagInput from './TagInput';
+import AnnotationFilters, { DEFAULT_FILTERS } from './AnnotationFilters';
+import HighlightLegend from './HighlightLegend';
+import SearchPanel from './SearchPanel';
+import AnnotationSearchPanel from './AnnotationSearchPanel';
+import { rangeToCfi } from '../utils/cfi';
+import { describeRange, anchorHighlight } from '../utils/anchoring';
+import { drawHighlights, clearHighlights, markRange } from '../utils/highlightLayer';
+import { splitMentions } from '../utils/mentions';
+import { readingPosition, scrollToPosition, isAtPosition } from '../utils/bookmarks';
+import { hasPalette, paletteEntryOf, highlightColors } from '../utils/palette';
+import { profileHeaders, profileToken } from '../utils/profileTokens';
+import { MVP_LIMITS } from '../config/limits';
+
+// Reader-facing labels for background ingestion states
+const INGESTION_LABELS = {
+  queued: 'Waiting in line to be processed...',
+  extracting: 'Reading book details...',
+  converting: 'Preparing chapters...'
+};
+
+const SEARCH_MARK_MS = 5000; // How long a search hit stays marked after jumping to it
+
+// Replace the summary for one target and emoji with `reaction`, dropping it once nobody is left
+function withReaction(reactions, reaction) {
+  const others = reactions.filter(existing => !(
+    existing.target_type === reaction.target_type &&
+    existing.target_id === reaction.target_id &&
+    existing.emoji === reaction.emoji
+  ));
+  return reaction.count > 0 ? [...others, reaction] : others;
+}
+
+// Tag chips; clicking one follows that tag through the book
+function renderTags(tags, onTagClick) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', margin: '4px 0' }}>
+      {tags.map(tag => (
+        <button
+          key={tag}
+          onClick={() => onTagClick(tag)}
+          title={`Show everything tagged #${tag}`}
+          style={{ backgroundColor: '#eef0fc', color: '#4a55a2', border: 'none', borderRadius: '10px', padding: '2px 8px', fontSize: '12px', cursor: 'pointer' }}
+        >
+          #{tag}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Swatches for filing a highlight under one of the book's palette categories; picking
+// the selected one again clears it. Calls `onSelect(key)` with '' for no category.
+function renderPaletteSwatches(palette, selectedKey, onSelect) {
+  if (!hasPalette(palette)) {
+    return null;
+  }
+  return (
+    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+      {palette.map(entry => (
+        <button
+          key={entry.key}
+          onClick={() => onSelect(entry.key === selectedKey ? '' : entry.key)}
+          title={entry.label}
+          style={{
+            width: '22px',
+            height: '22px',
+            borderRadius: '50%',
+            backgroundColor: entry.color,
+            border: entry.key === selectedKey ? '2px solid #333' : '1px solid #ccc',
+            cursor: 'pointer',
+            padding: 0
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Bookmarks in the order they come in the book
+function byReadingOrder(a, b) {
+  return a.chapter - b.chapter || (a.scroll_position || 0) - (b.scroll_position || 0);
+}
+
+// `bookmarks` with `bookmark` added or replaced
+function withBookmark(bookmarks, bookmark) {
+  return [...bookmarks.filter(existing => existing.id !== bookmark.id), bookmark].sort(byReadingOrder);
+}
+
+// Marker for annotations that aren't shared with every reader
+function visibilityBadge(annotation) {
+  if (annotation.visibility === 'private') {
+    return <span title="Only you can see this" style={{ marginLeft: '6px' }}>🔒</span>;
+  }
+  if (annotation.visibility === 'profiles') {
+    const count = (annotation.shared_with || []).length;
+    return <span title={`Shared with ${count} ${count === 1 ? 'reader' : 'readers'}`} style={{ marginLeft: '6px' }}>👥</span>;
+  }
+  return null;
+}
 
 function EPUBReader() {
   const { slug } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   
   const [bookData, setBookData] = useState(null);
   const [bookContent, setBookContent] = useState(null);
@@ -13,9 +124,27 @@ function EPUBReader() {
   const [error, setError] = useState('');
   const [convertingBookId, setConvertingBookId] = useState(null);
   const conversionInProgress = useRef(false);
+  const [ingestionStatus, setIngestionStatus] = useState(null);
+  const isIngesting = ingestionStatus && ingestionStatus.status !== 'ready' && ingestionStatus.status !== 'failed';
+  
+  // Series, publisher and year from the book's OPF metadata
+  const bookDetails = [
+    bookData?.series && (bookData.series_index ? `${bookData.series} #${bookData.series_index}` : bookData.series),
+    bookData?.publisher,
+    bookData?.published_date?.slice(0, 4)
+  ].filter(Boolean);
+  
+  // Comic archives are read page by page; each page is one "chapter"
+  const isComic = bookData?.format === 'cbz';
+  const pageLabel = isComic ? 'Page' : 'Chapter';
+  
+  // The book owner's semantic highlight categories, if any
+  const palette = bookData?.highlight_palette || [];
   
   // Add highlighting and commenting state
   const [selectedText, setSelectedText] = useState('');
+  const [selectedAnchor, setSelectedAnchor] = useState(null);
+  const [pendingRegion, setPendingRegion] = useState(null);
   const [showActionButtons, setShowActionButtons] = useState(false);
   const [actionButtonPosition, setActionButtonPosition] = useState({ x: 0, y: 0 });
   const [showCommentBox, setShowCommentBox] = useState(false);
@@ -26,6 +155,29 @@ function EPUBReader() {
   const [selectedHighlightId, setSelectedHighlightId] = useState(null);
   const [highlightComments, setHighlightComments] = useState([]);
   const [showCommentsPopup, setShowCommentsPopup] = useState(false);
+  const [orphanedHighlights, setOrphanedHighlights] = useState([]);
+  const [overlapChoice, setOverlapChoice] = useState(null);
+  const [editingCommentId, setEditingCommentId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [replyingToId, setReplyingToId] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [collapsedThreads, setCollapsedThreads] = useState([]);
+  const [reactions, setReactions] = useState([]);
+  const [bookProfiles, setBookProfiles] = useState([]);
+  const [annotationVisibility, setAnnotationVisibility] = useState({ visibility: 'shared', sharedWith: [] });
+  const [bookmarks, setBookmarks] = useState([]);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
+  const [newTags, setNewTags] = useState([]);
+  const [selectedPaletteKey, setSelectedPaletteKey] = useState(''); // Category for new highlights
+  const [editTags, setEditTags] = useState([]);
+  const [annotationFilters, setAnnotationFilters] = useState(DEFAULT_FILTERS);
+  const [filteredAnnotations, setFilteredAnnotations] = useState(null); // { highlights, comments } while filtering
+  const [pendingBookmark, setPendingBookmark] = useState(null); // Scrolled to once its chapter is showing
+  const [activeSearchHit, setActiveSearchHit] = useState(null); // Marked while its chapter is showing
+  const scrolledSearchHit = useRef(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const annotationSocket = useRef(null);
   
   // Add progress tracking state
   const [readingProgress, setReadingProgress] = useState(0);
@@ -85,6 +237,8 @@ function EPUBReader() {
       color: profile.color
     });
     setShowProfileModal(false);
+    // A book's first profile becomes its owner
+    setBookData(current => (current.owner_profile_id ? current : { ...current, owner_profile_id: profile.id }));
   };
 
   // Load book data by slug
@@ -117,33 +271,266 @@ function EPUBReader() {
 
   // Load book content when bookData is available
   useEffect(() => {
-    if (bookData?.id && !conversionInProgress.current) {
+    if (!bookData?.id) {
+      return;
+    }
+    
+    if (bookData.status && bookData.status !== 'ready') {
+      // Still being ingested - wait for status updates below
+      setIngestionStatus({ status: bookData.status, progress: 0, queuePosition: 0 });
+      return;
+    }
+    
+    if (!conversionInProgress.current) {
       conversionInProgress.current = true;
       setConvertingBookId(bookData.id);
       loadBookContent();
     }
   }, [bookData?.id]);
 
+  // Follow background ingestion over the socket, polling as a fallback
+  useEffect(() => {
+    if (!bookData?.id || !isIngesting) {
+      return;
+    }
+    
+    const handleStatus = (status) => {
+      setIngestionStatus(status);
+      
+      if (status.status === 'ready' && !conversionInProgress.current) {
+        conversionInProgress.current = true;
+        setConvertingBookId(bookData.id);
+        // Title and author may have been filled in during ingestion
+        loadBookBySlug();
+        loadBookContent();
+      } else if (status.status === 'failed') {
+        setError(status.error ? `Failed to process book: ${status.error}` : 'Failed to process book');
+        setIsLoading(false);
+      }
+    };
+    
+    const socket = io('http://localhost:3001');
+    socket.on('connect', () => {
+      socket.emit('watch-book', { bookId: bookData.id });
+    });
+    socket.on('book-status', handleStatus);
+    
+    const pollStatus = async () => {
+      try {
+        const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/status`);
+        if (response.ok) {
+          handleStatus(await response.json());
+        }
+      } catch (error) {
+        console.error('Error polling book status:', error);
+      }
+    };
+    
+    pollStatus();
+    const interval = setInterval(pollStatus, 3000);
+    
+    return () => {
+      clearInterval(interval);
+      socket.disconnect();
+    };
+  }, [bookData?.id, isIngesting]);
+
+  // Keep highlights and comments in step with edits and deletions made by other readers
+  useEffect(() => {
+    if (!bookData?.id) {
+      return;
+    }
+
+    const socket = io('http://localhost:3001');
+    socket.on('connect', () => {
+      // The profile's own room carries private annotations and notifications
+      socket.emit('watch-book', {
+        bookId: bookData.id,
+        profileId: currentProfile?.id,
+        token: currentProfile && profileToken(currentProfile.id)
+      });
+    });
+
+    socket.on('highlight-updated', (updated) => {
+      setHighlights(current => current.map(highlight => (highlight.id === updated.id ? updated : highlight)));
+    });
+
+    socket.on('highlight-deleted', ({ highlightId, commentIds }) => {
+      setHighlights(current => current.filter(highlight => highlight.id !== highlightId));
+      setComments(current => current.filter(comment => !commentIds.includes(comment.id)));
+      setHighlightComments(current => current.filter(comment => !commentIds.includes(comment.id)));
+      setSelectedHighlightId(current => (current === highlightId ? null : current));
+    });
+
+    socket.on('comment-updated', (updated) => {
+      const replace = (current) => current.map(comment => (comment.id === updated.id ? { ...comment, ...updated } : comment));
+      setComments(replace);
+      setHighlightComments(replace);
+    });
+
+    socket.on('comment-deleted', ({ commentIds }) => {
+      const remove = (current) => current.filter(comment => !commentIds.includes(comment.id));
+      setComments(remove);
+      setHighlightComments(remove);
+    });
+
+    // Highlights in a removed category are uncategorized on the server too
+    socket.on('palette-updated', ({ palette: updated }) => {
+      const keys = updated.map(entry => entry.key);
+      setBookData(current => ({ ...current, highlight_palette: updated }));
+      setHighlights(current => current.map(highlight => (
+        highlight.palette_key && !keys.includes(highlight.palette_key) ? { ...highlight, palette_key: null } : highlight
+      )));
+      setSelectedPaletteKey(current => (keys.includes(current) ? current : ''));
+    });
+
+    socket.on('bookmark-added', (added) => {
+      setBookmarks(current => withBookmark(current, added));
+    });
+
+    // Someone else's bookmark made private is gone for everyone but them
+    socket.on('bookmark-updated', (updated) => {
+      setBookmarks(current => (
+        updated.visibility === 'shared' || updated.user_id === currentProfile?.id
+          ? withBookmark(current, updated)
+          : current.filter(bookmark => bookmark.id !== updated.id)
+      ));
+    });
+
+    socket.on('bookmark-deleted', ({ bookmarkId }) => {
+      setBookmarks(current => current.filter(bookmark => bookmark.id !== bookmarkId));
+    });
+
+    annotationSocket.current = socket;
+    return () => {
+      annotationSocket.current = null;
+      socket.disconnect();
+    };
+  }, [bookData?.id, currentProfile?.id]);
+
+  // New highlights, comments and replies belong in this chapter's lists and, if it's open, their
+  // highlight's thread. Reactions only matter to the open thread.
+  useEffect(() => {
+    const socket = annotationSocket.current;
+    if (!socket) {
+      return;
+    }
+
+    // Our own new highlights also come back from the request that made them, in either order
+    const handleHighlightAdded = (added) => {
+      if (Number(added.chapter) === currentChapter + 1) {
+        setHighlights(current => (current.some(highlight => highlight.id === added.id) ? current : [...current, added]));
+      }
+    };
+
+    const handleCommentAdded = (added) => {
+      const append = (current) => (current.some(comment => comment.id === added.id) ? current : [...current, added]);
+      if (Number(added.chapter) === currentChapter + 1) {
+        setComments(append);
+      }
+      if (added.highlight_id && added.highlight_id === selectedHighlightId) {
+        setHighlightComments(append);
+      }
+    };
+
+    const handleReactionUpdated = (reaction) => {
+      if (reaction.highlight_id === selectedHighlightId) {
+        setReactions(current => withReaction(current, reaction));
+      }
+    };
+
+    const handleNotificationAdded = (notification) => {
+      setNotifications(current => [notification, ...current]);
+      setUnreadCount(current => current + 1);
+    };
+
+    socket.on('highlight-added', handleHighlightAdded);
+    socket.on('comment-added', handleCommentAdded);
+    socket.on('reaction-updated', handleReactionUpdated);
+    socket.on('notification-added', handleNotificationAdded);
+    return () => {
+      socket.off('highlight-added', handleHighlightAdded);
+      socket.off('comment-added', handleCommentAdded);
+      socket.off('reaction-updated', handleReactionUpdated);
+      socket.off('notification-added', handleNotificationAdded);
+    };
+  }, [bookData?.id, currentChapter, selectedHighlightId, currentProfile?.id]);
+
+  // Usernames that can be @mentioned, this profile's notification inbox and bookmarks
+  useEffect(() => {
+    if (bookData?.id && currentProfile?.id) {
+      loadBookProfiles();
+      loadNotifications();
+      loadTagSuggestions();
+      if (MVP_LIMITS.FEATURES.BOOKMARKING) {
+        loadBookmarks();
+      }
+    }
+  }, [bookData?.id, currentProfile?.id]);
+
+  // B bookmarks the current spot, or takes the bookmark there away
+  useEffect(() => {
+    if (!MVP_LIMITS.FEATURES.BOOKMARKING) {
+      return;
+    }
+
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+      if (e.key.toLowerCase() !== 'b' || isTyping || e.ctrlKey || e.metaKey || e.altKey) {
+        return;
+      }
+      e.preventDefault();
+      toggleBookmarkHere();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Deep links to a highlight (?chapter=N&highlight=ID), as notifications use, open its thread
+  useEffect(() => {
+    const highlightId = searchParams.get('highlight');
+    const chapter = parseInt(searchParams.get('chapter'), 10);
+    if (!bookContent || !highlightId) {
+      return;
+    }
+
+    if (chapter >= 1 && chapter <= bookContent.chapters.length) {
+      setCurrentChapter(chapter - 1);
+    }
+    loadCommentsForHighlight(highlightId);
+    // Consume the link so opening the same notification again still works
+    setSearchParams({}, { replace: true });
+  }, [bookContent, searchParams]);
+
+  // The comments popup belongs to a highlight; close it if that highlight is deleted
+  useEffect(() => {
+    if (!selectedHighlightId) {
+      setShowCommentsPopup(false);
+    }
+    setEditingCommentId(null);
+    setReplyingToId(null);
+  }, [selectedHighlightId]);
+
   const loadBookContent = async () => {
     try {
-      console.log('Converting EPUB using Calibre for book:', bookData.id);
+      console.log('Loading book content for book:', bookData.id);
       
-      const response = await fetch(`http://localhost:3001/api/convert-epub/${bookData.id}`, {
-        method: 'POST'
-      });
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/content`);
 
       if (response.ok) {
         const result = await response.json();
-        console.log('Calibre conversion successful:', result);
+        console.log('Book content loaded:', result);
         
         if (result.success) {
           setBookContent(result);
           setIsLoading(false);
         } else {
-          throw new Error('Failed to convert EPUB: ' + result.error);
+          throw new Error('Failed to convert book: ' + result.error);
         }
       } else {
-        throw new Error('Failed to convert EPUB');
+        throw new Error('Failed to convert book');
       }
     } catch (error) {
       console.error('Error converting EPUB:', error);
@@ -184,6 +571,14 @@ function EPUBReader() {
       const range = selection.getRangeAt(0);
       const rect = range.getBoundingClientRect();
       
+      // Capture the anchor now - typing a comment moves the selection elsewhere
+      const contentDiv = document.querySelector('[data-content="chapter-content"]');
+      setSelectedAnchor({
+        text: selectedText,
+        cfi: rangeToCfi(range, contentDiv, currentChapter),
+        selectors: describeRange(range, contentDiv)
+      });
+      
       setActionButtonPosition({
         x: rect.left + rect.width / 2,
         y: rect.top - 50
@@ -198,7 +593,8 @@ function EPUBReader() {
   // Simple approach: Remove useCallback and just fix the immediate issues
   const updateReadingProgress = () => {
     const contentDiv = document.querySelector('[data-content="chapter-content"]');
-    if (!contentDiv) {
+    // Comic progress is counted in pages, not scroll position within a zoomed page
+    if (!contentDiv || isComic) {
       return;
     }
     
@@ -254,7 +650,8 @@ function EPUBReader() {
       const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/progress`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...profileHeaders(currentProfile)
         },
         body: JSON.stringify({
           profile_id: currentProfile.id,
@@ -319,6 +716,19 @@ function EPUBReader() {
     return () => clearTimeout(timer);
   }, [currentChapter, bookContent]); // Keep original dependencies
 
+  // Comic pages don't scroll, so progress is how far through the pages the reader has got
+  useEffect(() => {
+    if (!isComic || !bookContent?.chapters?.length) return;
+    
+    setPendingRegion(null);
+    const pageProgress = ((currentChapter + 1) / bookContent.chapters.length) * 100;
+    if (pageProgress > furthestProgress) {
+      console.log('📈 New furthest page:', currentChapter + 1);
+      setFurthestProgress(pageProgress);
+      sendProgressUpdate(pageProgress);
+    }
+  }, [isComic, currentChapter, bookContent]);
+
   // Load user progress when component mounts and when chapter changes
   useEffect(() => {
     loadUserProgress();
@@ -342,13 +752,16 @@ function EPUBReader() {
       const progressResponse = await fetch(`http://localhost:3001/api/progress/${bookData.id}/${currentProfile.id}`);
       const progressData = await progressResponse.json();
       
-      // Calculate total reactions (highlights + comments)
-      const highlightsResponse = await fetch(`http://localhost:3001/api/highlights/${bookData.id}?profile_id=${currentProfile.id}`);
+      // Calculate total reactions (highlights + comments + emoji reactions)
+      const highlightsResponse = await fetch(`http://localhost:3001/api/highlights/${bookData.id}?profile_id=${currentProfile.id}&viewer_id=${currentProfile.id}`, { headers: profileHeaders(currentProfile) });
       const highlightsData = await highlightsResponse.json();
       
-      const commentsResponse = await fetch(`http://localhost:3001/api/comments/${bookData.id}?profile_id=${currentProfile.id}`);
+      const commentsResponse = await fetch(`http://localhost:3001/api/comments/${bookData.id}?profile_id=${currentProfile.id}&viewer_id=${currentProfile.id}`, { headers: profileHeaders(currentProfile) });
       const commentsData = await commentsResponse.json();
       
+      const reactionsResponse = await fetch(`http://localhost:3001/api/reactions/${bookData.id}?profile_id=${currentProfile.id}&viewer_id=${currentProfile.id}`, { headers: profileHeaders(currentProfile) });
+      const reactionsData = await reactionsResponse.json();
+      
       // Calculate days reading
       let daysReading = 1; // Default to 1 day for anyone with a profile
       if (progressData.first_session) {
@@ -364,7 +777,7 @@ function EPUBReader() {
         daysReading = daysDiff + 1; // First day = 1, second day = 2, etc.
       }
       
-      const totalReactions = highlightsData.length + commentsData.length;
+      const totalReactions = highlightsData.length + commentsData.length + reactionsData.length;
       
       setReadingStats({
         daysReading,
@@ -375,28 +788,49 @@ function EPUBReader() {
     }
   };
 
+  // What a new highlight is anchored to: a region drawn on a comic page, or the text selection
+  const highlightAnchor = () => (pendingRegion ? { region: pendingRegion } : selectedAnchor);
+
+  // A region was drawn on a comic page - offer the same highlight/comment actions as a text selection.
+  // A plain click (no region) dismisses them, like clicking away from a text selection.
+  const handleRegionSelected = (region, position) => {
+    if (!region) {
+      setPendingRegion(null);
+      setShowActionButtons(false);
+      return;
+    }
+    setPendingRegion(region);
+    setSelectedText('');
+    setActionButtonPosition(position);
+    setShowActionButtons(true);
+  };
+
   // Handle highlight action
   const handleHighlight = async () => {
-    if (!selectedText.trim() || !currentProfile) return;
+    if ((!selectedText.trim() && !pendingRegion) || !currentProfile) return;
     
     setIsSubmitting(true);
     
     try {
-      console.log('🚀 Adding highlight for text:', selectedText);
+      const anchor = highlightAnchor();
+      console.log('🚀 Adding highlight:', anchor);
       console.log('📚 Book ID:', bookData.id);
       console.log(' Chapter:', currentChapter + 1);
-      console.log(' Position:', window.getSelection().getRangeAt(0).startOffset);
       
       const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/highlights`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...profileHeaders(currentProfile)
         },
         body: JSON.stringify({
-          text: selectedText,
+          ...anchor,
           chapter: currentChapter + 1,
-          position: window.getSelection().getRangeAt(0).startOffset,
           color: currentProfile.color,
+          visibility: annotationVisibility.visibility,
+          shared_with: annotationVisibility.sharedWith,
+          tags: newTags,
+          palette_key: selectedPaletteKey || null,
           profile_id: currentProfile.id,
           username: currentProfile.username
         })
@@ -406,18 +840,20 @@ function EPUBReader() {
         const newHighlight = await response.json();
         console.log('✅ Highlight successfully stored:', newHighlight);
         
-        // Add to highlights state
-        setHighlights([...highlights, newHighlight]);
-        
-        // Visually highlight the text in the DOM
-        highlightTextInDOM(selectedText, currentProfile.color, false, newHighlight.id);
+        // Add to highlights state - the redraw effect puts it on the page
+        setHighlights(current => [...current.filter(highlight => highlight.id !== newHighlight.id), newHighlight]);
+        if (newHighlight.tags.length > 0) {
+          loadTagSuggestions();
+        }
         
         clearSelection();
       } else {
-        throw new Error('Failed to add highlight');
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to add highlight');
       }
     } catch (error) {
       console.error('❌ Error adding highlight:', error);
+      alert(error.message);
     } finally {
       setIsSubmitting(false);
     }
@@ -427,26 +863,33 @@ function EPUBReader() {
   const handleComment = () => {
     setShowCommentBox(true);
     setShowActionButtons(false);
+    loadBookProfiles(); // Readers may have joined since the book was opened
   };
 
   // Submit comment
   const handleSubmitComment = async () => {
-    if (!commentText.trim() || !selectedText.trim() || !currentProfile) return;
+    if (!commentText.trim() || (!selectedText.trim() && !pendingRegion) || !currentProfile) return;
     
     setIsSubmitting(true);
     
     try {
+      const anchor = highlightAnchor();
+      
       // First add highlight
       const highlightResponse = await fetch(`http://localhost:3001/api/books/${bookData.id}/highlights`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...profileHeaders(currentProfile)
         },
         body: JSON.stringify({
-          text: selectedText,
+          ...anchor,
           chapter: currentChapter + 1,
-          position: window.getSelection().getRangeAt(0).startOffset,
           color: currentProfile.color,
+          visibility: annotationVisibility.visibility,
+          shared_with: annotationVisibility.sharedWith,
+          tags: newTags,
+          palette_key: selectedPaletteKey || null,
           profile_id: currentProfile.id,
           username: currentProfile.username
         })
@@ -455,19 +898,23 @@ function EPUBReader() {
       if (highlightResponse.ok) {
         const newHighlight = await highlightResponse.json();
         console.log('✅ Highlight created for comment:', newHighlight);
-        setHighlights([...highlights, newHighlight]);
+        setHighlights(current => [...current.filter(highlight => highlight.id !== newHighlight.id), newHighlight]);
+        if (newHighlight.tags.length > 0) {
+          loadTagSuggestions();
+        }
         
         // Then add comment
         const commentResponse = await fetch(`http://localhost:3001/api/books/${bookData.id}/comments`, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...profileHeaders(currentProfile)
           },
           body: JSON.stringify({
             text: commentText,
-            selectedText: selectedText,
+            selectedText: anchor.text,
             chapter: currentChapter + 1,
-            position: window.getSelection().getRangeAt(0).startOffset,
+            position: anchor.position,
             highlightId: newHighlight.id,
             profile_id: currentProfile.id,
             username: currentProfile.username
@@ -477,20 +924,20 @@ function EPUBReader() {
         if (commentResponse.ok) {
           const newComment = await commentResponse.json();
           console.log('✅ Comment successfully added:', newComment);
-          setComments([...comments, newComment]);
-          
-          // Visually highlight the text with star indicator
-          highlightTextInDOM(selectedText, currentProfile.color, true, newHighlight.id);
+          setComments(current => (current.some(comment => comment.id === newComment.id) ? current : [...current, newComment]));
           
           clearSelection();
         } else {
-          throw new Error('Failed to add comment');
+          const result = await commentResponse.json();
+          throw new Error(result.error || 'Failed to add comment');
         }
       } else {
-        throw new Error('Failed to add highlight');
+        const result = await highlightResponse.json();
+        throw new Error(result.error || 'Failed to add highlight');
       }
     } catch (error) {
       console.error('❌ Error adding comment:', error);
+      alert(error.message);
     } finally {
       setIsSubmitting(false);
     }
@@ -502,6 +949,9 @@ function EPUBReader() {
     setShowCommentBox(false);
     setCommentText('');
     setSelectedText('');
+    setSelectedAnchor(null);
+    setPendingRegion(null);
+    setNewTags([]);
     window.getSelection().removeAllRanges();
   };
 
@@ -510,79 +960,12 @@ function EPUBReader() {
     clearSelection();
   };
 
-  // Function to highlight text in the DOM
-  const highlightTextInDOM = (text, color = '#ffeb3b', hasComments = false, highlightId = null) => {
-    const contentDiv = document.querySelector('[data-content="chapter-content"]');
-    if (!contentDiv) return;
-    
-    const walker = document.createTreeWalker(
-      contentDiv,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-    
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
-    }
-    
-    // Find and highlight the selected text
-    textNodes.forEach(textNode => {
-      const nodeText = textNode.textContent;
-      const index = nodeText.indexOf(text);
-      
-      if (index !== -1) {
-        const parent = textNode.parentNode;
-        const before = document.createTextNode(nodeText.substring(0, index));
-        const highlighted = document.createElement('span');
-        highlighted.style.backgroundColor = color;
-        highlighted.style.borderRadius = '2px';
-        highlighted.style.padding = '1px 2px';
-        highlighted.style.position = 'relative';
-        highlighted.style.display = 'inline';
-        highlighted.textContent = text;
-        
-        // Add star indicator if this highlight has comments
-        if (hasComments && highlightId) {
-          const star = document.createElement('span');
-          star.innerHTML = '⭐';
-          star.style.position = 'absolute';
-          star.style.top = '-8px';
-          star.style.right = '-12px';
-          star.style.fontSize = '12px';
-          star.style.cursor = 'pointer';
-          star.style.zIndex = '10';
-          star.style.pointerEvents = 'auto';
-          star.style.backgroundColor = 'white';
-          star.style.borderRadius = '50%';
-          star.style.padding = '1px';
-          star.style.boxShadow = '0 1px 3px rgba(0,0,0,0.3)';
-          star.title = 'View comments';
-          star.onclick = (e) => {
-            e.stopPropagation();
-            e.preventDefault();
-            loadCommentsForHighlight(highlightId);
-          };
-          highlighted.appendChild(star);
-        }
-        
-        const after = document.createTextNode(nodeText.substring(index + text.length));
-        
-        parent.replaceChild(after, textNode);
-        parent.insertBefore(highlighted, after);
-        parent.insertBefore(before, highlighted);
-      }
-    });
-  };
-
   // Function to load comments for a highlight
   const loadCommentsForHighlight = async (highlightId) => {
     try {
       console.log('🔍 Loading comments for highlight:', highlightId);
       
-      const response = await fetch(`http://localhost:3001/api/highlight/${highlightId}/comments`);
+      const response = await fetch(`http://localhost:3001/api/highlight/${highlightId}/comments?viewer_id=${currentProfile?.id || ''}`, { headers: profileHeaders(currentProfile) });
       if (response.ok) {
         const comments = await response.json();
         console.log(' Loaded comments:', comments);
@@ -591,6 +974,7 @@ function EPUBReader() {
         setSelectedHighlightId(highlightId);
         setHighlightComments(comments);
         setShowCommentsPopup(true);
+        loadReactionsForHighlight(highlightId);
       } else {
         console.error('❌ Failed to load comments');
       }
@@ -599,11 +983,589 @@ function EPUBReader() {
     }
   };
 
+  // The book's readers, who can be @mentioned or chosen to share an annotation with
+  const loadBookProfiles = async () => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/profiles`);
+      if (response.ok) {
+        const { profiles } = await response.json();
+        setBookProfiles(profiles);
+      }
+    } catch (error) {
+      console.error('❌ Error loading profiles:', error);
+    }
+  };
+
+  const loadNotifications = async () => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/profiles/${currentProfile.id}/notifications`, { headers: profileHeaders(currentProfile) });
+      if (response.ok) {
+        const inbox = await response.json();
+        setNotifications(inbox.notifications);
+        setUnreadCount(inbox.unreadCount);
+      }
+    } catch (error) {
+      console.error('❌ Error loading notifications:', error);
+    }
+  };
+
+  // Mark `ids` read, or every notification when `ids` is omitted
+  const markNotificationsRead = async (ids) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/profiles/${currentProfile.id}/notifications/read`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify(ids ? { ids } : {})
+      });
+      if (response.ok) {
+        const { unreadCount } = await response.json();
+        const readAt = new Date().toISOString();
+        setNotifications(current => current.map(notification => (
+          !ids || ids.includes(notification.id) ? { ...notification, read_at: notification.read_at || readAt } : notification
+        )));
+        setUnreadCount(unreadCount);
+      }
+    } catch (error) {
+      console.error('❌ Error marking notifications read:', error);
+    }
+  };
+
+  const handleOpenNotification = (notification) => {
+    if (!notification.read_at) {
+      markNotificationsRead([notification.id]);
+    }
+    if (notification.highlight_id) {
+      setSearchParams({ chapter: String(notification.chapter), highlight: notification.highlight_id });
+    }
+  };
+
+  // Comment text with @mentions of the book's profiles picked out
+  const renderCommentText = (text) => splitMentions(text || '', profileNames).map((part, index) => (
+    typeof part === 'string'
+      ? part
+      : <strong key={index} style={{ color: '#667eea' }}>{part.text}</strong>
+  ));
+
+  // Reactions on a highlight and the comments in its thread
+  const loadReactionsForHighlight = async (highlightId) => {
+    setReactions([]);
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/reactions?highlightId=${highlightId}&viewer_id=${currentProfile?.id || ''}`, { headers: profileHeaders(currentProfile) });
+      if (response.ok) {
+        setReactions(await response.json());
+      }
+    } catch (error) {
+      console.error('❌ Error loading reactions:', error);
+    }
+  };
+
+  const handleToggleReaction = async (targetType, targetId, emoji) => {
+    if (!currentProfile) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/reactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ targetType, targetId, emoji, profile_id: currentProfile.id })
+      });
+      const reaction = await response.json();
+      if (!response.ok) {
+        throw new Error(reaction.error || 'Failed to update reaction');
+      }
+
+      setReactions(current => withReaction(current, reaction));
+      setReadingStats(current => ({
+        ...current,
+        totalReactions: current.totalReactions + (reaction.reacted ? 1 : -1)
+      }));
+    } catch (error) {
+      console.error('❌ Error updating reaction:', error);
+      alert(error.message);
+    }
+  };
+
+  // The book's most used tags, offered while tagging and as filters
+  const loadTagSuggestions = async () => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/tags?viewer_id=${currentProfile?.id || ''}`, { headers: profileHeaders(currentProfile) });
+      if (response.ok) {
+        setTagSuggestions(await response.json());
+      }
+    } catch (error) {
+      console.error('❌ Error loading tags:', error);
+    }
+  };
+
+  // Change a highlight's `tags` and/or `palette_key`
+  const handleUpdateHighlight = async (highlightId, changes) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/highlights/${highlightId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ ...changes, profile_id: currentProfile.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update highlight');
+      }
+      setHighlights(current => current.map(highlight => (highlight.id === result.id ? result : highlight)));
+      if (changes.tags) {
+        loadTagSuggestions();
+      }
+    } catch (error) {
+      console.error('❌ Error updating highlight:', error);
+      alert(error.message);
+    }
+  };
+
+  // Only the book's owner can do this; returns whether the palette was saved
+  const handleSavePalette = async (entries) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/palette`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ palette: entries, profile_id: currentProfile.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save palette');
+      }
+      setBookData(current => ({ ...current, highlight_palette: result.palette }));
+      return true;
+    } catch (error) {
+      console.error('❌ Error saving palette:', error);
+      alert(error.message);
+      return false;
+    }
+  };
+
+  // Resolves to { results, truncated }; throws with the server's message
+  const handleSearch = async (query) => {
+    const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/search?q=${encodeURIComponent(query)}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Search failed');
+    }
+    return result;
+  };
+
+  const handleJumpToSearchHit = (result) => {
+    if (result.chapter !== currentChapter + 1) {
+      setCurrentChapter(result.chapter - 1);
+    }
+    setActiveSearchHit({ ...result }); // A fresh object, so the same hit can be jumped to again
+  };
+
+  // Search highlights and comments this reader can see; resolves to { results, truncated }
+  const handleSearchAnnotations = async (params) => {
+    const query = new URLSearchParams({ ...params, viewer_id: currentProfile?.id || '' });
+    const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/annotations/search?${query}`, { headers: profileHeaders(currentProfile) });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Search failed');
+    }
+    return result;
+  };
+
+  // A match opens its highlight's comments; comments not on a highlight just go to their chapter
+  const handleOpenAnnotationResult = (result) => {
+    const highlightId = result.type === 'highlight' ? result.id : result.highlight_id;
+    if (highlightId) {
+      openHighlight(highlightId, result.chapter);
+    } else {
+      setCurrentChapter(result.chapter - 1);
+    }
+  };
+
+  // Follow one tag through the whole book
+  const followTag = (tag) => {
+    setAnnotationFilters({ ...DEFAULT_FILTERS, tag, chapter: 'all' });
+    setShowCommentsPopup(false);
+  };
+
+  // Open a highlight's thread, going to its chapter first if need be
+  const openHighlight = (highlightId, chapter) => {
+    if (Number(chapter) === currentChapter + 1) {
+      loadCommentsForHighlight(highlightId);
+    } else {
+      setSearchParams({ chapter: String(chapter), highlight: highlightId });
+    }
+  };
+
+  const loadBookmarks = async () => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/bookmarks?viewer_id=${currentProfile.id}`, { headers: profileHeaders(currentProfile) });
+      if (response.ok) {
+        setBookmarks(await response.json());
+      }
+    } catch (error) {
+      console.error('❌ Error loading bookmarks:', error);
+    }
+  };
+
+  // Where the reader is: comic pages are bookmarked whole, chapters at the text showing at the top
+  const currentPosition = () => {
+    const contentDiv = document.querySelector('[data-content="chapter-content"]');
+    return contentDiv && !isComic
+      ? readingPosition(contentDiv, currentChapter)
+      : { cfi: null, scroll_position: 0 };
+  };
+
+  const handleAddBookmark = async (label, visibility = 'private') => {
+    if (!currentProfile) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/bookmarks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({
+          ...currentPosition(),
+          chapter: currentChapter + 1,
+          label,
+          visibility,
+          profile_id: currentProfile.id,
+          username: currentProfile.username
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to add bookmark');
+      }
+      setBookmarks(current => withBookmark(current, result));
+    } catch (error) {
+      console.error('❌ Error adding bookmark:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleUpdateBookmark = async (bookmark, changes) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/bookmarks/${bookmark.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ ...changes, profile_id: currentProfile.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update bookmark');
+      }
+      setBookmarks(current => withBookmark(current, result));
+    } catch (error) {
+      console.error('❌ Error updating bookmark:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleDeleteBookmark = async (bookmark) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/bookmarks/${bookmark.id}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ profile_id: currentProfile.id })
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to delete bookmark');
+      }
+      setBookmarks(current => current.filter(existing => existing.id !== bookmark.id));
+    } catch (error) {
+      console.error('❌ Error deleting bookmark:', error);
+      alert(error.message);
+    }
+  };
+
+  const toggleBookmarkHere = () => {
+    if (!currentProfile || !bookContent) return;
+
+    const position = currentPosition();
+    const existing = bookmarks.find(bookmark => (
+      bookmark.user_id === currentProfile.id && isAtPosition(bookmark, currentChapter + 1, position)
+    ));
+    if (existing) {
+      handleDeleteBookmark(existing);
+    } else {
+      handleAddBookmark('');
+    }
+  };
+
+  const handleJumpToBookmark = (bookmark) => {
+    setCurrentChapter(bookmark.chapter - 1);
+    setPendingBookmark(bookmark);
+  };
+
+  const reactionsOn = (targetType, targetId) => reactions.filter(reaction => (
+    reaction.target_type === targetType && reaction.target_id === targetId
+  ));
+
+  // Edits and deletes are applied from the response here and from the socket event in other readers' views
+  const handleSaveCommentEdit = async (commentId) => {
+    if (!editText.trim() || !currentProfile) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/comments/${commentId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ text: editText.trim(), tags: editTags, profile_id: currentProfile.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to edit comment');
+      }
+
+      const replace = (current) => current.map(comment => (comment.id === result.id ? { ...comment, ...result } : comment));
+      setComments(replace);
+      setHighlightComments(replace);
+      setEditingCommentId(null);
+      setEditText('');
+      loadTagSuggestions();
+    } catch (error) {
+      console.error('❌ Error editing comment:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    if (!currentProfile || !window.confirm('Delete this comment?')) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/comments/${commentId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ profile_id: currentProfile.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to delete comment');
+      }
+
+      const remove = (current) => current.filter(comment => !result.commentIds.includes(comment.id));
+      setComments(remove);
+      setHighlightComments(remove);
+    } catch (error) {
+      console.error('❌ Error deleting comment:', error);
+      alert(error.message);
+    }
+  };
+
+  // Deleting a highlight also deletes the comments on it
+  const handleDeleteHighlight = async (highlightId) => {
+    if (!currentProfile || !window.confirm('Delete this highlight and its comments?')) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/highlights/${highlightId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({ profile_id: currentProfile.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to delete highlight');
+      }
+
+      setHighlights(current => current.filter(highlight => highlight.id !== highlightId));
+      setComments(current => current.filter(comment => !result.commentIds.includes(comment.id)));
+      setSelectedHighlightId(current => (current === highlightId ? null : current));
+    } catch (error) {
+      console.error('❌ Error deleting highlight:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleSubmitReply = async (parentId) => {
+    if (!replyText.trim() || !currentProfile) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${bookData.id}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders(currentProfile) },
+        body: JSON.stringify({
+          text: replyText.trim(),
+          parentId,
+          profile_id: currentProfile.id,
+          username: currentProfile.username
+        })
+      });
+      const reply = await response.json();
+      if (!response.ok) {
+        throw new Error(reply.error || 'Failed to add reply');
+      }
+
+      const append = (current) => (current.some(comment => comment.id === reply.id) ? current : [...current, reply]);
+      setComments(append);
+      setHighlightComments(append);
+      setCollapsedThreads(current => current.filter(id => id !== parentId));
+      setReplyingToId(null);
+      setReplyText('');
+    } catch (error) {
+      console.error('❌ Error adding reply:', error);
+      alert(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleThread = (commentId) => {
+    setCollapsedThreads(current => (
+      current.includes(commentId) ? current.filter(id => id !== commentId) : [...current, commentId]
+    ));
+  };
+
+  // Comments in the open thread that aren't replies (or whose parent is gone)
+  const threadRoots = highlightComments.filter(comment => (
+    !comment.parent_id || !highlightComments.some(parent => parent.id === comment.parent_id)
+  ));
+
+  const isOwnAnnotation = (annotation) => Boolean(currentProfile && annotation.user_id === currentProfile.id);
+
+  const profileNames = bookProfiles.map(profile => profile.username);
+  const selectedHighlight = highlights.find(highlight => highlight.id === selectedHighlightId);
+  const shownHighlights = filteredAnnotations ? filteredAnnotations.highlights : highlights;
+  const shownComments = filteredAnnotations ? filteredAnnotations.comments : comments;
+  const otherProfiles = bookProfiles.filter(profile => profile.id !== currentProfile?.id);
+
+  // A comment with its replies nested beneath it. Replies are offered until the thread
+  // reaches MAX_REPLY_DEPTH or the comment has MAX_PER_COMMENT replies.
+  const renderCommentThread = (comment, depth) => {
+    const replies = highlightComments.filter(reply => reply.parent_id === comment.id);
+    const collapsed = collapsedThreads.includes(comment.id);
+    const canReply = Boolean(currentProfile) &&
+      depth < MVP_LIMITS.CONTENT.COMMENTS.MAX_REPLY_DEPTH &&
+      replies.length < MVP_LIMITS.CONTENT.REPLIES.MAX_PER_COMMENT;
+
+    return (
+      <div key={comment.id} style={{
+        backgroundColor: depth % 2 === 0 ? '#f8f9fa' : 'white',
+        padding: depth === 0 ? '15px' : '10px',
+        borderRadius: '6px',
+        marginTop: depth === 0 ? 0 : '10px',
+        marginBottom: depth === 0 ? '10px' : 0,
+        borderLeft: '3px solid #667eea'
+      }}>
+        {depth === 0 && (comment.text || comment.selected_text) && (
+          <div style={{ fontSize: '14px', color: '#666', marginBottom: '5px' }}>
+            "{comment.text || comment.selected_text}"
+          </div>
+        )}
+        {editingCommentId === comment.id ? (
+          <div style={{ marginBottom: '5px' }}>
+            <MentionTextarea
+              value={editText}
+              onChange={setEditText}
+              usernames={profileNames}
+              maxLength={(comment.parent_id ? MVP_LIMITS.CONTENT.REPLIES : MVP_LIMITS.CONTENT.COMMENTS).MAX_LENGTH_CHARS}
+              style={{
+                width: '100%',
+                height: '60px',
+                padding: '8px',
+                border: '1px solid #ddd',
+                borderRadius: '4px',
+                resize: 'vertical',
+                boxSizing: 'border-box'
+              }}
+            />
+            <div style={{ marginTop: '5px' }}>
+              <TagInput tags={editTags} onChange={setEditTags} suggestions={tagSuggestions.map(({ tag }) => tag)} />
+            </div>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '5px' }}>
+              <button onClick={() => setEditingCommentId(null)}>Cancel</button>
+              <button onClick={() => handleSaveCommentEdit(comment.id)} disabled={!editText.trim()}>
+                Save
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div style={{ fontSize: '16px', marginBottom: '5px' }}>
+            {renderCommentText(comment.comment || comment.content)}
+          </div>
+        )}
+        {editingCommentId !== comment.id && renderTags(comment.tags, followTag)}
+        <div style={{ fontSize: '12px', color: '#999', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span>
+            by <strong>{comment.username}</strong>
+            {comment.updated_at && ' (edited)'}
+            {visibilityBadge(comment)}
+          </span>
+          <span>{new Date(comment.created_at || comment.created_date).toLocaleString()}</span>
+        </div>
+        <ReactionBar
+          reactions={reactionsOn('comment', comment.id)}
+          profileId={currentProfile?.id}
+          onToggle={(emoji) => handleToggleReaction('comment', comment.id, emoji)}
+        />
+        {editingCommentId !== comment.id && (
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '5px' }}>
+            {replies.length > 0 && (
+              <button onClick={() => toggleThread(comment.id)} style={{ marginRight: 'auto' }}>
+                {collapsed ? `▸ Show ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}` : '▾ Hide replies'}
+              </button>
+            )}
+            {canReply && (
+              <button
+                onClick={() => {
+                  setReplyingToId(comment.id);
+                  setReplyText('');
+                  loadBookProfiles();
+                }}
+              >
+                Reply
+              </button>
+            )}
+            {isOwnAnnotation(comment) && (
+              <>
+                <button
+                  onClick={() => {
+                    setEditingCommentId(comment.id);
+                    setEditText(comment.comment || comment.content || '');
+                    setEditTags(comment.tags || []);
+                  }}
+                >
+                  Edit
+                </button>
+                <button onClick={() => handleDeleteComment(comment.id)}>Delete</button>
+              </>
+            )}
+          </div>
+        )}
+        {replyingToId === comment.id && (
+          <div style={{ marginTop: '10px' }}>
+            <MentionTextarea
+              value={replyText}
+              onChange={setReplyText}
+              usernames={profileNames}
+              placeholder={`Reply to ${comment.username}...`}
+              maxLength={MVP_LIMITS.CONTENT.REPLIES.MAX_LENGTH_CHARS}
+              style={{
+                width: '100%',
+                height: '50px',
+                padding: '8px',
+                border: '1px solid #ddd',
+                borderRadius: '4px',
+                resize: 'vertical',
+                boxSizing: 'border-box'
+              }}
+            />
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '5px' }}>
+              <button onClick={() => setReplyingToId(null)}>Cancel</button>
+              <button onClick={() => handleSubmitReply(comment.id)} disabled={!replyText.trim() || isSubmitting}>
+                {isSubmitting ? 'Replying...' : 'Reply'}
+              </button>
+            </div>
+          </div>
+        )}
+        {!collapsed && replies.map(reply => renderCommentThread(reply, depth + 1))}
+      </div>
+    );
+  };
+
   // Load highlights and comments for current chapter
   useEffect(() => {
     if (bookData?.id) {
+      // Only annotations this profile may see - private notes and ones shared with it included
+      const viewer = `&viewer_id=${currentProfile?.id || ''}`;
+      
       // Load highlights
-      fetch(`http://localhost:3001/api/books/${bookData.id}/highlights?chapter=${currentChapter + 1}`)
+      fetch(`http://localhost:3001/api/books/${bookData.id}/highlights?chapter=${currentChapter + 1}${viewer}`, { headers: profileHeaders(currentProfile) })
         .then(res => res.json())
         .then(data => {
           console.log('📚 Loaded highlights:', data);
@@ -615,28 +1577,127 @@ function EPUBReader() {
         });
       
       // Load comments
-      fetch(`http://localhost:3001/api/books/${bookData.id}/comments?chapter=${currentChapter + 1}`)
+      fetch(`http://localhost:3001/api/books/${bookData.id}/comments?chapter=${currentChapter + 1}${viewer}`, { headers: profileHeaders(currentProfile) })
         .then(res => res.json())
         .then(data => {
           console.log(' Loaded comments:', data);
           setComments(Array.isArray(data) ? data : []);
-          
-          // Restore highlights with comment indicators after both highlights and comments are loaded
-          setTimeout(() => {
-            if (Array.isArray(data) && highlights.length > 0) {
-              highlights.forEach(highlight => {
-                const hasComments = data.some(comment => comment.highlight_id === highlight.id);
-                highlightTextInDOM(highlight.text, highlight.color, hasComments, highlight.id);
-              });
-            }
-          }, 200);
         })
         .catch(err => {
           console.error('Error loading comments:', err);
           setComments([]);
         });
     }
-  }, [bookData?.id, currentChapter]);
+  }, [bookData?.id, currentChapter, currentProfile?.id]);
+
+  // With a tag, author or other chapters chosen, the sidebar lists what the server finds for
+  // those filters instead of this chapter's annotations. Refetched as annotations change.
+  useEffect(() => {
+    const { tag, profileId, chapter } = annotationFilters;
+    if (!bookData?.id || (!tag && !profileId && chapter === 'current')) {
+      setFilteredAnnotations(null);
+      return;
+    }
+
+    const params = new URLSearchParams({ viewer_id: currentProfile?.id || '' });
+    if (tag) params.set('tags', tag);
+    if (profileId) params.set('profile_id', profileId);
+    if (chapter !== 'all') params.set('chapter', chapter === 'current' ? currentChapter + 1 : chapter);
+
+    let cancelled = false;
+    Promise.all(['highlights', 'comments'].map(list => (
+      fetch(`http://localhost:3001/api/books/${bookData.id}/${list}?${params}`, { headers: profileHeaders(currentProfile) }).then(res => res.json())
+    )))
+      .then(([filteredHighlights, filteredComments]) => {
+        if (!cancelled) {
+          setFilteredAnnotations({
+            highlights: Array.isArray(filteredHighlights) ? filteredHighlights : [],
+            comments: Array.isArray(filteredComments) ? filteredComments : []
+          });
+        }
+      })
+      .catch(err => console.error('Error filtering annotations:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bookData?.id, currentProfile?.id, annotationFilters, currentChapter, highlights, comments]);
+
+  // Redraw this chapter's highlights whenever they, their comments or the chapter change.
+  // Highlights whose text can no longer be found are listed as orphaned instead.
+  useEffect(() => {
+    const contentDiv = document.querySelector('[data-content="chapter-content"]');
+    if (!contentDiv || isComic) {
+      setOrphanedHighlights([]);
+      return;
+    }
+    
+    // Anchor everything against the undecorated text, then draw it all in one pass
+    clearHighlights(contentDiv);
+    const anchored = [];
+    const orphaned = [];
+    highlights
+      .filter(highlight => highlight.chapter === currentChapter + 1 && !highlight.region)
+      .forEach(highlight => {
+        const range = anchorHighlight(highlight, contentDiv);
+        if (range) {
+          anchored.push({
+            highlight,
+            range,
+            hasComments: comments.some(comment => comment.highlight_id === highlight.id),
+            ...highlightColors(highlight, palette)
+          });
+        } else {
+          console.log('⚠️  Could not re-anchor highlight:', highlight.id);
+          orphaned.push(highlight);
+        }
+      });
+    
+    drawHighlights(contentDiv, anchored, {
+      onCommentsClick: loadCommentsForHighlight,
+      onOverlapClick: (highlightIds, event) => setOverlapChoice({ highlightIds, x: event.clientX, y: event.clientY })
+    });
+    setOrphanedHighlights(orphaned);
+    setOverlapChoice(null);
+  }, [highlights, comments, bookContent, currentChapter, isComic, bookData?.highlight_palette]);
+
+  // Once a bookmark's chapter is showing, scroll to the bookmarked spot
+  useEffect(() => {
+    if (!pendingBookmark || pendingBookmark.chapter !== currentChapter + 1) {
+      return;
+    }
+    const contentDiv = document.querySelector('[data-content="chapter-content"]');
+    if (contentDiv) {
+      scrollToPosition(contentDiv, pendingBookmark);
+    }
+    setPendingBookmark(null);
+  }, [pendingBookmark, currentChapter, bookContent]);
+
+  // Mark the search hit being visited once its chapter is showing, scrolling to it the first
+  // time. Redrawing highlights clears the mark, so it's put back after every redraw.
+  useEffect(() => {
+    if (!activeSearchHit || activeSearchHit.chapter !== currentChapter + 1) {
+      return;
+    }
+    const contentDiv = document.querySelector('[data-content="chapter-content"]');
+    const range = contentDiv && anchorHighlight(activeSearchHit, contentDiv);
+    if (!range) {
+      return;
+    }
+    if (scrolledSearchHit.current !== activeSearchHit) {
+      scrolledSearchHit.current = activeSearchHit;
+      range.startContainer.parentElement.scrollIntoView({ block: 'center' });
+    }
+    return markRange(contentDiv, range);
+  }, [activeSearchHit, currentChapter, bookContent, highlights, comments, bookData?.highlight_palette]);
+
+  useEffect(() => {
+    if (!activeSearchHit) {
+      return;
+    }
+    const timer = setTimeout(() => setActiveSearchHit(null), SEARCH_MARK_MS);
+    return () => clearTimeout(timer);
+  }, [activeSearchHit]);
 
   const nextChapter = () => {
     if (bookContent && currentChapter < bookContent.chapters.length - 1) {
@@ -856,8 +1917,30 @@ function EPUBReader() {
   if (isLoading) {
     return (
       <div style={{ textAlign: 'center', padding: '50px' }}>
-        <div>Loading book...</div>
+        <div>{isIngesting ? INGESTION_LABELS[ingestionStatus.status] || 'Processing book...' : 'Loading book...'}</div>
         {bookData && <p>Book: {bookData.title}</p>}
+        {isIngesting && (
+          <div style={{ maxWidth: '400px', margin: '20px auto' }}>
+            <div style={{
+              height: '8px',
+              backgroundColor: '#f0f0f0',
+              borderRadius: '4px',
+              overflow: 'hidden'
+            }}>
+              <div style={{
+                width: `${ingestionStatus.progress || 0}%`,
+                height: '100%',
+                backgroundColor: '#4ECDC4',
+                transition: 'width 0.3s ease'
+              }} />
+            </div>
+            {ingestionStatus.queuePosition > 0 && (
+              <p style={{ fontSize: '12px', color: '#666' }}>
+                Position in queue: {ingestionStatus.queuePosition}
+              </p>
+            )}
+          </div>
+        )}
       </div>
     );
   }
@@ -885,24 +1968,40 @@ function EPUBReader() {
         <>
           {/* Book Header */}
           <div style={{ background: 'white', padding: '15px', borderBottom: '1px solid #e0e0e0' }}>
-            <h2>
-              {bookData?.title || 'EPUB Reader'}
-              {bookData?.author && bookData.author !== 'Unknown Author' && (
-                <span style={{ color: '#666', fontSize: '0.8em', fontWeight: 'normal' }}>
-                  {' '}by {bookData.author}
-                </span>
+            <div style={{ display: 'flex', gap: '15px', alignItems: 'center' }}>
+              {bookData?.cover_path && (
+                <img
+                  src={`http://localhost:3001/api/books/${bookData.id}/cover?size=small`}
+                  alt=""
+                  style={{ width: '48px', borderRadius: '4px', boxShadow: '0 1px 4px rgba(0,0,0,0.2)' }}
+                />
               )}
-            </h2>
+              <div>
+                <h2>
+                  {bookData?.title || 'EPUB Reader'}
+                  {bookData?.author && bookData.author !== 'Unknown Author' && (
+                    <span style={{ color: '#666', fontSize: '0.8em', fontWeight: 'normal' }}>
+                      {' '}by {bookData.author}
+                    </span>
+                  )}
+                </h2>
+                {bookDetails.length > 0 && (
+                  <div style={{ color: '#888', fontSize: '0.9em', marginBottom: '10px' }}>
+                    {bookDetails.join(' · ')}
+                  </div>
+                )}
+              </div>
+            </div>
             <div style={{ display: 'flex', gap: '15px', alignItems: 'center' }}>
               <button onClick={() => navigate('/')}>
                 ← Back to Upload
               </button>
               <button onClick={prevChapter} disabled={currentChapter === 0}>
-                ← Previous Chapter
+                ← Previous {pageLabel}
               </button>
-              <span>Chapter {currentChapter + 1} of {bookContent?.chapters?.length || 0}</span>
+              <span>{pageLabel} {currentChapter + 1} of {bookContent?.chapters?.length || 0}</span>
               <button onClick={nextChapter} disabled={currentChapter >= (bookContent?.chapters?.length - 1) || 0}>
-                Next Chapter →
+                Next {pageLabel} →
               </button>
               <button 
                 onClick={handleShare}
@@ -918,6 +2017,40 @@ function EPUBReader() {
               >
                 Share
               </button>
+              <NotificationInbox
+                notifications={notifications}
+                unreadCount={unreadCount}
+                onOpen={handleOpenNotification}
+                onMarkAllRead={() => markNotificationsRead()}
+              />
+              {MVP_LIMITS.FEATURES.SEARCH_FUNCTIONALITY && !isComic && (
+                <SearchPanel
+                  pageLabel={pageLabel}
+                  chapterTitles={bookContent?.chapters?.map(chapter => chapter.title) || []}
+                  onSearch={handleSearch}
+                  onJump={handleJumpToSearchHit}
+                />
+              )}
+              {MVP_LIMITS.FEATURES.SEARCH_FUNCTIONALITY && (
+                <AnnotationSearchPanel
+                  profiles={bookProfiles}
+                  chapterCount={bookContent?.chapters?.length || 0}
+                  pageLabel={pageLabel}
+                  onSearch={handleSearchAnnotations}
+                  onOpen={handleOpenAnnotationResult}
+                />
+              )}
+              {MVP_LIMITS.FEATURES.BOOKMARKING && (
+                <BookmarksPanel
+                  bookmarks={bookmarks}
+                  profileId={currentProfile?.id}
+                  pageLabel={pageLabel}
+                  onJump={handleJumpToBookmark}
+                  onAdd={handleAddBookmark}
+                  onUpdate={handleUpdateBookmark}
+                  onDelete={handleDeleteBookmark}
+                />
+              )}
             </div>
           </div>
 
@@ -926,26 +2059,46 @@ function EPUBReader() {
       
           {/* Progress Bar */}
           <ProgressBar />
+          
+          <HighlightLegend
+            palette={palette}
+            profiles={bookProfiles}
+            isOwner={bookData.owner_profile_id === currentProfile.id}
+            onSave={handleSavePalette}
+          />
       
       <div style={{ flex: 1, overflow: 'auto', padding: '20px', backgroundColor: '#f9f9f9', position: 'relative' }}>
         {bookContent && bookContent.chapters[currentChapter] && (
           <div style={{ maxWidth: '800px', margin: '0 auto', backgroundColor: 'white', padding: '30px', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
             <h3>{bookContent.chapters[currentChapter].title}</h3>
-            <div 
-              data-content="chapter-content"
-              className="scrollable-content"
-              dangerouslySetInnerHTML={{ __html: bookContent.chapters[currentChapter].content }}
-              style={{ 
-                lineHeight: '1.6', 
-                fontSize: '16px', 
-                fontFamily: 'Georgia, serif',
-                textAlign: 'justify',
-                userSelect: 'text',
-                maxHeight: '60vh',
-                overflow: 'auto'
-              }}
-              onMouseUp={handleTextSelection}
-            />
+            {isComic ? (
+              <ComicPage
+                page={bookContent.chapters[currentChapter]}
+                highlights={highlights}
+                comments={comments}
+                palette={palette}
+                pendingRegion={pendingRegion}
+                onRegionSelected={handleRegionSelected}
+                onRegionClick={loadCommentsForHighlight}
+              />
+            ) : (
+              <div 
+                data-content="chapter-content"
+                className="scrollable-content"
+                dangerouslySetInnerHTML={{ __html: bookContent.chapters[currentChapter].content }}
+                style={{ 
+                  lineHeight: '1.6', 
+                  fontSize: '16px', 
+                  fontFamily: 'Georgia, serif',
+                  textAlign: 'justify',
+                  userSelect: 'text',
+                  maxHeight: '60vh',
+                  overflow: 'auto',
+                  position: 'relative' // Search marks are laid over the text
+                }}
+                onMouseUp={handleTextSelection}
+              />
+            )}
             
             {/* Floating Action Buttons */}
             {showActionButtons && (
@@ -1001,6 +2154,13 @@ function EPUBReader() {
                 >
                   ✏️
                 </button>
+                {renderPaletteSwatches(palette, selectedPaletteKey, setSelectedPaletteKey)}
+                <VisibilityPicker
+                  visibility={annotationVisibility.visibility}
+                  sharedWith={annotationVisibility.sharedWith}
+                  profiles={otherProfiles}
+                  onChange={setAnnotationVisibility}
+                />
               </div>
             )}
             
@@ -1020,12 +2180,13 @@ function EPUBReader() {
               }}>
                 <h4>Add Comment</h4>
                 <p style={{ fontSize: '14px', color: '#666', marginBottom: '10px' }}>
-                  Selected text: "{selectedText}"
+                  {pendingRegion ? `Selected region on page ${currentChapter + 1}` : `Selected text: "${selectedText}"`}
                 </p>
-                <textarea
+                <MentionTextarea
                   value={commentText}
-                  onChange={(e) => setCommentText(e.target.value)}
-                  placeholder="Write your comment..."
+                  onChange={setCommentText}
+                  usernames={profileNames}
+                  placeholder="Write your comment... (type @ to mention a reader)"
                   style={{
                     width: '100%',
                     minHeight: '100px',
@@ -1036,6 +2197,22 @@ function EPUBReader() {
                     resize: 'vertical'
                   }}
                 />
+                <div style={{ marginBottom: '10px' }}>
+                  <TagInput tags={newTags} onChange={setNewTags} suggestions={tagSuggestions.map(({ tag }) => tag)} />
+                </div>
+                {hasPalette(palette) && (
+                  <div style={{ marginBottom: '10px' }}>
+                    {renderPaletteSwatches(palette, selectedPaletteKey, setSelectedPaletteKey)}
+                  </div>
+                )}
+                <div style={{ marginBottom: '10px' }}>
+                  <VisibilityPicker
+                    visibility={annotationVisibility.visibility}
+                    sharedWith={annotationVisibility.sharedWith}
+                    profiles={otherProfiles}
+                    onChange={setAnnotationVisibility}
+                  />
+                </div>
                 <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
                   <button 
                     onClick={handleCancelComment}
@@ -1068,32 +2245,100 @@ function EPUBReader() {
               </div>
             )}
             
+            {/* Orphaned annotations - highlights whose passage is no longer in the text */}
+            {orphanedHighlights.length > 0 && (
+              <div style={{ marginTop: '30px', borderTop: '1px solid #eee', paddingTop: '20px' }}>
+                <h4>Orphaned annotations</h4>
+                <p style={{ fontSize: '14px', color: '#666' }}>
+                  The text these highlights were made on has changed, so they can't be shown in place.
+                </p>
+                {orphanedHighlights.map(highlight => (
+                  <div key={highlight.id} style={{
+                    backgroundColor: '#fff8e1',
+                    padding: '15px',
+                    borderRadius: '6px',
+                    marginBottom: '10px',
+                    borderLeft: `3px dashed ${highlight.color}`
+                  }}>
+                    <div style={{ fontSize: '16px', marginBottom: '5px' }}>
+                      "{highlight.text}"
+                    </div>
+                    <div style={{ fontSize: '12px', color: '#999', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                      <span>by <strong>{highlight.username}</strong></span>
+                      {comments.some(comment => comment.highlight_id === highlight.id) && (
+                        <button onClick={() => loadCommentsForHighlight(highlight.id)}>
+                          View comments
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            
             {/* Highlights and Comments Section */}
-            {(highlights.length > 0 || comments.length > 0) && (
+            {(highlights.length > 0 || comments.length > 0 || filteredAnnotations) && (
               <div style={{ marginTop: '30px', borderTop: '1px solid #eee', paddingTop: '20px' }}>
                 <h4>Highlights & Comments</h4>
+                <AnnotationFilters
+                  filters={annotationFilters}
+                  onChange={setAnnotationFilters}
+                  tags={tagSuggestions.map(({ tag }) => tag)}
+                  profiles={bookProfiles}
+                  chapterCount={bookContent?.chapters?.length || 0}
+                  pageLabel={pageLabel}
+                />
+                
+                {filteredAnnotations && filteredAnnotations.highlights.length === 0 && filteredAnnotations.comments.length === 0 && (
+                  <p style={{ color: '#666' }}>Nothing matches these filters.</p>
+                )}
                 
                 {/* Highlights */}
-                {highlights.map((highlight, index) => (
+                {shownHighlights.map((highlight, index) => (
                   <div key={index} style={{
-                    backgroundColor: highlight.color + '20',
+                    backgroundColor: highlightColors(highlight, palette).fill + '20',
                     padding: '15px',
                     borderRadius: '6px',
                     marginBottom: '10px',
                     borderLeft: `3px solid ${highlight.color}`
                   }}>
                     <div style={{ fontSize: '16px', marginBottom: '5px' }}>
-                      "{highlight.text}"
+                      {highlight.region ? `Region on page ${highlight.chapter}` : `"${highlight.text}"`}
+                      {paletteEntryOf(highlight, palette) && (
+                        <span style={{ marginLeft: '8px', fontSize: '12px', backgroundColor: paletteEntryOf(highlight, palette).color, borderRadius: '10px', padding: '2px 8px' }}>
+                          {paletteEntryOf(highlight, palette).label}
+                        </span>
+                      )}
                     </div>
-                    <div style={{ fontSize: '12px', color: '#999', display: 'flex', justifyContent: 'space-between' }}>
-                      <span>by <strong>{highlight.username}</strong></span>
-                      <span>{new Date(highlight.created_date).toLocaleString()}</span>
+                    {renderTags(highlight.tags, followTag)}
+                    {Number(highlight.chapter) !== currentChapter + 1 && (
+                      <button
+                        onClick={() => openHighlight(highlight.id, highlight.chapter)}
+                        style={{ marginBottom: '5px', background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', padding: 0 }}
+                      >
+                        → {pageLabel} {highlight.chapter}
+                      </button>
+                    )}
+                    <div style={{ fontSize: '12px', color: '#999', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                      <span>by <strong>{highlight.username}</strong>{visibilityBadge(highlight)}</span>
+                      <span>
+                        {new Date(highlight.created_date).toLocaleString()}
+                        {isOwnAnnotation(highlight) && (
+                          <button
+                            onClick={() => handleDeleteHighlight(highlight.id)}
+                            title="Delete highlight and its comments"
+                            style={{ marginLeft: '8px', background: 'none', border: 'none', cursor: 'pointer' }}
+                          >
+                            🗑️
+                          </button>
+                        )}
+                      </span>
                     </div>
                   </div>
                 ))}
                 
-                {/* Comments */}
-                {comments.map((comment, index) => (
+                {/* Comments - replies are read in their highlight's thread, unless they match the filters */}
+                {shownComments.filter(comment => filteredAnnotations || !comment.parent_id).map((comment, index) => (
                   <div key={index} style={{
                     backgroundColor: '#f8f9fa',
                     padding: '15px',
@@ -1101,16 +2346,34 @@ function EPUBReader() {
                     marginBottom: '10px',
                     borderLeft: '3px solid #667eea'
                   }}>
-                    <div style={{ fontSize: '14px', color: '#666', marginBottom: '5px' }}>
-                      "{comment.selected_text || comment.text}"
-                    </div>
+                    {(comment.selected_text || comment.text) && (
+                      <div style={{ fontSize: '14px', color: '#666', marginBottom: '5px' }}>
+                        "{comment.selected_text || comment.text}"
+                      </div>
+                    )}
                     <div style={{ fontSize: '16px', marginBottom: '5px' }}>
-                      {comment.comment || comment.text}
+                      {renderCommentText(comment.comment || comment.text)}
                     </div>
+                    {renderTags(comment.tags, followTag)}
                     <div style={{ fontSize: '12px', color: '#999', display: 'flex', justifyContent: 'space-between' }}>
-                      <span>by <strong>{comment.username}</strong></span>
+                      <span>by <strong>{comment.username}</strong>{visibilityBadge(comment)}</span>
                       <span>{new Date(comment.created_date || comment.created_at).toLocaleString()}</span>
                     </div>
+                    {comment.highlight_id && Number(comment.chapter) !== currentChapter + 1 ? (
+                      <button
+                        onClick={() => openHighlight(comment.highlight_id, comment.chapter)}
+                        style={{ marginTop: '5px', background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', padding: 0 }}
+                      >
+                        → {pageLabel} {comment.chapter}
+                      </button>
+                    ) : comment.highlight_id && (comment.parent_id || comments.some(reply => reply.parent_id === comment.id)) && (
+                      <button
+                        onClick={() => loadCommentsForHighlight(comment.highlight_id)}
+                        style={{ marginTop: '5px', background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', padding: 0 }}
+                      >
+                        💬 View {comment.parent_id ? 'thread' : 'replies'}
+                      </button>
+                    )}
                   </div>
                 ))}
               </div>
@@ -1119,6 +2382,62 @@ function EPUBReader() {
         )}
       </div>
       
+      {/* Overlapping highlights - pick whose comment thread to open */}
+      {overlapChoice && (
+        <div style={{
+          position: 'fixed',
+          left: overlapChoice.x,
+          top: overlapChoice.y + 10,
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
+          padding: '8px',
+          zIndex: 1000,
+          minWidth: '220px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+            <strong style={{ fontSize: '13px' }}>Overlapping highlights</strong>
+            <button
+              onClick={() => setOverlapChoice(null)}
+              style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+            >
+              ✕
+            </button>
+          </div>
+          {overlapChoice.highlightIds
+            .map(id => highlights.find(highlight => highlight.id === id))
+            .filter(Boolean)
+            .map(highlight => (
+              <button
+                key={highlight.id}
+                onClick={() => {
+                  setOverlapChoice(null);
+                  loadCommentsForHighlight(highlight.id);
+                }}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  textAlign: 'left',
+                  padding: '6px 8px',
+                  marginBottom: '4px',
+                  border: 'none',
+                  borderLeft: `4px solid ${highlight.color}`,
+                  backgroundColor: '#f8f9fa',
+                  cursor: 'pointer'
+                }}
+              >
+                <strong>{highlight.username}</strong>
+                <span style={{ color: '#666' }}>
+                  {' '}({comments.filter(comment => comment.highlight_id === highlight.id).length} comments)
+                </span>
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                  "{highlight.text.length > 60 ? `${highlight.text.slice(0, 60)}…` : highlight.text}"
+                </div>
+              </button>
+            ))}
+        </div>
+      )}
+
       {/* Comments Popup */}
       {showCommentsPopup && (
         <div style={{
@@ -1152,32 +2471,54 @@ function EPUBReader() {
             </button>
           </div>
           
+          {/* Tags and reactions on the highlight itself */}
+          {selectedHighlight && (isOwnAnnotation(selectedHighlight) ? (
+            <div style={{ marginBottom: '10px' }}>
+              <TagInput
+                tags={selectedHighlight.tags || []}
+                onChange={(tags) => handleUpdateHighlight(selectedHighlight.id, { tags })}
+                suggestions={tagSuggestions.map(({ tag }) => tag)}
+              />
+              {hasPalette(palette) && (
+                <div style={{ marginTop: '8px' }}>
+                  {renderPaletteSwatches(palette, selectedHighlight.palette_key || '', (key) => handleUpdateHighlight(selectedHighlight.id, { palette_key: key || null }))}
+                </div>
+              )}
+            </div>
+          ) : (
+            <>
+              {paletteEntryOf(selectedHighlight, palette) && (
+                <div style={{ fontSize: '13px', color: '#666' }}>Filed under {paletteEntryOf(selectedHighlight, palette).label}</div>
+              )}
+              {renderTags(selectedHighlight.tags, followTag)}
+            </>
+          ))}
+          <div style={{ marginBottom: '15px' }}>
+            <ReactionBar
+              reactions={reactionsOn('highlight', selectedHighlightId)}
+              profileId={currentProfile?.id}
+              onToggle={(emoji) => handleToggleReaction('highlight', selectedHighlightId, emoji)}
+            />
+          </div>
+          
           {highlightComments.length > 0 ? (
             <div>
-              {highlightComments.map((comment, index) => (
-                <div key={index} style={{
-                  backgroundColor: '#f8f9fa',
-                  padding: '15px',
-                  borderRadius: '6px',
-                  marginBottom: '10px',
-                  borderLeft: '3px solid #667eea'
-                }}>
-                  <div style={{ fontSize: '14px', color: '#666', marginBottom: '5px' }}>
-                    "{comment.text || comment.selected_text}"
-                  </div>
-                  <div style={{ fontSize: '16px', marginBottom: '5px' }}>
-                    {comment.comment || comment.content}
-                  </div>
-                  <div style={{ fontSize: '12px', color: '#999', display: 'flex', justifyContent: 'space-between' }}>
-                    <span>by <strong>{comment.username}</strong></span>
-                    <span>{new Date(comment.created_at || comment.created_date).toLocaleString()}</span>
-                  </div>
-                </div>
-              ))}
+              {threadRoots.map(comment => renderCommentThread(comment, 0))}
             </div>
           ) : (
             <p style={{ color: '#666', textAlign: 'center' }}>No comments yet.</p>
           )}
+
+          {highlights.some(highlight => highlight.id === selectedHighlightId && isOwnAnnotation(highlight)) && (
+            <div style={{ borderTop: '1px solid #eee', paddingTop: '10px', textAlign: 'right' }}>
+              <button
+                onClick={() => handleDeleteHighlight(selectedHighlightId)}
+                style={{ color: '#c0392b' }}
+              >
+                Delete highlight
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -1198,7 +2539,7 @@ function EPUBReader() {
       )}
       
           <div style={{ background: 'white', padding: '10px', borderTop: '1px solid #e0e0e0', textAlign: 'center' }}>
-            <p>Powered by Calibre - Professional EPUB conversion</p>
+            <p>{bookContent?.metadata?.chapters || 0} {isComic ? 'pages' : 'chapters'}</p>
           </div>
         </>
       )}
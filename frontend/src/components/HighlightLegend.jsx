@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { MVP_LIMITS } from '../config/limits';
+import { hasPalette, UNCATEGORIZED_FILL } from '../utils/palette';
+
+const swatchStyle = (color) => ({
+  display: 'inline-block',
+  width: '14px',
+  height: '14px',
+  borderRadius: '3px',
+  backgroundColor: color,
+  verticalAlign: 'middle',
+  marginRight: '4px'
+});
+
+const underlineStyle = (color) => ({ borderBottom: `3px solid ${color}`, paddingBottom: '1px' });
+
+// What highlight colors mean in this book: the palette's categories as fills and each
+// reader's color as an underline. The book's owner can edit the palette here;
+// `onSave(palette)` sends it, and an empty palette goes back to coloring by reader.
+function HighlightLegend({ palette, profiles, isOwner, onSave }) {
+  const [draft, setDraft] = useState(null); // Entries being edited, or null
+  const { MAX_ENTRIES, MAX_LABEL_CHARS, SUGGESTED } = MVP_LIMITS.CONTENT.PALETTE;
+
+  if (!hasPalette(palette) && !isOwner) {
+    return null;
+  }
+
+  const updateEntry = (index, changes) => {
+    setDraft(draft.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleSave = async () => {
+    const saved = await onSave(draft.filter(entry => entry.label.trim()));
+    if (saved) {
+      setDraft(null);
+    }
+  };
+
+  if (draft) {
+    return (
+      <div style={{ backgroundColor: 'white', padding: '10px 15px', borderBottom: '1px solid #e0e0e0', fontSize: '13px' }}>
+        <strong>Highlight palette</strong>
+        {draft.map((entry, index) => (
+          <div key={entry.key || index} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginTop: '6px' }}>
+            <input
+              type="color"
+              value={entry.color}
+              onChange={(e) => updateEntry(index, { color: e.target.value })}
+              title="Color"
+            />
+            <input
+              value={entry.label}
+              onChange={(e) => updateEntry(index, { label: e.target.value })}
+              placeholder="Meaning, e.g. Important"
+              maxLength={MAX_LABEL_CHARS}
+              style={{ padding: '4px 6px', border: '1px solid #ddd', borderRadius: '4px' }}
+            />
+            <button
+              onClick={() => setDraft(draft.filter((_, i) => i !== index))}
+              title="Remove - highlights in it become uncategorized"
+              style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+          <button onClick={() => setDraft([...draft, { label: '', color: '#ffd54f' }])} disabled={draft.length >= MAX_ENTRIES}>
+            Add color
+          </button>
+          <button onClick={() => setDraft(SUGGESTED)}>Use suggested</button>
+          <button onClick={handleSave}>Save</button>
+          <button onClick={() => setDraft(null)}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', backgroundColor: 'white', padding: '8px 15px', borderBottom: '1px solid #e0e0e0', fontSize: '12px', color: '#666' }}>
+      {hasPalette(palette) && (
+        <>
+          {palette.map(entry => (
+            <span key={entry.key}>
+              <span style={swatchStyle(entry.color)} />
+              {entry.label}
+            </span>
+          ))}
+          <span>
+            <span style={swatchStyle(UNCATEGORIZED_FILL)} />
+            Uncategorized
+          </span>
+          <span style={{ color: '#ccc' }}>|</span>
+          {profiles.map(profile => (
+            <span key={profile.id} style={underlineStyle(profile.color)}>{profile.username}</span>
+          ))}
+        </>
+      )}
+      {isOwner && (
+        <button
+          onClick={() => setDraft(hasPalette(palette) ? palette : SUGGESTED)}
+          style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', padding: 0 }}
+        >
+          🎨 {hasPalette(palette) ? 'Edit palette' : 'Give highlight colors a meaning'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HighlightLegend;
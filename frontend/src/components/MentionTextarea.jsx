@@ -0,0 +1,97 @@
+import React, { useRef, useState } from 'react';
+import { mentionQueryAt, mentionSuggestions, insertMention } from '../utils/mentions';
+
+// A textarea that offers the book's usernames after "@". Arrow keys move through the
+// suggestions, Enter or Tab picks one, Escape closes them. Other props go to the textarea.
+function MentionTextarea({ value, onChange, usernames, style, ...textareaProps }) {
+  const [mention, setMention] = useState(null); // { start, suggestions, active }
+  const textareaRef = useRef(null);
+
+  const updateMention = (text, caret) => {
+    const query = mentionQueryAt(text, caret);
+    const suggestions = query ? mentionSuggestions(query.query, usernames) : [];
+    setMention(suggestions.length > 0 ? { start: query.start, suggestions, active: 0 } : null);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  const choose = (username) => {
+    const textarea = textareaRef.current;
+    const result = insertMention(value, mention.start, textarea.selectionStart, username);
+    onChange(result.text);
+    setMention(null);
+
+    // Put the caret after the inserted name once React has rendered the new value
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(result.caret, result.caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = mention.suggestions.length;
+      setMention({ ...mention, active: (mention.active + step + count) % count });
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      choose(mention.suggestions[mention.active]);
+    } else if (e.key === 'Escape') {
+      setMention(null);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setMention(null)}
+        style={style}
+      />
+
+      {mention && (
+        <div style={{
+          position: 'absolute',
+          left: 0,
+          top: '100%',
+          backgroundColor: 'white',
+          border: '1px solid #ddd',
+          borderRadius: '4px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+          zIndex: 10,
+          minWidth: '160px'
+        }}>
+          {mention.suggestions.map((username, index) => (
+            <div
+              key={username}
+              // mousedown fires before the textarea's blur would close the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(username);
+              }}
+              style={{
+                padding: '6px 10px',
+                cursor: 'pointer',
+                backgroundColor: index === mention.active ? '#eef0fc' : 'white'
+              }}
+            >
+              @{username}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MentionTextarea;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+
+const DESCRIPTIONS = {
+  mention: 'mentioned you',
+  reply: 'replied to your comment'
+};
+
+// Bell with the unread count that opens the profile's notifications. Picking one calls
+// `onOpen(notification)`, which takes the reader to the highlight it's about.
+function NotificationInbox({ notifications, unreadCount, onOpen, onMarkAllRead }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Notifications"
+        style={{ position: 'relative', background: 'none', border: '1px solid #ddd', borderRadius: '4px', padding: '6px 10px', cursor: 'pointer' }}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span style={{
+            position: 'absolute',
+            top: '-6px',
+            right: '-6px',
+            backgroundColor: '#e74c3c',
+            color: 'white',
+            borderRadius: '10px',
+            padding: '0 5px',
+            fontSize: '11px',
+            lineHeight: '16px'
+          }}>
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '6px',
+          width: '320px',
+          maxHeight: '400px',
+          overflow: 'auto',
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+          zIndex: 1000
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '10px', borderBottom: '1px solid #eee' }}>
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button
+                onClick={onMarkAllRead}
+                style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer' }}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p style={{ color: '#666', textAlign: 'center', padding: '10px' }}>Nothing yet.</p>
+          ) : (
+            notifications.map(notification => (
+              <div
+                key={notification.id}
+                onClick={() => {
+                  setIsOpen(false);
+                  onOpen(notification);
+                }}
+                style={{
+                  padding: '10px',
+                  borderBottom: '1px solid #f0f0f0',
+                  cursor: 'pointer',
+                  backgroundColor: notification.read_at ? 'white' : '#f3f5ff'
+                }}
+              >
+                <div style={{ fontSize: '14px' }}>
+                  <strong>{notification.actor_username}</strong> {DESCRIPTIONS[notification.type] || 'commented'}
+                </div>
+                <div style={{ fontSize: '13px', color: '#666', marginTop: '3px' }}>
+                  "{notification.excerpt}"
+                </div>
+                <div style={{ fontSize: '11px', color: '#999', marginTop: '3px' }}>
+                  {new Date(notification.created_at).toLocaleString()}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationInbox;
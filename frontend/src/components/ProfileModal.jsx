@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { rememberProfileToken, profileToken, profileHeaders } from '../utils/profileTokens';
 
 function ProfileModal({ bookId, onProfileSelected }) {
   const [existingProfiles, setExistingProfiles] = useState([]);
@@ -26,10 +27,16 @@ function ProfileModal({ bookId, onProfileSelected }) {
   const handleSelectProfile = async (profile) => {
     setIsLoading(true);
     try {
-      // Update last_used timestamp
-      await fetch(`http://localhost:3001/api/books/${bookId}/profiles/${profile.id}/use`, {
-        method: 'PUT'
+      // Update last_used timestamp - which also checks this browser holds the profile
+      const response = await fetch(`http://localhost:3001/api/books/${bookId}/profiles/${profile.id}/use`, {
+        method: 'PUT',
+        headers: profileHeaders(profile)
       });
+      if (!response.ok) {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to select profile');
+        return;
+      }
       
       // Store in localStorage
       localStorage.setItem('current_profile', JSON.stringify({
@@ -65,7 +72,8 @@ function ProfileModal({ bookId, onProfileSelected }) {
       });
       
       if (response.ok) {
-        const newProfile = await response.json();
+        const { token, ...newProfile } = await response.json();
+        rememberProfileToken({ id: newProfile.id, token });
         
         // Store in localStorage
         localStorage.setItem('current_profile', JSON.stringify({
@@ -116,42 +124,54 @@ function ProfileModal({ bookId, onProfileSelected }) {
               <div style={{ marginBottom: '20px' }}>
                 <h4>Select Existing Profile:</h4>
                 <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
-                  {existingProfiles.map(profile => (
-                    <div
-                      key={profile.id}
-                      onClick={() => handleSelectProfile(profile)}
-                      style={{
-                        padding: '12px',
-                        margin: '5px 0',
-                        border: '1px solid #ddd',
-                        borderRadius: '6px',
-                        cursor: 'pointer',
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '10px',
-                        transition: 'background-color 0.2s'
-                      }}
-                      onMouseEnter={(e) => e.target.style.backgroundColor = '#f5f5f5'}
-                      onMouseLeave={(e) => e.target.style.backgroundColor = 'white'}
-                    >
+                  {existingProfiles.map(profile => {
+                    // Only profiles created in this browser can be picked
+                    const isOwn = Boolean(profileToken(profile.id));
+                    return (
                       <div
+                        key={profile.id}
+                        onClick={() => isOwn && handleSelectProfile(profile)}
+                        title={isOwn ? undefined : 'Created in another browser'}
                         style={{
-                          width: '20px',
-                          height: '20px',
-                          borderRadius: '50%',
-                          backgroundColor: profile.color
+                          padding: '12px',
+                          margin: '5px 0',
+                          border: '1px solid #ddd',
+                          borderRadius: '6px',
+                          cursor: isOwn ? 'pointer' : 'not-allowed',
+                          opacity: isOwn ? 1 : 0.5,
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '10px',
+                          transition: 'background-color 0.2s'
                         }}
-                      />
-                      <span style={{ fontWeight: 'bold' }}>{profile.username}</span>
-                      <span style={{ fontSize: '12px', color: '#666', marginLeft: 'auto' }}>
-                        {new Date(profile.last_used).toLocaleDateString()}
-                      </span>
-                    </div>
-                  ))}
+                        onMouseEnter={(e) => isOwn && (e.target.style.backgroundColor = '#f5f5f5')}
+                        onMouseLeave={(e) => e.target.style.backgroundColor = 'white'}
+                      >
+                        <div
+                          style={{
+                            width: '20px',
+                            height: '20px',
+                            borderRadius: '50%',
+                            backgroundColor: profile.color
+                          }}
+                        />
+                        <span style={{ fontWeight: 'bold' }}>{profile.username}</span>
+                        <span style={{ fontSize: '12px', color: '#666', marginLeft: 'auto' }}>
+                          {new Date(profile.last_used).toLocaleDateString()}
+                        </span>
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             )}
             
+            {error && (
+              <div style={{ color: 'red', fontSize: '14px', marginBottom: '10px' }}>
+                {error}
+              </div>
+            )}
+            
             {/* Create New Profile Button */}
             <button
               onClick={() => setShowCreateForm(true)}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { MVP_LIMITS } from '../config/limits';
+
+const EMOJI = MVP_LIMITS.CONTENT.REACTIONS.EMOJI;
+
+// Emoji reactions on one highlight or comment. `reactions` are that target's
+// summaries ({ emoji, count, user_ids }); emoji the profile has used are outlined.
+function ReactionBar({ reactions, profileId, onToggle }) {
+  const summaryFor = (emoji) => reactions.find(reaction => reaction.emoji === emoji);
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '5px' }}>
+      {EMOJI.map(emoji => {
+        const summary = summaryFor(emoji);
+        const count = summary ? summary.count : 0;
+        const reacted = Boolean(summary && profileId && summary.user_ids.includes(profileId));
+
+        return (
+          <button
+            key={emoji}
+            onClick={() => onToggle(emoji)}
+            disabled={!profileId}
+            title={reacted ? 'Remove your reaction' : 'React'}
+            style={{
+              padding: '2px 6px',
+              border: reacted ? '1px solid #667eea' : '1px solid #ddd',
+              borderRadius: '12px',
+              backgroundColor: reacted ? '#eef0fc' : 'white',
+              cursor: profileId ? 'pointer' : 'default',
+              fontSize: '13px',
+              opacity: count > 0 || reacted ? 1 : 0.6
+            }}
+          >
+            {emoji}{count > 0 && ` ${count}`}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ReactionBar;
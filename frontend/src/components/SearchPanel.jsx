@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { MVP_LIMITS } from '../config/limits';
+
+// Dropdown for searching the book's text. `onSearch(query)` resolves to
+// { results, truncated }; picking a hit calls `onJump(result)`. Matching ignores case
+// and accents, and "quoted phrases" must appear word for word.
+function SearchPanel({ pageLabel, chapterTitles, onSearch, onJump }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState(null); // { results, truncated } of the last search
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+  const { MIN_QUERY_CHARS, MAX_QUERY_CHARS } = MVP_LIMITS.CONTENT.SEARCH;
+
+  const handleSearch = async () => {
+    if (query.trim().length < MIN_QUERY_CHARS) {
+      return;
+    }
+    setIsSearching(true);
+    setError('');
+    try {
+      setSearch(await onSearch(query.trim()));
+    } catch (searchError) {
+      setSearch(null);
+      setError(searchError.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Search this book"
+        style={{ background: 'none', border: '1px solid #ddd', borderRadius: '4px', padding: '6px 10px', cursor: 'pointer' }}
+      >
+        🔍
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '6px',
+          width: '360px',
+          maxHeight: '450px',
+          overflow: 'auto',
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+          zIndex: 1000
+        }}>
+          <div style={{ padding: '10px', borderBottom: '1px solid #eee' }}>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder='Words or "a phrase"'
+                maxLength={MAX_QUERY_CHARS}
+                autoFocus
+                style={{ flex: 1, padding: '4px 6px', border: '1px solid #ddd', borderRadius: '4px', minWidth: 0 }}
+              />
+              <button onClick={handleSearch} disabled={isSearching || query.trim().length < MIN_QUERY_CHARS}>
+                {isSearching ? 'Searching...' : 'Search'}
+              </button>
+            </div>
+            {search && (
+              <div style={{ fontSize: '12px', color: '#999', marginTop: '6px' }}>
+                {search.results.length === 0
+                  ? 'No matches.'
+                  : `${search.truncated ? 'First ' : ''}${search.results.length} ${search.results.length === 1 ? 'match' : 'matches'}`}
+              </div>
+            )}
+            {error && <div style={{ fontSize: '12px', color: '#c62828', marginTop: '6px' }}>{error}</div>}
+          </div>
+
+          {search && search.results.map((result, index) => (
+            <div
+              key={index}
+              onClick={() => onJump(result)}
+              style={{ padding: '8px 10px', borderBottom: '1px solid #f0f0f0', cursor: 'pointer', fontSize: '13px' }}
+            >
+              <div style={{ fontSize: '12px', color: '#999', marginBottom: '3px' }}>
+                {chapterTitles[result.chapter - 1] || `${pageLabel} ${result.chapter}`}
+              </div>
+              <div>
+                {result.snippet.before}
+                <mark>{result.snippet.match}</mark>
+                {result.snippet.after}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,68 @@
+import React, { useId, useState } from 'react';
+import { MVP_LIMITS } from '../config/limits';
+
+// Same normalization as the server, so chips show the tag as it will be stored
+function normalizeTag(tag) {
+  return tag.replace(/^#+/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Tags as removable chips plus an input for more. Enter or a comma adds the typed tag;
+// `suggestions` (the book's tags) are offered as the reader types. Calls `onChange(tags)`.
+function TagInput({ tags, onChange, suggestions = [] }) {
+  const [draft, setDraft] = useState('');
+  const suggestionsId = useId();
+  const { MAX_PER_ANNOTATION, MAX_LENGTH_CHARS } = MVP_LIMITS.CONTENT.TAGS;
+  const isFull = tags.length >= MAX_PER_ANNOTATION;
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag) && !isFull) {
+      onChange([...tags, tag]);
+    }
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(draft);
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center', fontSize: '13px' }}>
+      {tags.map(tag => (
+        <span key={tag} style={{ backgroundColor: '#eef0fc', color: '#4a55a2', borderRadius: '10px', padding: '2px 8px' }}>
+          #{tag}
+          <button
+            onClick={() => onChange(tags.filter(existing => existing !== tag))}
+            title={`Remove #${tag}`}
+            style={{ background: 'none', border: 'none', cursor: 'pointer', padding: '0 0 0 4px', color: '#4a55a2' }}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft && addTag(draft)}
+        list={suggestionsId}
+        placeholder={isFull ? `Up to ${MAX_PER_ANNOTATION} tags` : 'Add a tag...'}
+        disabled={isFull}
+        maxLength={MAX_LENGTH_CHARS}
+        style={{ flex: 1, minWidth: '100px', padding: '4px 6px', border: '1px solid #ddd', borderRadius: '4px' }}
+      />
+      <datalist id={suggestionsId}>
+        {suggestions.filter(tag => !tags.includes(tag)).map(tag => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
+
+export default TagInput;
@@ -1,22 +1,117 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { MVP_LIMITS } from '../config/limits';
+
+const CHUNK_RETRIES = 3;
+
+// .epub, .cbz, .txt, .md and .html - the server applies per-format size and validation rules
+const ALLOWED_TYPES = MVP_LIMITS.FILE.ALLOWED_TYPES;
+
+const UPLOAD_STAGE_LABELS = {
+  hashing: 'Checking file...',
+  uploading: 'Uploading...',
+  finalizing: 'Verifying upload...'
+};
+
+// Identifies a local file across page reloads so an interrupted upload can resume
+const resumeKey = (file) => `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function uploadFailure(response) {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || 'Upload failed');
+  error.code = data.code;
+  error.permanent = true;
+  return error;
+}
+
+// Pick up a stored upload for this file, or declare a new one
+async function resumeOrStartUpload(file, setUploadStage) {
+  const storedId = localStorage.getItem(resumeKey(file));
+  if (storedId) {
+    const response = await fetch(`http://localhost:3001/api/uploads/${storedId}`);
+    if (response.ok) {
+      return response.json();
+    }
+    localStorage.removeItem(resumeKey(file));
+  }
+
+  setUploadStage('hashing');
+  const sha256 = await sha256Hex(file);
+  const response = await fetch('http://localhost:3001/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: file.name, size: file.size, sha256 })
+  });
+  if (!response.ok) {
+    throw await uploadFailure(response);
+  }
+
+  const upload = await response.json();
+  localStorage.setItem(resumeKey(file), upload.uploadId);
+  return upload;
+}
+
+// Send one chunk, retrying network hiccups. Resolves to the server's byte count.
+async function sendChunk(uploadId, offset, chunk) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(`http://localhost:3001/api/uploads/${uploadId}/chunks?offset=${offset}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: chunk
+      });
+
+      if (response.ok) {
+        return (await response.json()).receivedBytes;
+      }
+
+      const error = await uploadFailure(response);
+      if (error.code === 'UPLOAD_OFFSET_MISMATCH') {
+        // A retried chunk already landed - carry on from wherever the server is
+        const status = await fetch(`http://localhost:3001/api/uploads/${uploadId}`);
+        if (status.ok) {
+          return (await status.json()).receivedBytes;
+        }
+      }
+      throw error;
+    } catch (err) {
+      if (err.permanent || attempt >= CHUNK_RETRIES) {
+        throw err;
+      }
+      console.log(`⚠️  Chunk at ${offset} failed, retrying (${attempt}/${CHUNK_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+}
 
 function UploadPage() {
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState('');
+  const [duplicateBook, setDuplicateBook] = useState(null);
+  const [uploadStage, setUploadStage] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [canResume, setCanResume] = useState(false);
   const navigate = useNavigate();
 
   const handleFileSelect = (event) => {
     const selectedFile = event.target.files[0];
     console.log('File selected:', selectedFile);
     if (selectedFile) {
-      if (selectedFile.type === 'application/epub+zip' || selectedFile.name.endsWith('.epub')) {
+      if (ALLOWED_TYPES.some(type => selectedFile.name.toLowerCase().endsWith(type))) {
         setFile(selectedFile);
         setError('');
-        console.log('✅ Valid EPUB file selected');
+        setDuplicateBook(null);
+        setUploadProgress(0);
+        setCanResume(Boolean(localStorage.getItem(resumeKey(selectedFile))));
+        console.log('✅ Valid book file selected');
       } else {
-        setError('Please select a valid EPUB file');
+        setError(`Please select one of: ${ALLOWED_TYPES.join(', ')}`);
         setFile(null);
         console.log('❌ Invalid file type');
       }
@@ -35,18 +130,32 @@ function UploadPage() {
 
     setUploading(true);
     setError('');
-
-    const formData = new FormData();
-    formData.append('epub', file);
-    console.log('FormData created');
+    setDuplicateBook(null);
 
     try {
-      console.log('Sending request to: http://localhost:3001/api/upload');
-      const response = await fetch('http://localhost:3001/api/upload', {
-        method: 'POST',
-        body: formData,
+      const upload = await resumeOrStartUpload(file, setUploadStage);
+      console.log('📦 Uploading in chunks:', upload);
+
+      // Resumed uploads start wherever the server left off
+      setUploadStage('uploading');
+      let offset = upload.receivedBytes;
+      setUploadProgress(Math.round((offset / file.size) * 100));
+
+      while (offset < file.size) {
+        const chunk = file.slice(offset, offset + upload.chunkSize);
+        offset = await sendChunk(upload.uploadId, offset, chunk);
+        setUploadProgress(Math.round((offset / file.size) * 100));
+      }
+
+      setUploadStage('finalizing');
+      const response = await fetch(`http://localhost:3001/api/uploads/${upload.uploadId}/finalize`, {
+        method: 'POST'
       });
 
+      // Whatever the answer, the server has consumed this upload
+      localStorage.removeItem(resumeKey(file));
+      setCanResume(false);
+
       console.log('Response received:', response.status);
       const data = await response.json();
       console.log('Response data:', data);
@@ -55,10 +164,43 @@ function UploadPage() {
         console.log('✅ Upload successful:', data);
         // Redirect to the unique URL
         navigate(`/read/${data.slug}`);
+      } else if (data.code === 'DUPLICATE_BOOK') {
+        // Already on the server - let the reader pick the existing discussion or a fresh one
+        console.log('♻️  Duplicate of existing book:', data.existingBook);
+        setDuplicateBook(data.existingBook);
       } else {
         setError(data.error || 'Upload failed');
         console.log('❌ Upload failed:', data.error);
       }
+    } catch (err) {
+      console.error('❌ Upload error:', err);
+      if (err.code === 'UPLOAD_NOT_FOUND') {
+        localStorage.removeItem(resumeKey(file));
+      }
+      setCanResume(Boolean(localStorage.getItem(resumeKey(file))));
+      setError(err.permanent ? err.message : 'Network error. Please try again.');
+    } finally {
+      setUploading(false);
+      setUploadStage(null);
+    }
+  };
+
+  const startNewSession = async () => {
+    setUploading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/books/${duplicateBook.bookId}/sessions`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        console.log('✅ New session created:', data);
+        navigate(`/read/${data.slug}`);
+      } else {
+        setError(data.error || 'Failed to start a new session');
+      }
     } catch (err) {
       console.error('❌ Network error:', err);
       setError('Network error. Please try again.');
@@ -69,13 +211,13 @@ function UploadPage() {
 
   return (
     <div style={{ textAlign: 'center', padding: '50px' }}>
-      <h1>Upload EPUB Book</h1>
-      <p>Upload an EPUB file to start collaborative reading</p>
+      <h1>Upload a Book</h1>
+      <p>Upload an EPUB, comic book (CBZ), plain-text, Markdown or HTML file to start collaborative reading</p>
       
       <div style={{ margin: '20px 0' }}>
         <input
           type="file"
-          accept=".epub"
+          accept={ALLOWED_TYPES.join(',')}
           onChange={handleFileSelect}
         />
       </div>
@@ -93,6 +235,45 @@ function UploadPage() {
         </div>
       )}
 
+      {duplicateBook && (
+        <div style={{ margin: '20px auto', padding: '15px', maxWidth: '420px', background: '#f5f5f5', borderRadius: '8px' }}>
+          <p>
+            <strong>{duplicateBook.title}</strong>
+            {duplicateBook.author && duplicateBook.author !== 'Unknown Author' && ` by ${duplicateBook.author}`}
+            {' '}has already been uploaded.
+          </p>
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+            <button onClick={() => navigate(`/read/${duplicateBook.slug}`)} disabled={uploading}>
+              Join existing discussion
+            </button>
+            <button onClick={startNewSession} disabled={uploading}>
+              Start a new session
+            </button>
+          </div>
+        </div>
+      )}
+
+      {uploading && (
+        <div style={{ maxWidth: '400px', margin: '20px auto' }}>
+          <div style={{
+            height: '8px',
+            backgroundColor: '#f0f0f0',
+            borderRadius: '4px',
+            overflow: 'hidden'
+          }}>
+            <div style={{
+              width: `${uploadProgress}%`,
+              height: '100%',
+              backgroundColor: '#4ECDC4',
+              transition: 'width 0.3s ease'
+            }} />
+          </div>
+          <p style={{ fontSize: '12px', color: '#666' }}>
+            {UPLOAD_STAGE_LABELS[uploadStage] || 'Uploading...'} {uploadStage === 'uploading' && `${uploadProgress}%`}
+          </p>
+        </div>
+      )}
+
       <button
         onClick={handleUpload}
         disabled={!file || uploading}
@@ -102,7 +283,7 @@ function UploadPage() {
           cursor: 'pointer'
         }}
       >
-        {uploading ? 'Uploading...' : 'Upload Book'}
+        {uploading ? 'Uploading...' : canResume ? 'Resume Upload' : 'Upload Book'}
       </button>
     </div>
   );
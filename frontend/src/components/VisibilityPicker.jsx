@@ -0,0 +1,64 @@
+import React from 'react';
+import { MVP_LIMITS } from '../config/limits';
+
+const OPTIONS = [
+  { value: 'shared', label: '🌐 Everyone reading' },
+  { value: 'private', label: '🔒 Only me' },
+  { value: 'profiles', label: '👥 Chosen readers' }
+];
+
+// Who a new highlight or comment is for. `profiles` are the book's other readers, offered
+// as checkboxes when sharing with chosen readers. Calls `onChange({ visibility, sharedWith })`.
+function VisibilityPicker({ visibility, sharedWith, profiles, onChange }) {
+  if (!MVP_LIMITS.FEATURES.NOTES_FEATURE) {
+    return null;
+  }
+
+  const maxShared = MVP_LIMITS.CONTENT.VISIBILITY.MAX_SHARED_PROFILES;
+
+  const toggleProfile = (profileId) => {
+    onChange({
+      visibility,
+      sharedWith: sharedWith.includes(profileId)
+        ? sharedWith.filter(id => id !== profileId)
+        : [...sharedWith, profileId]
+    });
+  };
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <select
+        value={visibility}
+        onChange={(e) => onChange({ visibility: e.target.value, sharedWith })}
+        title="Who can see this"
+        style={{ padding: '4px', border: '1px solid #ddd', borderRadius: '4px' }}
+      >
+        {OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {visibility === 'profiles' && (
+        <div style={{ marginTop: '6px', maxHeight: '120px', overflow: 'auto' }}>
+          {profiles.length === 0 ? (
+            <div style={{ color: '#666' }}>No other readers yet.</div>
+          ) : (
+            profiles.map(profile => (
+              <label key={profile.id} style={{ display: 'block', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={sharedWith.includes(profile.id)}
+                  disabled={!sharedWith.includes(profile.id) && sharedWith.length >= maxShared}
+                  onChange={() => toggleProfile(profile.id)}
+                />
+                {' '}{profile.username}
+              </label>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VisibilityPicker;
@@ -0,0 +1,219 @@
+// Re-anchoring highlights with W3C Web Annotation selectors
+// Each text highlight carries a TextQuoteSelector (exact text plus some context either
+// side) and a TextPositionSelector (character offsets into the chapter's text). When
+// the chapter markup changes and the CFI no longer lands on the quote, the selectors are
+// used to find it again - exactly if possible, otherwise with a bounded number of edits.
+
+import { cfiToRange, textNodesIn } from './cfi';
+import { MVP_LIMITS } from '../config/limits';
+
+const CONTEXT_CHARS = MVP_LIMITS.CONTENT.HIGHLIGHTS.QUOTE_CONTEXT_CHARS;
+const MAX_ERROR_RATIO = 0.2; // Fuzzy matches may differ in up to 20% of the quote's characters
+const SEARCH_WINDOW_CHARS = 5000; // Fuzzy search looks this far either side of the old position
+const MAX_FUZZY_QUOTE_CHARS = 1000; // Longer quotes are only matched exactly
+const MAX_FUZZY_CELLS = 1000000; // Text x quote length budget for one fuzzy search, which runs on the main thread
+const MIN_CONTEXT_SCORE = 0.5; // Exact matches with less matching context go through fuzzy ranking
+
+// How fuzzy candidates are ranked: similarity to the quote, matching context, closeness to the old position
+const QUOTE_WEIGHT = 50;
+const CONTEXT_WEIGHT = 40;
+const POSITION_WEIGHT = 2;
+
+// Chapter text as the reader sees it, with the text node each character comes from
+export function chapterText(root) {
+  const nodes = textNodesIn(root);
+  const starts = [];
+  let text = '';
+  for (const node of nodes) {
+    starts.push(text.length);
+    text += node.data;
+  }
+  return { text, nodes, starts };
+}
+
+// Character offset of a range boundary within the chapter text
+function offsetOf(chapter, container, offset) {
+  const index = chapter.nodes.indexOf(container);
+  if (index !== -1) {
+    return chapter.starts[index] + offset;
+  }
+
+  // Boundary between elements: count the text that comes before it
+  const point = document.createRange();
+  point.setStart(container, offset);
+  const before = chapter.nodes.filter(node => point.comparePoint(node, 0) < 0);
+  const last = before[before.length - 1];
+  return last ? chapter.starts[chapter.nodes.indexOf(last)] + last.data.length : 0;
+}
+
+function rangeFromOffsets(chapter, start, end) {
+  const locate = (offset, isEnd) => {
+    for (let i = 0; i < chapter.nodes.length; i++) {
+      const nodeEnd = chapter.starts[i] + chapter.nodes[i].data.length;
+      if (offset < nodeEnd || (isEnd && offset === nodeEnd)) {
+        return { node: chapter.nodes[i], offset: offset - chapter.starts[i] };
+      }
+    }
+    return null;
+  };
+
+  const startPoint = locate(start, false);
+  const endPoint = locate(end, true);
+  if (!startPoint || !endPoint || end <= start) return null;
+
+  const range = document.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  return range;
+}
+
+// { start, end } character offsets of a range within `chapter` (from chapterText)
+export function rangeOffsets(range, chapter) {
+  return {
+    start: offsetOf(chapter, range.startContainer, range.startOffset),
+    end: offsetOf(chapter, range.endContainer, range.endOffset)
+  };
+}
+
+// Selectors describing a selection inside the chapter container `root`
+export function describeRange(range, root) {
+  const chapter = chapterText(root);
+  const { start, end } = rangeOffsets(range, chapter);
+
+  return [
+    {
+      type: 'TextQuoteSelector',
+      exact: chapter.text.slice(start, end),
+      prefix: chapter.text.slice(Math.max(0, start - CONTEXT_CHARS), start),
+      suffix: chapter.text.slice(end, end + CONTEXT_CHARS)
+    },
+    { type: 'TextPositionSelector', start, end }
+  ];
+}
+
+// How well the text around [start, end) matches the stored prefix and suffix, 0..1
+function contextScore(text, start, end, quote) {
+  const matching = (a, b) => {
+    let count = 0;
+    while (count < a.length && count < b.length && a[count] === b[count]) count++;
+    return count;
+  };
+
+  const before = [...text.slice(Math.max(0, start - quote.prefix.length), start)].reverse().join('');
+  const prefixMatch = matching(before, [...quote.prefix].reverse().join(''));
+  const suffixMatch = matching(text.slice(end, end + quote.suffix.length), quote.suffix);
+  const total = quote.prefix.length + quote.suffix.length;
+  return total ? (prefixMatch + suffixMatch) / total : 0;
+}
+
+// Best match for the quote among exact occurrences: most context, then nearest the old position
+function findExact(text, quote, expectedStart) {
+  let best = null;
+  for (let index = text.indexOf(quote.exact); index !== -1; index = text.indexOf(quote.exact, index + 1)) {
+    const candidate = {
+      start: index,
+      end: index + quote.exact.length,
+      score: contextScore(text, index, index + quote.exact.length, quote),
+      distance: Math.abs(index - expectedStart)
+    };
+    if (!best || candidate.score > best.score || (candidate.score === best.score && candidate.distance < best.distance)) {
+      best = candidate;
+    }
+  }
+  return best;
+}
+
+// Approximate substring search (Sellers' edit-distance algorithm): of the spans of `text`
+// within `maxErrors` edits of `pattern`, the one `rank({ start, end, errors })` scores highest
+function findApproximate(text, pattern, maxErrors, rank) {
+  const m = pattern.length;
+  let costs = Array.from({ length: m + 1 }, (_, i) => i);
+  let starts = new Array(m + 1).fill(0);
+  let best = null;
+
+  for (let j = 0; j < text.length; j++) {
+    const nextCosts = [0];
+    const nextStarts = [j + 1];
+    for (let i = 1; i <= m; i++) {
+      const substitute = costs[i - 1] + (pattern[i - 1] === text[j] ? 0 : 1);
+      const skipText = costs[i] + 1;
+      const skipPattern = nextCosts[i - 1] + 1;
+
+      if (substitute <= skipText && substitute <= skipPattern) {
+        nextCosts[i] = substitute;
+        nextStarts[i] = starts[i - 1];
+      } else if (skipText <= skipPattern) {
+        nextCosts[i] = skipText;
+        nextStarts[i] = starts[i];
+      } else {
+        nextCosts[i] = skipPattern;
+        nextStarts[i] = nextStarts[i - 1];
+      }
+    }
+    costs = nextCosts;
+    starts = nextStarts;
+
+    if (costs[m] <= maxErrors) {
+      const candidate = { start: starts[m], end: j + 1, errors: costs[m] };
+      candidate.score = rank(candidate);
+      if (!best || candidate.score > best.score) {
+        best = candidate;
+      }
+    }
+  }
+  return best;
+}
+
+const selectorOfType = (highlight, type) => (highlight.selectors || []).find(selector => selector.type === type);
+
+// DOM Range for a stored highlight, or null if it can't be found in the chapter any more.
+// Tries the CFI, then the quote at its old position, then an exact match in the same
+// context, then a fuzzy match, and only then an exact match in different surroundings.
+export function anchorHighlight(highlight, root) {
+  const quote = selectorOfType(highlight, 'TextQuoteSelector') ||
+    (highlight.text ? { exact: highlight.text, prefix: '', suffix: '' } : null);
+  const position = selectorOfType(highlight, 'TextPositionSelector');
+
+  const cfiRange = cfiToRange(highlight.cfi, root);
+  if (cfiRange && (!quote || cfiRange.toString() === quote.exact)) {
+    return cfiRange;
+  }
+  if (!quote || !quote.exact) return null;
+
+  const chapter = chapterText(root);
+  const expectedStart = position ? position.start : 0;
+
+  if (position && chapter.text.slice(position.start, position.end) === quote.exact) {
+    return rangeFromOffsets(chapter, position.start, position.end);
+  }
+
+  // The same words elsewhere in the chapter aren't the passage that was highlighted
+  // unless their surroundings match too
+  const exact = findExact(chapter.text, quote, expectedStart);
+  if (exact && (exact.score >= MIN_CONTEXT_SCORE || quote.exact.length > MAX_FUZZY_QUOTE_CHARS)) {
+    return rangeFromOffsets(chapter, exact.start, exact.end);
+  }
+  if (quote.exact.length > MAX_FUZZY_QUOTE_CHARS) return null;
+
+  const maxErrors = Math.floor(quote.exact.length * MAX_ERROR_RATIO);
+  const rankIn = (offset) => ({ start, end, errors }) => (
+    QUOTE_WEIGHT * (1 - errors / quote.exact.length) +
+    CONTEXT_WEIGHT * contextScore(chapter.text, start + offset, end + offset, quote) +
+    POSITION_WEIGHT * (1 - Math.min(1, Math.abs(start + offset - expectedStart) / chapter.text.length))
+  );
+
+  // Search around the old position first; fall back to the whole chapter. Long quotes
+  // get a narrower window so the nearby search stays within the budget too.
+  const windowChars = Math.max(0, Math.min(SEARCH_WINDOW_CHARS, Math.floor((MAX_FUZZY_CELLS / quote.exact.length - quote.exact.length) / 2)));
+  const windowStart = Math.max(0, expectedStart - windowChars);
+  const nearText = chapter.text.slice(windowStart, expectedStart + quote.exact.length + windowChars);
+  const nearby = findApproximate(nearText, quote.exact, maxErrors, rankIn(windowStart));
+  const fuzzy = nearby
+    ? { ...nearby, start: nearby.start + windowStart, end: nearby.end + windowStart }
+    : (nearText.length < chapter.text.length && chapter.text.length * quote.exact.length <= MAX_FUZZY_CELLS
+      ? findApproximate(chapter.text, quote.exact, maxErrors, rankIn(0))
+      : null);
+
+  const match = fuzzy || exact;
+  return match ? rangeFromOffsets(chapter, match.start, match.end) : null;
+}
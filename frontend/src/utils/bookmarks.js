@@ -0,0 +1,79 @@
+// Reading positions for bookmarks
+// A position is the CFI of the first character showing at the top of the chapter's
+// scroll container, plus how far the container is scrolled (0-1). The fraction is the
+// fallback when the chapter's text has changed and the CFI no longer resolves.
+
+import { textNodesIn, rangeToCfi, cfiToRange } from './cfi';
+
+const SAME_POSITION_TOLERANCE = 0.02; // Scroll fractions this close count as the same spot
+
+function scrollFraction(container) {
+  const scrollable = container.scrollHeight - container.clientHeight;
+  return scrollable > 0 ? Math.min(1, Math.max(0, container.scrollTop / scrollable)) : 0;
+}
+
+// First offset in `node` whose character reaches below `top`. Characters are laid out in
+// order, so a binary search finds it.
+function firstVisibleOffset(node, top) {
+  const range = document.createRange();
+  let low = 0;
+  let high = node.data.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    range.setStart(node, middle);
+    range.setEnd(node, middle + 1);
+    if (range.getBoundingClientRect().bottom > top) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  // Start on a word rather than the space before it
+  while (low < node.data.length - 1 && /\s/.test(node.data[low])) {
+    low++;
+  }
+  return low;
+}
+
+// { cfi, scroll_position } of what's at the top of `container`, the rendered chapter.
+// `chapterIndex` is the chapter's 0-based position in the book.
+export function readingPosition(container, chapterIndex) {
+  const top = container.getBoundingClientRect().top;
+  const position = { cfi: null, scroll_position: scrollFraction(container) };
+  const range = document.createRange();
+
+  const node = textNodesIn(container).find(text => {
+    if (!text.data.trim()) return false;
+    range.selectNodeContents(text);
+    return range.getBoundingClientRect().bottom > top;
+  });
+  if (node) {
+    const offset = firstVisibleOffset(node, top);
+    range.setStart(node, offset);
+    range.setEnd(node, offset + 1);
+    position.cfi = rangeToCfi(range, container, chapterIndex);
+  }
+  return position;
+}
+
+// Scroll `container` so the bookmarked spot is at the top
+export function scrollToPosition(container, { cfi, scroll_position }) {
+  const range = cfi && cfiToRange(cfi, container);
+  if (range) {
+    container.scrollTop += range.getBoundingClientRect().top - container.getBoundingClientRect().top;
+  } else {
+    container.scrollTop = (scroll_position || 0) * (container.scrollHeight - container.clientHeight);
+  }
+}
+
+// Whether `bookmark` marks `position` in the given 1-based chapter
+export function isAtPosition(bookmark, chapter, position) {
+  if (bookmark.chapter !== chapter) {
+    return false;
+  }
+  if (bookmark.cfi && position.cfi) {
+    return bookmark.cfi === position.cfi;
+  }
+  return Math.abs((bookmark.scroll_position || 0) - position.scroll_position) <= SAME_POSITION_TOLERANCE;
+}
@@ -0,0 +1,191 @@
+// EPUB CFI range paths for highlights
+// A highlight is stored as a range CFI, epubcfi(/6/N!/4/parent,/start,/end), so it
+// re-anchors to exactly the text that was selected, across element boundaries.
+// Paths are rooted at the rendered chapter container, which stands in for the
+// content document's <body>, and see through the markup the reader draws highlights with.
+
+export const HIGHLIGHT_ATTRIBUTE = 'data-highlight-id';
+export const MARKER_ATTRIBUTE = 'data-highlight-marker';
+
+const BODY_STEP = 4; // <body> is the second element child of <html>
+const SPINE_STEP = 6; // <spine> is the third element child of <package>
+
+const isElement = (node) => node.nodeType === Node.ELEMENT_NODE;
+const isText = (node) => node.nodeType === Node.TEXT_NODE;
+const isHighlightWrapper = (node) => isElement(node) && node.hasAttribute(HIGHLIGHT_ATTRIBUTE);
+const isMarker = (node) => isElement(node) && node.hasAttribute(MARKER_ATTRIBUTE);
+
+// Child nodes as they were before any highlight was drawn: wrappers are see-through,
+// comment stars and other markers don't exist
+function logicalChildren(node) {
+  const children = [];
+  for (const child of node.childNodes) {
+    if (isMarker(child)) continue;
+    if (isHighlightWrapper(child)) {
+      children.push(...logicalChildren(child));
+    } else if (isElement(child) || isText(child)) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+function logicalParent(node) {
+  let parent = node.parentNode;
+  while (parent && isHighlightWrapper(parent)) {
+    parent = parent.parentNode;
+  }
+  return parent;
+}
+
+// Text nodes under `root` in document order, skipping markers
+export function textNodesIn(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement.closest(`[${MARKER_ATTRIBUTE}]`) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+
+  const nodes = [];
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+// CFI step of a node within its parent. Elements are numbered 2, 4, 6...; the runs
+// of text between them 1, 3, 5... A text node also reports where it starts in its run.
+function stepOf(node) {
+  let elementsBefore = 0;
+  let runOffset = 0;
+  for (const sibling of logicalChildren(logicalParent(node))) {
+    if (sibling === node) break;
+    if (isElement(sibling)) {
+      elementsBefore++;
+      runOffset = 0;
+    } else {
+      runOffset += sibling.data.length;
+    }
+  }
+
+  return isElement(node)
+    ? { step: (elementsBefore + 1) * 2, runOffset: 0 }
+    : { step: elementsBefore * 2 + 1, runOffset };
+}
+
+// Steps from `root` down to a text node, plus the text's offset within its run
+function stepsTo(textNode, root) {
+  const steps = [];
+  let runOffset = 0;
+  for (let node = textNode; node !== root; node = logicalParent(node)) {
+    if (!node || !root.contains(node)) return null;
+    const position = stepOf(node);
+    steps.unshift(position.step);
+    if (node === textNode) runOffset = position.runOffset;
+  }
+  return { steps, runOffset };
+}
+
+// Snap a range boundary that sits between elements onto the nearest text inside the range
+function textBoundary(root, container, offset, isEnd) {
+  if (isText(container)) {
+    return { node: container, offset };
+  }
+
+  const point = document.createRange();
+  point.setStart(container, offset);
+  const texts = textNodesIn(root).filter(node => node.data.length > 0);
+
+  if (isEnd) {
+    const node = texts.reverse().find(text => point.comparePoint(text, text.data.length) <= 0);
+    return node ? { node, offset: node.data.length } : null;
+  }
+  const node = texts.find(text => point.comparePoint(text, 0) >= 0);
+  return node ? { node, offset: 0 } : null;
+}
+
+// Range CFI for a selection inside the chapter container `root`.
+// `chapterIndex` is the chapter's 0-based position in the spine.
+export function rangeToCfi(range, root, chapterIndex) {
+  const start = textBoundary(root, range.startContainer, range.startOffset, false);
+  const end = textBoundary(root, range.endContainer, range.endOffset, true);
+  const startPath = start && stepsTo(start.node, root);
+  const endPath = end && stepsTo(end.node, root);
+  if (!startPath || !endPath) return null;
+
+  // Shared element steps become the parent path; the final text step never does
+  let common = 0;
+  while (
+    common < startPath.steps.length - 1 &&
+    common < endPath.steps.length - 1 &&
+    startPath.steps[common] === endPath.steps[common]
+  ) {
+    common++;
+  }
+
+  const stepString = (steps) => steps.map(step => `/${step}`).join('');
+  const localPath = (path, point) => `${stepString(path.steps.slice(common))}:${path.runOffset + point.offset}`;
+
+  return `epubcfi(/${SPINE_STEP}/${(chapterIndex + 1) * 2}!/${BODY_STEP}${stepString(startPath.steps.slice(0, common))},` +
+    `${localPath(startPath, start)},${localPath(endPath, end)})`;
+}
+
+function parseSteps(path) {
+  const steps = path.split('/').slice(1).map(Number);
+  return steps.every(step => Number.isInteger(step) && step > 0) ? steps : null;
+}
+
+// Walk element steps down from `node`, then find `offset` within the final text run
+function resolvePoint(node, steps, offset) {
+  for (const step of steps.slice(0, -1)) {
+    if (step % 2 !== 0) return null;
+    node = logicalChildren(node).filter(isElement)[step / 2 - 1];
+    if (!node) return null;
+  }
+
+  const textStep = steps[steps.length - 1];
+  if (textStep % 2 !== 1) return null;
+
+  // Text nodes making up run number `textStep` - highlights may have split it
+  let elementsSeen = 0;
+  const run = logicalChildren(node).filter(child => {
+    if (isElement(child)) {
+      elementsSeen++;
+      return false;
+    }
+    return elementsSeen * 2 + 1 === textStep;
+  });
+
+  let remaining = offset;
+  for (const text of run) {
+    if (remaining <= text.data.length) {
+      return { node: text, offset: remaining };
+    }
+    remaining -= text.data.length;
+  }
+  return null;
+}
+
+// DOM Range for a range CFI made by rangeToCfi, or null if it no longer fits `root`
+export function cfiToRange(cfi, root) {
+  const match = /^epubcfi\(\/\d+\/\d+!\/(\d+)([^,]*),([^,:]+):(\d+),([^,:]+):(\d+)\)$/.exec(cfi || '');
+  if (!match || Number(match[1]) !== BODY_STEP) return null;
+
+  const parentSteps = match[2] ? parseSteps(match[2]) : [];
+  const startSteps = parseSteps(match[3]);
+  const endSteps = parseSteps(match[5]);
+  if (!parentSteps || !startSteps || !endSteps) return null;
+
+  let parent = root;
+  for (const step of parentSteps) {
+    parent = step % 2 === 0 ? logicalChildren(parent).filter(isElement)[step / 2 - 1] : null;
+    if (!parent) return null;
+  }
+
+  const start = resolvePoint(parent, startSteps, Number(match[4]));
+  const end = resolvePoint(parent, endSteps, Number(match[6]));
+  if (!start || !end) return null;
+
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range.collapsed ? null : range;
+}
@@ -0,0 +1,164 @@
+// Drawing highlights into rendered chapter markup
+// Every anchored highlight is reduced to character offsets in the chapter text. The
+// boundaries of all of them cut the text into segments, and each segment is wrapped once
+// with the set of highlights covering it - so overlapping and nested highlights never
+// splice spans into each other. Overlaps are striped in each highlight's fill; when a book
+// uses a semantic palette, readers' colors are stacked underneath as underlines.
+
+import { HIGHLIGHT_ATTRIBUTE, MARKER_ATTRIBUTE } from './cfi';
+import { chapterText, rangeOffsets } from './anchoring';
+
+const STRIPE_WIDTH_PX = 6;
+const UNDERLINE_WIDTH_PX = 2;
+
+// Background for a segment: the highlight's fill, or diagonal stripes of every fill on it
+function segmentBackground(colors) {
+  if (colors.length === 1) {
+    return colors[0];
+  }
+  const stops = colors.map((color, index) => (
+    `${color} ${index * STRIPE_WIDTH_PX}px ${(index + 1) * STRIPE_WIDTH_PX}px`
+  ));
+  return `repeating-linear-gradient(135deg, ${stops.join(', ')})`;
+}
+
+// One underline band per reader color, stacked upwards from the bottom edge
+function segmentUnderlines(colors) {
+  return colors
+    .map((color, index) => `inset 0 -${(index + 1) * UNDERLINE_WIDTH_PX}px 0 ${color}`)
+    .join(', ');
+}
+
+// `stackIndex` shifts stars sideways when several highlights end on the same segment
+function commentStar(stackIndex, onClick) {
+  const star = document.createElement('span');
+  star.setAttribute(MARKER_ATTRIBUTE, '');
+  star.innerHTML = '⭐';
+  star.style.position = 'absolute';
+  star.style.top = '-8px';
+  star.style.right = `${-12 - stackIndex * 16}px`;
+  star.style.fontSize = '12px';
+  star.style.cursor = 'pointer';
+  star.style.zIndex = '10';
+  star.style.pointerEvents = 'auto';
+  star.style.backgroundColor = 'white';
+  star.style.borderRadius = '50%';
+  star.style.padding = '1px';
+  star.style.boxShadow = '0 1px 3px rgba(0,0,0,0.3)';
+  star.title = 'View comments';
+  star.onclick = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    onClick();
+  };
+  return star;
+}
+
+// Remove drawn highlights and stars, leaving the chapter markup as it was rendered
+export function clearHighlights(root) {
+  root.querySelectorAll(`[${MARKER_ATTRIBUTE}]`).forEach(marker => marker.remove());
+  root.querySelectorAll(`[${HIGHLIGHT_ATTRIBUTE}]`).forEach(highlighted => {
+    highlighted.replaceWith(...highlighted.childNodes);
+  });
+  root.normalize();
+}
+
+// Draw `items` ([{ highlight, range, hasComments, fill, underline }], in stacking order) into
+// `root`, which must have been cleared before the ranges were anchored. `underline` is null
+// when there's no reader color to show under the fill (see utils/palette.js). `onCommentsClick(highlightId)` fires
+// from a comment star; `onOverlapClick(highlightIds, event)` from a segment covered by several highlights.
+export function drawHighlights(root, items, { onCommentsClick, onOverlapClick }) {
+  const chapter = chapterText(root);
+
+  const spans = items
+    .map(item => ({ ...item, ...rangeOffsets(item.range, chapter) }))
+    .filter(span => span.end > span.start);
+  if (spans.length === 0) return;
+
+  // Segments between consecutive boundaries, with the highlights covering each
+  const boundaries = [...new Set(spans.flatMap(span => [span.start, span.end]))].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const [start, end] = [boundaries[i], boundaries[i + 1]];
+    const covering = spans.filter(span => span.start <= start && span.end >= end);
+    if (covering.length > 0) {
+      segments.push({ start, end, covering });
+    }
+  }
+
+  // Cut segments at text node edges, skipping whitespace between blocks
+  const pieces = [];
+  chapter.nodes.forEach((node, index) => {
+    const nodeStart = chapter.starts[index];
+    const nodeEnd = nodeStart + node.data.length;
+    for (const segment of segments) {
+      const start = Math.max(segment.start, nodeStart);
+      const end = Math.min(segment.end, nodeEnd);
+      if (start < end && node.data.slice(start - nodeStart, end - nodeStart).trim()) {
+        pieces.push({ node, start: start - nodeStart, end: end - nodeStart, covering: segment.covering });
+      }
+    }
+  });
+
+  // Last piece of each highlight, where its comment star goes
+  const lastPieces = new Map();
+  pieces.forEach(piece => piece.covering.forEach(span => lastPieces.set(span.highlight.id, piece)));
+
+  // Split from the end of each node backwards so earlier offsets stay valid
+  for (const piece of [...pieces].reverse()) {
+    const { node, start, end, covering } = piece;
+    if (end < node.data.length) node.splitText(end);
+    const target = start > 0 ? node.splitText(start) : node;
+
+    const highlighted = document.createElement('span');
+    highlighted.setAttribute(HIGHLIGHT_ATTRIBUTE, covering.map(span => span.highlight.id).join(' '));
+    highlighted.style.background = segmentBackground(covering.map(span => span.fill));
+    const underlines = [...new Set(covering.map(span => span.underline).filter(Boolean))];
+    if (underlines.length > 0) {
+      highlighted.style.boxShadow = segmentUnderlines(underlines);
+    }
+    highlighted.style.borderRadius = '2px';
+    highlighted.style.padding = '1px 0'; // Segments sit side by side inside words
+    highlighted.style.position = 'relative';
+    highlighted.style.display = 'inline';
+
+    if (covering.length > 1) {
+      highlighted.style.cursor = 'pointer';
+      highlighted.title = `${covering.length} overlapping highlights - click to choose`;
+      highlighted.onclick = (e) => {
+        e.stopPropagation();
+        onOverlapClick(covering.map(span => span.highlight.id), e);
+      };
+    }
+
+    target.parentNode.insertBefore(highlighted, target);
+    highlighted.appendChild(target);
+
+    covering
+      .filter(span => span.hasComments && lastPieces.get(span.highlight.id) === piece)
+      .forEach((span, index) => highlighted.appendChild(commentStar(index, () => onCommentsClick(span.highlight.id))));
+  }
+}
+
+// Temporarily mark `range` (a search hit) without touching the chapter text: outline boxes
+// over its line fragments, laid over `root`, which must be positioned. clearHighlights
+// removes them too. Returns a function that removes them.
+export function markRange(root, range) {
+  const rootRect = root.getBoundingClientRect();
+  const boxes = [...range.getClientRects()].map(rect => {
+    const box = document.createElement('span');
+    box.setAttribute(MARKER_ATTRIBUTE, '');
+    box.style.position = 'absolute';
+    box.style.left = `${rect.left - rootRect.left + root.scrollLeft}px`;
+    box.style.top = `${rect.top - rootRect.top + root.scrollTop}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    box.style.outline = '2px solid #ff7043';
+    box.style.backgroundColor = 'rgba(255, 112, 67, 0.2)';
+    box.style.borderRadius = '2px';
+    box.style.pointerEvents = 'none';
+    root.appendChild(box);
+    return box;
+  });
+  return () => boxes.forEach(box => box.remove());
+}
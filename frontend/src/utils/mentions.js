@@ -0,0 +1,76 @@
+// @mentions of the book's profiles in comment text
+// Usernames may contain spaces, so mentions are found by matching each "@" against
+// the known usernames, longest first - the same rule the server uses to notify people.
+
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+const MAX_QUERY_CHARS = 50; // Profile usernames are at most 50 characters
+
+// Username mentioned at text[at] ("@"), or null
+function mentionAt(text, at, usernames) {
+  if (text[at] !== '@' || (at > 0 && WORD_CHARACTER.test(text[at - 1]))) {
+    return null;
+  }
+
+  const start = at + 1;
+  const lowerText = text.toLowerCase();
+  return [...usernames]
+    .sort((a, b) => b.length - a.length)
+    .find(username => {
+      const end = start + username.length;
+      return lowerText.startsWith(username.toLowerCase(), start) &&
+        (end === text.length || !WORD_CHARACTER.test(text[end]));
+    }) || null;
+}
+
+// Text split into plain strings and { mention, text } parts for rendering
+export function splitMentions(text, usernames) {
+  const parts = [];
+  let plainStart = 0;
+
+  for (let at = text.indexOf('@'); at !== -1; at = text.indexOf('@', at + 1)) {
+    const username = mentionAt(text, at, usernames);
+    if (!username) continue;
+
+    const end = at + 1 + username.length;
+    if (at > plainStart) parts.push(text.slice(plainStart, at));
+    parts.push({ mention: username, text: text.slice(at, end) });
+    plainStart = end;
+    at = end - 1;
+  }
+
+  if (plainStart < text.length) parts.push(text.slice(plainStart));
+  return parts;
+}
+
+// The "@name" being typed just before the caret: { start, query }, or null.
+// `start` is the index of the "@".
+export function mentionQueryAt(text, caret) {
+  const before = text.slice(0, caret);
+  const at = before.lastIndexOf('@');
+  if (at === -1 || (at > 0 && WORD_CHARACTER.test(before[at - 1]))) {
+    return null;
+  }
+
+  const query = before.slice(at + 1);
+  if (query.length > MAX_QUERY_CHARS || /[\n@]/.test(query)) {
+    return null;
+  }
+  return { start: at, query };
+}
+
+// Usernames to offer for `query`, those starting with it first
+export function mentionSuggestions(query, usernames, limit = 5) {
+  const lowerQuery = query.toLowerCase();
+  const matching = usernames.filter(username => username.toLowerCase().includes(lowerQuery));
+  const startsWith = matching.filter(username => username.toLowerCase().startsWith(lowerQuery));
+  return [...startsWith, ...matching.filter(username => !startsWith.includes(username))].slice(0, limit);
+}
+
+// Replace the "@query" from `start` to `caret` with a full mention: { text, caret }
+export function insertMention(text, start, caret, username) {
+  const mention = /^\s/.test(text.slice(caret)) ? `@${username}` : `@${username} `;
+  return {
+    text: text.slice(0, start) + mention + text.slice(caret),
+    caret: start + mention.length
+  };
+}
@@ -0,0 +1,25 @@
+// Semantic highlight palettes
+// Once a book's owner sets up a palette, highlights are filled with the color of their
+// category ("important", "quote", ...) and each reader's own color moves to an underline,
+// so both stay visible. Without a palette, highlights are filled with the reader's color.
+
+// Fill for highlights that haven't been given a category
+export const UNCATEGORIZED_FILL = '#e0e0e0';
+
+export function hasPalette(palette) {
+  return Array.isArray(palette) && palette.length > 0;
+}
+
+// The palette entry a highlight is filed under, or null
+export function paletteEntryOf(highlight, palette) {
+  return (palette || []).find(entry => entry.key === highlight.palette_key) || null;
+}
+
+// How to draw a highlight: { fill, underline }. `underline` (the reader's color) is
+// null when there is no palette, since the fill already shows who made it.
+export function highlightColors(highlight, palette) {
+  if (!hasPalette(palette)) {
+    return { fill: highlight.color, underline: null };
+  }
+  return { fill: paletteEntryOf(highlight, palette)?.color || UNCATEGORIZED_FILL, underline: highlight.color };
+}
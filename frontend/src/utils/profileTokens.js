@@ -0,0 +1,28 @@
+// Proof of which reading profile this browser is
+// Creating a profile returns a token that only its creator ever sees. Requests send it
+// as X-Profile-Token, and private annotations, notifications and edits are only served
+// to its holder - so a profile can only be picked in the browser that created it.
+
+const TOKENS_KEY = 'profile_tokens';
+
+function storedTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(TOKENS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+export function rememberProfileToken(profile) {
+  localStorage.setItem(TOKENS_KEY, JSON.stringify({ ...storedTokens(), [profile.id]: profile.token }));
+}
+
+export function profileToken(profileId) {
+  return storedTokens()[profileId] || null;
+}
+
+// Headers identifying requests as `profile`; none when this browser doesn't hold its token
+export function profileHeaders(profile) {
+  const token = profile && profileToken(profile.id);
+  return token ? { 'X-Profile-Token': token } : {};
+}